@@ -11,15 +11,34 @@
     isOwnLand: false,
     viewingLandId: null,
     currentTreeIndex: 0,
-    treesPerPage: 1
-  };
-
-  // 계절별 나무 종류
-  const TREE_TYPES = {
-    spring: { type: 'cherry', name: '벚나무', emoji: '🌸' },
-    summer: { type: 'pine', name: '소나무', emoji: '🌲' },
-    autumn: { type: 'maple', name: '단풍나무', emoji: '🍁' },
-    winter: { type: 'christmas', name: '크리스마스 트리', emoji: '🎄' }
+    treesPerPage: 1,
+    openTree: null,
+    editingTree: null,
+    repliesCursor: null,
+    plantedCursor: null,
+    notifications: [],
+    notificationsCursor: null,
+    pushPublicKey: null,
+    liveRetries: 0,
+    shareKey: new URLSearchParams(window.location.search).get('key'),
+    guestCode: new URLSearchParams(window.location.search).get('guest'),
+    authProviders: [],
+    csrfToken: null,
+    landPrivacy: null,
+    plantingClosed: false,
+    land: null,
+    landRole: null,
+    myLands: [],
+    species: [],
+    defaultSpecies: 'pine',
+    growth: { youngAfterDays: 7, fullAfterDays: 30 },
+    selectedSpecies: null,
+    speciesPreview: null,
+    treeHandles: [],
+    signStyles: null,
+    signStyle: null,
+    voice: null,
+    recording: null
   };
 
   // 현재 계절 가져오기
@@ -31,26 +50,116 @@
     return 'winter';
   }
 
-  // 나무 HTML 파일 URL (SVG 스크립트 포함)
-  function getTreeHtmlUrl(treeType) {
-    const htmlFiles = {
-      cherry: '/images/cherry.html',
-      pine: '/images/pine.html',
-      maple: '/images/maple.html',
-      christmas: '/images/christmas.html'
-    };
-    return htmlFiles[treeType] || htmlFiles.pine;
+  // 나무 종류 목록 로드 (서버 검증과 같은 /species.json 사용)
+  async function loadSpecies() {
+    try {
+      const response = await fetch('/species.json');
+      const registry = await response.json();
+      state.species = registry.species;
+      state.defaultSpecies = registry.default;
+      state.growth = registry.growth || state.growth;
+    } catch (error) {
+      console.error('Failed to load species:', error);
+    }
+  }
+
+  // 팻말 모양 목록 로드 (서버 검증과 같은 /signs.json 사용)
+  async function loadSignStyles() {
+    try {
+      const response = await fetch('/signs.json');
+      state.signStyles = await response.json();
+    } catch (error) {
+      console.error('Failed to load sign styles:', error);
+    }
+  }
+
+  // 팻말 꾸밈 글씨: **굵게**, ++크게++ (서버의 SIGN_FORMAT_PATTERN과 같음)
+  const SIGN_FORMAT_PATTERN = /\*\*([^*\n]+?)\*\*|\+\+([^+\n]+?)\+\+/g;
+
+  // 팻말 글 표시 (HTML로 해석하지 않고 줄바꿈과 꾸밈 글씨만 요소로 만듦)
+  function renderSignMessage(container, message) {
+    container.textContent = '';
+    message.split('\n').forEach((line, index) => {
+      if (index > 0) {
+        container.appendChild(document.createElement('br'));
+      }
+      let last = 0;
+      for (const match of line.matchAll(SIGN_FORMAT_PATTERN)) {
+        container.appendChild(document.createTextNode(line.slice(last, match.index)));
+        const span = document.createElement(match[1] !== undefined ? 'strong' : 'span');
+        if (match[2] !== undefined) {
+          span.className = 'sign-big';
+        }
+        span.textContent = match[1] !== undefined ? match[1] : match[2];
+        container.appendChild(span);
+        last = match.index + match[0].length;
+      }
+      container.appendChild(document.createTextNode(line.slice(last)));
+    });
+  }
+
+  // 팻말 모양 적용 (sign이 없으면 기본 나무판)
+  function applySignStyle(element, sign) {
+    const boards = state.signStyles ? state.signStyles.boards : [];
+    boards.forEach(board => element.classList.remove('sign-board-' + board.type));
+    if (sign) {
+      element.classList.add('sign-board-' + sign.board);
+      element.style.setProperty('--sign-color', sign.color);
+    } else {
+      element.style.removeProperty('--sign-color');
+    }
+  }
+
+  // 팻말에 붙인 스티커
+  function renderSignStickers(element, sign) {
+    if (!sign || !sign.stickers || sign.stickers.length === 0) return;
+    const stickers = document.createElement('div');
+    stickers.className = 'sign-stickers';
+    stickers.textContent = sign.stickers.join(' ');
+    element.appendChild(stickers);
+  }
+
+  // 나무 종류 정보
+  function getSpecies(treeType) {
+    return state.species.find(species => species.type === treeType) ||
+      state.species.find(species => species.type === state.defaultSpecies);
+  }
+
+  // 현재 계절에 맞는 추천 나무 종류
+  function getSeasonalSpecies() {
+    const season = getCurrentSeason();
+    return state.species.find(species => species.season === season) || getSpecies(state.defaultSpecies);
   }
 
   // 나무 이모지 fallback
   function getTreeEmoji(treeType) {
-    const emojis = {
-      cherry: '🌸',
-      pine: '🌲',
-      maple: '🍁',
-      christmas: '🎄'
-    };
-    return emojis[treeType] || '🌳';
+    const species = state.species.find(s => s.type === treeType);
+    return species ? species.emoji : '🌳';
+  }
+
+  // 심은 지 얼마나 됐는지에 따른 성장 단계
+  function getGrowthStage(plantedAt) {
+    const days = (Date.now() - new Date(plantedAt).getTime()) / (24 * 60 * 60 * 1000);
+    if (days >= state.growth.fullAfterDays) return 'full';
+    if (days >= state.growth.youngAfterDays) return 'young';
+    return 'sapling';
+  }
+
+  // 나무 그리기 (렌더러를 쓸 수 없으면 이모지로 대체)
+  function mountTree(element, treeType, options) {
+    const species = getSpecies(treeType);
+    if (!window.TreeRenderer || !TreeRenderer.isSupported() || !species || !species.renderer) {
+      showTreeEmojiFallback(element, treeType);
+      return null;
+    }
+
+    try {
+      return TreeRenderer.mount(element, species.renderer, options);
+    } catch (error) {
+      console.error('Failed to render tree:', error);
+      showTreeEmojiFallback(element, treeType);
+      return null;
+    }
   }
 
   // 나무 이모지 fallback 표시
@@ -68,18 +177,94 @@
     element.parentNode.insertBefore(emoji, element);
   }
 
-  // API 호출 헬퍼
-  async function api(endpoint, options = {}) {
+  // 입력 검사 오류 코드별 안내
+  const FIELD_ERROR_MESSAGES = {
+    required: '꼭 입력해주세요.',
+    too_long: '너무 길어요.',
+    too_short: '너무 짧아요.',
+    too_many: '너무 많아요.',
+    out_of_range: '정할 수 있는 범위를 벗어났어요.',
+    invalid_format: '형식이 올바르지 않아요.',
+    invalid_value: '쓸 수 없는 값이에요.',
+    invalid_type: '올바른 값이 아니에요.',
+    already_taken: '이미 다른 사람이 쓰고 있어요.'
+  };
+
+  // 입력 검사 오류를 해당 입력칸 아래에 표시 (입력칸은 data-field로 찾음, 'allowlist.2' 같은 하위 필드는 상위 필드 칸에)
+  // form을 정하면 그 안에서 찾고 닫혀 있으면 다시 열고, 아니면 열려 있는 칸에서만 찾음
+  function showFieldError(error, form) {
+    const scope = (form && document.getElementById(form)) || document;
+    let field = error.field;
+    let input = null;
+    while (field && !input) {
+      input = Array.from(scope.querySelectorAll(`[data-field="${field}"]`))
+        .find(element => form || !element.closest('.modal.hidden')) || null;
+      field = field.includes('.') ? field.slice(0, field.lastIndexOf('.')) : null;
+    }
+    if (!input) return false;
+
+    const modal = input.closest('.modal');
+    if (modal) {
+      modal.classList.remove('hidden');
+    }
+
+    const group = input.closest('.form-group') || input.parentNode;
+    let message = group.querySelector('.field-error');
+    if (!message) {
+      message = document.createElement('p');
+      message.className = 'field-error';
+      group.appendChild(message);
+    }
+    message.textContent = FIELD_ERROR_MESSAGES[error.code] || error.message;
+    input.setAttribute('aria-invalid', 'true');
+    input.focus();
+
+    // 고치기 시작하면 오류 표시를 지움
+    const clear = () => {
+      input.removeAttribute('aria-invalid');
+      message.remove();
+    };
+    input.addEventListener('input', clear, { once: true });
+    input.addEventListener('change', clear, { once: true });
+    return true;
+  }
+
+  // 입력 검사 오류 표시 모두 지우기
+  function clearFieldErrors(container) {
+    container.querySelectorAll('.field-error').forEach(message => message.remove());
+    container.querySelectorAll('[aria-invalid]').forEach(input => input.removeAttribute('aria-invalid'));
+  }
+
+  // API 호출 헬퍼 (options.form: 입력 검사 오류를 표시할 모달/폼의 id)
+  async function api(endpoint, options = {}, retried = false) {
+    const { form, ...fetchOptions } = options;
     const response = await fetch('/api' + endpoint, {
-      ...options,
+      ...fetchOptions,
       headers: {
         'Content-Type': 'application/json',
+        // 링크 공개 토지는 공유 링크의 토큰이 있어야 볼 수 있음
+        ...(state.shareKey ? { 'X-Share-Key': state.shareKey } : {}),
+        // 상태를 바꾸는 요청은 세션의 CSRF 토큰이 있어야 받아줌
+        ...(state.csrfToken ? { 'X-CSRF-Token': state.csrfToken } : {}),
         ...options.headers
       }
     });
     if (!response.ok) {
-      const error = await response.json().catch(() => ({ error: 'Unknown error' }));
-      throw new Error(error.error || 'API Error');
+      const data = await response.json().catch(() => ({}));
+      // 오류는 { error: { code, message } } (입력 검사 오류는 field도 있음)
+      const error = data.error || { code: null, message: 'Unknown error' };
+      // 다른 탭에서 다시 로그인해 토큰이 바뀌었으면 새 토큰을 받아 한 번만 다시 보냄
+      if (error.message === 'Invalid CSRF token' && !retried) {
+        await loadCurrentUser();
+        return api(endpoint, options, true);
+      }
+      if (error.field) {
+        showFieldError(error, form);
+      }
+      const thrown = new Error(error.message || 'API Error');
+      thrown.code = error.code || null;
+      thrown.field = error.field || null;
+      throw thrown;
     }
     return response.json();
   }
@@ -104,6 +289,40 @@
     });
   }
 
+  // 타임캡슐 남은 시간 포맷
+  function formatCountdown(unlockAt) {
+    const remaining = Math.max(0, new Date(unlockAt).getTime() - Date.now());
+    const totalSeconds = Math.floor(remaining / 1000);
+    const days = Math.floor(totalSeconds / 86400);
+    const hours = Math.floor((totalSeconds % 86400) / 3600);
+    const minutes = Math.floor((totalSeconds % 3600) / 60);
+    const seconds = totalSeconds % 60;
+
+    if (days > 0) {
+      return `${days}일 ${hours}시간 남음`;
+    }
+    return [hours, minutes, seconds].map(n => String(n).padStart(2, '0')).join(':') + ' 남음';
+  }
+
+  // 화면의 타임캡슐 카운트다운 갱신 (열릴 시간이 되면 나무 다시 불러오기)
+  function updateCountdowns() {
+    document.querySelectorAll('[data-unlock-at]').forEach(el => {
+      el.textContent = '🔒 ' + formatCountdown(el.dataset.unlockAt);
+    });
+
+    const justUnlocked = state.trees.some(tree =>
+      tree.locked && new Date(tree.unlockAt).getTime() <= Date.now()
+    );
+    if (justUnlocked && state.viewingLandId) {
+      state.trees.forEach(tree => {
+        if (tree.locked && new Date(tree.unlockAt).getTime() <= Date.now()) {
+          tree.locked = false;
+        }
+      });
+      refreshTrees();
+    }
+  }
+
   // URL에서 토지 ID 추출
   function getLandIdFromUrl() {
     const path = window.location.pathname;
@@ -111,9 +330,22 @@
     return match ? match[1] : null;
   }
 
+  // 내 토지 주소 (정한 주소가 있으면 그 주소)
+  function getMyLandPath() {
+    return '/land/' + encodeURIComponent(state.currentUser.slug || state.currentUser.id);
+  }
+
+  // 내가 심은 나무 페이지인지
+  function isPlantedPage() {
+    return window.location.pathname === '/planted';
+  }
+
   // 나무 렌더링
   function renderTrees(direction) {
     const container = document.getElementById('trees-container');
+    // 이전에 그린 나무는 애니메이션 루프에서 빼고 다시 그림
+    state.treeHandles.forEach(handle => handle && handle.destroy());
+    state.treeHandles = [];
     container.innerHTML = '';
 
     // 애니메이션 적용
@@ -125,25 +357,26 @@
 
     if (state.trees.length === 0) {
       // 기본 나무 하나 표시 (계절에 맞는)
-      const season = getCurrentSeason();
-      const defaultTree = TREE_TYPES[season];
-      const treeEl = createTreeElement({
+      const defaultTree = getSeasonalSpecies();
+      const { element, handle } = createTreeElement({
         id: 'default',
-        type: defaultTree.type,
+        type: defaultTree ? defaultTree.type : state.defaultSpecies,
         planterName: '',
         plantedAt: new Date().toISOString(),
         message: '첫 번째 나무를 기다리고 있어요!',
         isDefault: true
       });
-      container.appendChild(treeEl);
+      container.appendChild(element);
+      state.treeHandles.push(handle);
     } else {
       // 현재 페이지의 나무들만 표시
       const startIndex = state.currentTreeIndex;
       const endIndex = Math.min(startIndex + state.treesPerPage, state.trees.length);
       
       for (let i = startIndex; i < endIndex; i++) {
-        const treeEl = createTreeElement(state.trees[i]);
-        container.appendChild(treeEl);
+        const { element, handle } = createTreeElement(state.trees[i]);
+        container.appendChild(element);
+        state.treeHandles.push(handle);
       }
     }
 
@@ -184,55 +417,66 @@
     }
   }
 
-  // 나무 요소 생성
+  // 나무 요소 생성 ({ element, handle }, 다시 그릴 때 handle.destroy()로 렌더러에서 뺌)
   function createTreeElement(tree) {
     const div = document.createElement('div');
     div.className = 'tree';
     div.dataset.treeId = tree.id;
+    if (tree.hidden) {
+      div.classList.add('tree-hidden');
+    }
 
-    // iframe으로 HTML 파일 로드 (SVG 스크립트 포함)
-    const iframe = document.createElement('iframe');
-    iframe.className = 'tree-image';
-    iframe.src = getTreeHtmlUrl(tree.type);
-    iframe.title = tree.type;
-    iframe.setAttribute('scrolling', 'no');
-    iframe.setAttribute('frameborder', '0');
-    iframe.setAttribute('allowtransparency', 'true');
-    iframe.style.backgroundColor = 'transparent';
-    iframe.onerror = function() {
-      // 로드 실패 시 이모지로 대체
-      showTreeEmojiFallback(this, tree.type);
-    };
-    // iframe 로드 실패 감지를 위한 추가 처리
-    iframe.onload = function() {
-      try {
-        // iframe 내용이 비어있으면 fallback
-        if (!this.contentDocument || !this.contentDocument.body.innerHTML) {
-          showTreeEmojiFallback(this, tree.type);
-        }
-      } catch (e) {
-        // cross-origin 에러는 무시 (정상적으로 로드된 경우)
-      }
-    };
+    // 나무 그림 (공유 렌더러로 SVG 그리기)
+    const image = document.createElement('div');
+    image.className = 'tree-image';
+    image.title = tree.type;
+    div.appendChild(image);
+    const handle = mountTree(image, tree.type, tree.isDefault ? {} : {
+      growth: getGrowthStage(tree.plantedAt),
+      vitality: tree.vitality / 100
+    });
 
     const sign = document.createElement('div');
     sign.className = 'tree-sign';
 
-    div.appendChild(iframe);
-
     if (tree.isDefault) {
       sign.innerHTML = '<div class="sign-owner">🌱</div><div class="sign-date">첫 나무를 기다려요</div>';
     } else {
       sign.innerHTML = `
-        <div class="sign-owner">${escapeHtml(tree.planterName)}님이</div>
-        <div class="sign-date">${formatDate(tree.plantedAt)}에 심은 나무</div>
+        <div class="sign-owner">${escapeHtml(tree.planterName)}님이${tree.guest ? ' <span class="guest-badge">손님</span>' : ''}</div>
+        <div class="sign-date">${formatDate(tree.plantedAt)}에 심은 나무${tree.hidden ? ' (숨김)' : ''}</div>
       `;
+      applySignStyle(sign, tree.sign);
+      renderSignStickers(sign, tree.sign);
+
+      // 물 주기 버튼 (로그인한 사람, 하루 한 번)
+      if (state.currentUser) {
+        const waterBtn = document.createElement('button');
+        waterBtn.className = 'water-btn';
+        waterBtn.textContent = tree.wateredByMe ? '💧 오늘 물 줬어요' : '💧 물 주기';
+        waterBtn.disabled = !!tree.wateredByMe;
+        waterBtn.addEventListener('click', (e) => {
+          e.stopPropagation();
+          waterTree(tree);
+        });
+        sign.appendChild(waterBtn);
+      }
+
+      // 타임캡슐 팻말은 열릴 때까지 봉인 표시
+      if (tree.locked) {
+        sign.classList.add('tree-sign-sealed');
+        const countdown = document.createElement('div');
+        countdown.className = 'sign-countdown';
+        countdown.dataset.unlockAt = tree.unlockAt;
+        countdown.textContent = '🔒 ' + formatCountdown(tree.unlockAt);
+        sign.appendChild(countdown);
+      }
     }
 
     div.appendChild(sign);
 
-    // 클릭 이벤트 (토지 주인만 메시지 확인 가능)
-    if (!tree.isDefault && state.isOwnLand) {
+    // 클릭 이벤트 (토지 주인과 심은 사람만 메시지 확인 가능)
+    if (!tree.isDefault && (state.isOwnLand || tree.isMine)) {
       div.addEventListener('click', () => showSignModal(tree));
       div.style.cursor = 'pointer';
     } else if (!tree.isDefault) {
@@ -241,7 +485,7 @@
       });
     }
 
-    return div;
+    return { element: div, handle };
   }
 
   // HTML 이스케이프
@@ -251,6 +495,39 @@
     return div.innerHTML;
   }
 
+  // 팻말 사진 갤러리 (큰 사진 하나와 여러 장일 때 작은 사진 목록, 누르면 큰 사진이 바뀜)
+  function renderSignGallery(container, imageUrls) {
+    container.innerHTML = '';
+    if (imageUrls.length === 0) return;
+
+    const main = document.createElement('img');
+    main.className = 'gallery-main';
+    main.src = imageUrls[0];
+    main.alt = '첨부 이미지';
+    container.appendChild(main);
+    if (imageUrls.length === 1) return;
+
+    const thumbs = document.createElement('div');
+    thumbs.className = 'gallery-thumbs';
+    imageUrls.forEach((url, index) => {
+      const button = document.createElement('button');
+      button.type = 'button';
+      button.className = 'gallery-thumb' + (index === 0 ? ' active' : '');
+      button.title = `${index + 1}번째 사진`;
+      const img = document.createElement('img');
+      img.src = url;
+      img.alt = '';
+      button.appendChild(img);
+      button.addEventListener('click', () => {
+        main.src = url;
+        main.alt = `첨부 이미지 ${index + 1}`;
+        thumbs.querySelectorAll('.gallery-thumb').forEach(thumb => thumb.classList.toggle('active', thumb === button));
+      });
+      thumbs.appendChild(button);
+    });
+    container.appendChild(thumbs);
+  }
+
   // 팻말 모달 표시
   function showSignModal(tree) {
     const modal = document.getElementById('sign-modal');
@@ -258,201 +535,1847 @@
     const content = document.getElementById('sign-content');
     const imageView = document.getElementById('sign-image-view');
 
-    info.textContent = `${tree.planterName}님이 ${formatDate(tree.plantedAt)}에 심은 나무입니다.`;
-    content.textContent = tree.message || '(메시지 없음)';
+    info.textContent = `${tree.planterName}님이 ${formatDate(tree.plantedAt)}에 심은 나무입니다.` +
+      (tree.guest ? ' (손님)' : '') + (tree.editedAt ? ' (수정됨)' : '');
+
+    // 타임캡슐: 열리는 날까지 내용 대신 봉인된 팻말 표시 (심은 사람은 자신의 팻말을 볼 수 있음)
+    const countdown = document.getElementById('sign-countdown');
+    if (tree.locked) {
+      countdown.dataset.unlockAt = tree.unlockAt;
+      countdown.textContent = '🔒 ' + formatCountdown(tree.unlockAt);
+      countdown.classList.remove('hidden');
+    } else {
+      delete countdown.dataset.unlockAt;
+      countdown.classList.add('hidden');
+    }
+
+    const sealed = tree.locked && !tree.isMine;
+    content.classList.toggle('sealed', sealed);
+    applySignStyle(content, sealed ? null : tree.sign);
+    if (sealed) {
+      content.textContent = `봉인된 팻말이에요. ${formatDate(tree.unlockAt)}에 열어볼 수 있어요.`;
+    } else {
+      renderSignMessage(content, tree.message || '(메시지 없음)');
+      renderSignStickers(content, tree.sign);
+    }
+
+    renderSignGallery(imageView, tree.imageUrls || []);
 
-    if (tree.imageUrl) {
-      imageView.innerHTML = `<img src="${tree.imageUrl}" alt="첨부 이미지">`;
+    // 음성 메시지 (토지 주인과 심은 사람에게만 audioUrl이 옴)
+    const audio = document.getElementById('sign-audio');
+    audio.pause();
+    document.getElementById('sign-audio-view').classList.toggle('hidden', !tree.audioUrl);
+    if (tree.audioUrl) {
+      document.getElementById('sign-audio-label').textContent =
+        `🎙️ 음성 메시지 (${formatDuration(tree.audioDuration || 0)})`;
+      audio.src = tree.audioUrl;
     } else {
-      imageView.innerHTML = '';
+      audio.removeAttribute('src');
     }
 
+    // 토지 주인용 숨기기/삭제 버튼, 심은 사람용 고치기/거두기 버튼
+    state.openTree = tree;
+    document.getElementById('sign-owner-actions').classList.toggle('hidden', !state.isOwnLand);
+    document.getElementById('hide-tree-btn').textContent = tree.hidden ? '다시 보이기' : '숨기기';
+    document.getElementById('sign-planter-actions').classList.toggle('hidden', !(tree.isMine && tree.editable));
+
+    // 답장: 토지 주인은 작성, 심은 사람은 읽기만
+    const replySection = document.getElementById('sign-reply');
+    const replyView = document.getElementById('sign-reply-view');
+    const canReply = state.isOwnLand && !tree.locked;
+    replySection.classList.toggle('hidden', !(canReply || (tree.isMine && tree.reply)));
+    document.getElementById('sign-reply-form').classList.toggle('hidden', !canReply);
+    replyView.textContent = tree.reply ? tree.reply.message : '';
+    document.getElementById('reply-message').value = tree.reply ? tree.reply.message : '';
+    document.getElementById('save-reply-btn').textContent = tree.reply ? '답장 고치기' : '답장 남기기';
+    document.getElementById('delete-reply-btn').classList.toggle('hidden', !tree.reply);
+
     modal.classList.remove('hidden');
-  }
 
-  // 토지 테마 적용
-  function applyLandTheme(settings) {
-    if (settings) {
-      if (settings.skyColor) {
-        document.getElementById('sky').style.background = 
-          `linear-gradient(to bottom, ${settings.skyColor}, ${lightenColor(settings.skyColor, 30)})`;
-      }
-      if (settings.landColor) {
-        document.getElementById('land').style.background = 
-          `linear-gradient(to bottom, ${settings.landColor} 0%, ${darkenColor(settings.landColor, 20)} 50%, ${darkenColor(settings.landColor, 40)} 100%)`;
-      }
+    // 토지 주인이 처음 열어보면 기록 (이후로는 심은 사람이 고칠 수 없음)
+    if (state.isOwnLand && !tree.openedAt && !tree.locked) {
+      tree.openedAt = new Date().toISOString();
+      api('/land/' + state.viewingLandId + '/trees/' + tree.id + '/open', { method: 'POST' })
+        .catch(error => console.error('Failed to mark sign opened:', error));
     }
   }
 
-  // 색상 밝게
-  function lightenColor(color, percent) {
-    const num = parseInt(color.replace('#', ''), 16);
-    const amt = Math.round(2.55 * percent);
-    const R = (num >> 16) + amt;
-    const G = (num >> 8 & 0x00FF) + amt;
-    const B = (num & 0x0000FF) + amt;
-    return '#' + (
-      0x1000000 +
-      (R < 255 ? (R < 1 ? 0 : R) : 255) * 0x10000 +
-      (G < 255 ? (G < 1 ? 0 : G) : 255) * 0x100 +
-      (B < 255 ? (B < 1 ? 0 : B) : 255)
-    ).toString(16).slice(1);
+  // 나무 심기 모달 열기 (tree가 있으면 팻말 고치기)
+  function openPlantModal(tree) {
+    state.editingTree = tree || null;
+
+    clearFieldErrors(document.getElementById('plant-modal'));
+    document.getElementById('plant-modal-title').textContent = tree ? '팻말 고치기' : '나무 심어주기';
+    document.getElementById('confirm-plant-btn').textContent = tree ? '고치기' : '나무 심기';
+    document.getElementById('sign-message').value = tree ? tree.message : '';
+    document.getElementById('sign-image').value = '';
+    document.getElementById('remove-image-checkbox').checked = false;
+    document.getElementById('remove-image-label').classList.toggle('hidden', !(tree && tree.imageUrls.length));
+    resetVoiceRecorder();
+    document.getElementById('remove-audio-checkbox').checked = false;
+    document.getElementById('remove-audio-label').classList.toggle('hidden', !(tree && tree.audioUrl));
+
+    // 로그인하지 않았으면 손님 초대 코드와 이름 입력
+    document.getElementById('guest-group').classList.toggle('hidden', !!state.currentUser || !!tree);
+    if (!state.currentUser) {
+      document.getElementById('guest-code-input').value = state.guestCode || '';
+    }
+
+    // 나무 종류 선택 (계절 나무를 기본으로 추천)
+    if (!tree) {
+      const seasonal = getSeasonalSpecies();
+      renderSpeciesPicker(seasonal ? seasonal.type : state.defaultSpecies);
+    }
+    document.getElementById('species-group').classList.toggle('hidden', !!tree);
+    renderSignStylePicker(tree ? tree.sign : null);
+
+    // 타임캡슐 날짜는 새로 심을 때만 정할 수 있음
+    const unlockInput = document.getElementById('sign-unlock-at');
+    unlockInput.value = '';
+    unlockInput.min = toDateTimeLocalValue(new Date());
+    document.getElementById('unlock-at-group').classList.toggle('hidden', !!tree);
+
+    renderImagePreview(document.getElementById('image-preview'), tree ? tree.imageUrls : []);
+
+    document.getElementById('plant-modal').classList.remove('hidden');
   }
 
-  // 색상 어둡게
-  function darkenColor(color, percent) {
-    return lightenColor(color, -percent);
+  // 나무 종류 선택기 렌더링
+  function renderSpeciesPicker(selectedType) {
+    const picker = document.getElementById('species-picker');
+    const seasonal = getSeasonalSpecies();
+    picker.innerHTML = '';
+
+    state.species.forEach(species => {
+      const option = document.createElement('button');
+      option.type = 'button';
+      option.className = 'species-option';
+      option.dataset.type = species.type;
+      option.textContent = `${species.emoji} ${species.name}`;
+      if (seasonal && species.type === seasonal.type) {
+        option.title = '이번 계절 추천';
+        option.classList.add('seasonal');
+      }
+      option.addEventListener('click', () => selectSpecies(species.type));
+      picker.appendChild(option);
+    });
+
+    selectSpecies(selectedType);
   }
 
-  // 나무 개수 업데이트
-  function updateTreeCount() {
-    const treeCountNumber = document.getElementById('tree-count-number');
-    treeCountNumber.textContent = state.trees.length;
+  // 팻말 꾸미기 선택기 렌더링 (판 종류, 색, 스티커)
+  function renderSignStylePicker(sign) {
+    const registry = state.signStyles;
+    document.getElementById('sign-style-group').classList.toggle('hidden', !registry);
+    if (!registry) return;
+
+    const selected = sign || registry.default;
+    state.signStyle = { board: selected.board, color: selected.color, stickers: [...(selected.stickers || [])] };
+
+    const boardPicker = document.getElementById('sign-board-picker');
+    boardPicker.innerHTML = '';
+    registry.boards.forEach(board => {
+      const option = document.createElement('button');
+      option.type = 'button';
+      option.className = 'sign-style-option';
+      option.dataset.board = board.type;
+      option.textContent = board.name;
+      option.addEventListener('click', () => {
+        state.signStyle.board = board.type;
+        updateSignStylePicker();
+      });
+      boardPicker.appendChild(option);
+    });
+
+    const colorPicker = document.getElementById('sign-color-picker');
+    colorPicker.innerHTML = '';
+    registry.colors.forEach(color => {
+      const option = document.createElement('button');
+      option.type = 'button';
+      option.className = 'sign-color-option';
+      option.dataset.color = color;
+      option.title = color;
+      option.setAttribute('aria-label', '팻말 색 ' + color);
+      option.style.background = color;
+      option.addEventListener('click', () => {
+        state.signStyle.color = color;
+        updateSignStylePicker();
+      });
+      colorPicker.appendChild(option);
+    });
+
+    const stickerPicker = document.getElementById('sign-sticker-picker');
+    stickerPicker.innerHTML = '';
+    registry.stickers.forEach(sticker => {
+      const option = document.createElement('button');
+      option.type = 'button';
+      option.className = 'sign-sticker-option';
+      option.dataset.sticker = sticker;
+      option.textContent = sticker;
+      option.addEventListener('click', () => toggleSignSticker(sticker));
+      stickerPicker.appendChild(option);
+    });
+
+    updateSignStylePicker();
   }
 
-  // UI 업데이트
-  function updateUI() {
-    const loginScreen = document.getElementById('login-screen');
-    const plantScreen = document.getElementById('plant-tree-screen');
-    const treeCountDisplay = document.getElementById('tree-count-display');
-    const landOwnerDisplay = document.getElementById('land-owner-display');
-    const landOwnerName = document.getElementById('land-owner-name');
-    const copyLinkBtn = document.getElementById('copy-link-btn');
-    const headerColors = document.getElementById('header-colors');
-    const treesPerPageWrapper = document.getElementById('trees-per-page-wrapper');
-    const userAccount = document.getElementById('user-account');
-    const settingsBtn = document.getElementById('settings-btn');
+  // 스티커 붙이기/떼기 (maxStickers개까지)
+  function toggleSignSticker(sticker) {
+    const stickers = state.signStyle.stickers;
+    if (stickers.includes(sticker)) {
+      state.signStyle.stickers = stickers.filter(s => s !== sticker);
+    } else if (stickers.length >= state.signStyles.maxStickers) {
+      showToast(`스티커는 ${state.signStyles.maxStickers}개까지 붙일 수 있어요.`);
+      return;
+    } else {
+      stickers.push(sticker);
+    }
+    updateSignStylePicker();
+  }
 
-    const landId = getLandIdFromUrl();
+  // 선택 표시와 팻말 미리보기 갱신
+  function updateSignStylePicker() {
+    const sign = state.signStyle;
+    document.querySelectorAll('.sign-style-option').forEach(option => {
+      option.classList.toggle('selected', option.dataset.board === sign.board);
+    });
+    document.querySelectorAll('.sign-color-option').forEach(option => {
+      option.classList.toggle('selected', option.dataset.color === sign.color);
+    });
+    document.querySelectorAll('.sign-sticker-option').forEach(option => {
+      option.classList.toggle('selected', sign.stickers.includes(option.dataset.sticker));
+    });
 
-    // 나무 개수 업데이트
-    updateTreeCount();
+    const preview = document.getElementById('sign-style-preview');
+    preview.querySelectorAll('.sign-stickers').forEach(stickers => stickers.remove());
+    applySignStyle(preview, sign);
+    renderSignStickers(preview, sign);
+  }
 
-    if (!landId && !state.currentUser) {
-      // 메인 페이지, 비로그인
-      loginScreen.classList.remove('hidden');
-      plantScreen.classList.add('hidden');
-      treeCountDisplay.classList.add('hidden');
-      landOwnerDisplay.classList.add('hidden');
-      copyLinkBtn.classList.add('hidden');
-      headerColors.classList.add('hidden');
-      treesPerPageWrapper.classList.add('hidden');
-      userAccount.classList.add('hidden');
-      settingsBtn.classList.add('hidden');
-    } else if (!landId && state.currentUser) {
-      // 메인 페이지, 로그인됨 -> 자신의 토지로 리다이렉트
-      window.location.href = '/land/' + state.currentUser.id;
-    } else if (landId && state.isOwnLand) {
-      // 자신의 토지
-      loginScreen.classList.add('hidden');
-      plantScreen.classList.add('hidden');
-      treeCountDisplay.classList.remove('hidden');
-      landOwnerDisplay.classList.remove('hidden');
-      copyLinkBtn.classList.remove('hidden');
-      headerColors.classList.remove('hidden');
-      treesPerPageWrapper.classList.remove('hidden');
-      userAccount.classList.remove('hidden');
-      settingsBtn.classList.remove('hidden');
+  // 고른 글씨를 꾸밈 표시로 감싸기 (여러 줄이면 줄마다)
+  function wrapSelection(textarea, marker) {
+    const { selectionStart: start, selectionEnd: end, value } = textarea;
+    const selected = value.slice(start, end) || '글씨';
+    const wrapped = selected.split('\n').map(line => line.trim() ? marker + line + marker : line).join('\n');
+    textarea.setRangeText(wrapped, start, end, 'end');
+    textarea.focus();
+    textarea.dispatchEvent(new Event('input'));
+  }
 
-      // 토지 소유자 이름 표시
-      landOwnerName.textContent = state.currentUser.nickname || state.currentUser.name;
+  // 나무 종류 선택 및 미리보기
+  function selectSpecies(treeType) {
+    state.selectedSpecies = treeType;
 
-      document.getElementById('user-avatar').src = state.currentUser.profileImage || '';
-      document.getElementById('user-name').textContent = state.currentUser.nickname || state.currentUser.name;
-      document.getElementById('trees-per-page-header').value = state.currentUser.settings?.treesPerPage || 1;
-      
-      // 색상 선택기 값 설정
-      document.getElementById('header-sky-color').value = state.currentUser.settings?.skyColor || '#87CEEB';
-      document.getElementById('header-land-color').value = state.currentUser.settings?.landColor || '#8B4513';
-    } else if (landId && !state.isOwnLand) {
-      // 다른 사람의 토지
-      loginScreen.classList.add('hidden');
-      plantScreen.classList.remove('hidden');
-      treeCountDisplay.classList.remove('hidden');
-      landOwnerDisplay.classList.remove('hidden');
-      copyLinkBtn.classList.add('hidden');
-      headerColors.classList.add('hidden');
+    document.querySelectorAll('.species-option').forEach(option => {
+      option.classList.toggle('selected', option.dataset.type === treeType);
+    });
 
-      // 토지 소유자 이름 표시
-      if (state.landOwner) {
-        landOwnerName.textContent = state.landOwner.nickname || state.landOwner.name;
+    const preview = document.getElementById('species-preview');
+    if (preview.dataset.type !== treeType) {
+      if (state.speciesPreview) {
+        state.speciesPreview.destroy();
       }
+      preview.innerHTML = '';
+      preview.style.display = '';
+      preview.parentNode.querySelectorAll('.tree-emoji').forEach(emoji => emoji.remove());
+      preview.dataset.type = treeType;
+      state.speciesPreview = mountTree(preview, treeType);
+    }
+  }
 
-      if (state.currentUser) {
-        treesPerPageWrapper.classList.remove('hidden');
-        userAccount.classList.remove('hidden');
-        settingsBtn.classList.remove('hidden');
-        document.getElementById('user-avatar').src = state.currentUser.profileImage || '';
-        document.getElementById('user-name').textContent = state.currentUser.nickname || state.currentUser.name;
-      } else {
-        treesPerPageWrapper.classList.add('hidden');
-        userAccount.classList.add('hidden');
-        settingsBtn.classList.add('hidden');
+  // 심은 나무의 팻말 고치기
+  // imageFiles를 고르면 첨부한 이미지를 모두 바꾸고, removeImages면 모두 뺌
+  // voice를 녹음했으면 음성 메시지를 바꾸고, removeAudio면 뺌
+  async function editTree(tree, message, imageFiles, removeImages, voice, removeAudio, sign) {
+    try {
+      const images = await Promise.all(imageFiles.map(file => processImage(file, SIGN_IMAGE)));
+      const audio = voice ? await blobToDataUrl(voice.blob) : null;
+
+      const data = await api('/land/' + state.viewingLandId + '/trees/' + tree.id, {
+        method: 'PUT',
+        form: 'plant-modal',
+        body: JSON.stringify({
+          message: message,
+          images: images,
+          removeImages: removeImages,
+          audio: audio,
+          audioDuration: voice ? voice.duration : null,
+          removeAudio: removeAudio,
+          sign: sign
+        })
+      });
+
+      const index = state.trees.findIndex(t => t.id === tree.id);
+      if (index !== -1) {
+        state.trees[index] = data.tree;
       }
+
+      showToast('팻말을 고쳤습니다!');
+      renderTrees();
+    } catch (error) {
+      console.error('Failed to edit tree:', error);
+      showToast('팻말 고치기에 실패했습니다: ' + error.message);
     }
   }
 
-  // 토지 데이터 로드
-  async function loadLand(landId) {
+  // 심은 나무 거두기
+  async function withdrawTree(tree) {
+    if (!confirm('심은 나무를 거둘까요? 거둔 나무는 되돌릴 수 없어요.')) {
+      return;
+    }
+
     try {
-      const data = await api('/land/' + landId);
-      state.landOwner = data.owner;
-      state.trees = data.trees || [];
-      state.viewingLandId = landId;
-      state.isOwnLand = state.currentUser && state.currentUser.id === landId;
-      // treesPerPage는 현재 로그인한 사용자의 설정 사용 (토지 소유자 설정 아님)
-      state.treesPerPage = state.currentUser?.settings?.treesPerPage || 1;
-      state.currentTreeIndex = Math.max(0, state.trees.length - state.treesPerPage);
+      await api('/land/' + state.viewingLandId + '/trees/' + tree.id, { method: 'DELETE' });
 
-      applyLandTheme(data.owner.settings);
+      state.trees = state.trees.filter(t => t.id !== tree.id);
+      clampTreeIndex();
+
+      document.getElementById('sign-modal').classList.add('hidden');
+      showToast('나무를 거뒀습니다.');
       renderTrees();
-      updateUI();
+      updateTreeCount();
     } catch (error) {
-      console.error('Failed to load land:', error);
-      showToast('토지를 불러오는데 실패했습니다.');
+      console.error('Failed to withdraw tree:', error);
+      showToast('나무 거두기에 실패했습니다: ' + error.message);
     }
   }
 
-  // 현재 사용자 정보 로드
-  async function loadCurrentUser() {
+  // 답장 남기기/지우기 (message가 없으면 삭제)
+  async function saveReply(tree, message) {
     try {
-      const data = await api('/auth/me');
-      if (data.user) {
-        state.currentUser = data.user;
-      }
+      const endpoint = '/land/' + state.viewingLandId + '/trees/' + tree.id + '/reply';
+      const data = message
+        ? await api(endpoint, { method: 'PUT', form: 'sign-modal', body: JSON.stringify({ message }) })
+        : await api(endpoint, { method: 'DELETE' });
+
+      tree.reply = data.reply;
+      showToast(data.reply ? '답장을 남겼습니다. 심은 사람만 볼 수 있어요.' : '답장을 지웠습니다.');
+      showSignModal(tree);
     } catch (error) {
-      // 로그인 안됨
-      state.currentUser = null;
+      console.error('Failed to save reply:', error);
+      showToast('답장 저장에 실패했습니다: ' + error.message);
     }
   }
 
-  // 이미지를 Base64로 변환
-  function imageToBase64(file) {
-    return new Promise((resolve, reject) => {
-      const reader = new FileReader();
-      reader.onload = () => resolve(reader.result);
-      reader.onerror = reject;
-      reader.readAsDataURL(file);
-    });
-  }
+  // 답장함 불러오기 (more가 참이면 이어서 불러오기)
+  async function loadReplies(more) {
+    const list = document.getElementById('replies-list');
+    const moreBtn = document.getElementById('more-replies-btn');
+
+    if (!more) {
+      list.innerHTML = '';
+      state.repliesCursor = null;
+    }
 
-  // 나무 심기
-  async function plantTree(message, imageFile) {
     try {
-      let imageData = null;
-      if (imageFile) {
-        imageData = await imageToBase64(imageFile);
+      const query = state.repliesCursor ? '?cursor=' + encodeURIComponent(state.repliesCursor) : '';
+      const data = await api('/me/replies' + query);
+
+      if (!more && data.replies.length === 0) {
+        list.innerHTML = '<li class="list-empty">아직 받은 답장이 없어요.</li>';
       }
 
-      const season = getCurrentSeason();
-      const treeType = TREE_TYPES[season].type;
+      data.replies.forEach(reply => {
+        const item = document.createElement('li');
+        item.innerHTML = `
+          <a class="reply-from" href="/land/${encodeURIComponent(reply.landId)}">${escapeHtml(reply.ownerName)}님의 토지</a>
+          <p class="reply-message">${escapeHtml(reply.message)}</p>
+          <span class="reply-date">${formatDate(reply.repliedAt)}</span>
+        `;
+        list.appendChild(item);
+      });
+
+      state.repliesCursor = data.cursor;
+      moreBtn.classList.toggle('hidden', !data.cursor);
+    } catch (error) {
+      console.error('Failed to load replies:', error);
+      showToast('답장함을 불러오는데 실패했습니다.');
+    }
+  }
+
+  // 알림 문구
+  function getNotificationText(notification) {
+    const name = notification.actorName || '누군가';
+    switch (notification.type) {
+      case 'planted':
+        return `${name}님이 내 토지에 나무를 심었어요.`;
+      case 'reply':
+        return `${name}님이 내 나무에 답장을 남겼어요.`;
+      case 'unlocked':
+        return `${name}님의 타임캡슐 팻말이 열렸어요.`;
+      case 'joined':
+        return `${name}님이 공동 주인 초대를 수락했어요.`;
+      default:
+        return '새 알림이 있어요.';
+    }
+  }
+
+  // 알림 배지 갱신
+  function updateNotificationBadge(count) {
+    const badge = document.getElementById('notifications-badge');
+    badge.textContent = count > 99 ? '99+' : count;
+    badge.classList.toggle('hidden', count === 0);
+  }
+
+  // 알림 불러오기 (more가 참이면 이어서 불러오기)
+  async function loadNotifications(more) {
+    if (!more) {
+      state.notifications = [];
+      state.notificationsCursor = null;
+    }
+
+    const query = state.notificationsCursor ? '?cursor=' + encodeURIComponent(state.notificationsCursor) : '';
+    const data = await api('/notifications' + query);
+
+    state.notifications = state.notifications.concat(data.notifications);
+    state.notificationsCursor = data.cursor;
+    state.pushPublicKey = data.pushPublicKey;
+    updateNotificationBadge(data.unreadCount);
+  }
+
+  // 알림 목록 표시
+  function renderNotifications() {
+    const list = document.getElementById('notifications-list');
+    list.innerHTML = '';
+
+    if (state.notifications.length === 0) {
+      list.innerHTML = '<li class="list-empty">아직 받은 알림이 없어요.</li>';
+    }
+
+    state.notifications.forEach(notification => {
+      const item = document.createElement('li');
+      item.className = notification.readAt ? '' : 'unread';
+      item.innerHTML = `
+        <a href="/land/${encodeURIComponent(notification.landId)}">
+          <span class="notification-text">${escapeHtml(getNotificationText(notification))}</span>
+          <span class="notification-date">${formatDate(notification.createdAt)}</span>
+        </a>
+      `;
+      item.querySelector('a').addEventListener('click', async (e) => {
+        if (notification.readAt) return;
+        e.preventDefault();
+        await markNotificationsRead([notification.id]);
+        window.location.href = e.currentTarget.href;
+      });
+      list.appendChild(item);
+    });
+
+    document.getElementById('more-notifications-btn').classList.toggle('hidden', !state.notificationsCursor);
+
+    // 브라우저 알림은 서버에 푸시가 설정되어 있고 브라우저가 지원할 때만
+    const pushSupported = !!state.pushPublicKey && 'serviceWorker' in navigator && 'PushManager' in window;
+    document.getElementById('push-subscribe-btn').classList.toggle('hidden', !pushSupported);
+  }
+
+  // 알림 배지만 갱신 (실패해도 조용히 넘어감)
+  async function refreshNotificationBadge() {
+    try {
+      const data = await api('/notifications');
+      state.pushPublicKey = data.pushPublicKey;
+      updateNotificationBadge(data.unreadCount);
+    } catch (error) {
+      console.error('Failed to refresh notifications:', error);
+    }
+  }
+
+  // 알림 모달 열기
+  async function showNotificationsModal() {
+    document.getElementById('notifications-modal').classList.remove('hidden');
+    try {
+      await loadNotifications(false);
+      renderNotifications();
+    } catch (error) {
+      console.error('Failed to load notifications:', error);
+      showToast('알림을 불러오는데 실패했습니다.');
+    }
+  }
+
+  // 알림 읽음 처리 (ids가 없으면 전부)
+  async function markNotificationsRead(ids) {
+    try {
+      await api('/notifications/read', {
+        method: 'POST',
+        body: JSON.stringify(ids ? { ids } : {})
+      });
+    } catch (error) {
+      console.error('Failed to mark notifications read:', error);
+    }
+  }
+
+  // 브라우저 푸시 알림 구독
+  async function subscribePush() {
+    try {
+      const registration = await navigator.serviceWorker.register('/sw.js');
+      const subscription = await registration.pushManager.subscribe({
+        userVisibleOnly: true,
+        applicationServerKey: state.pushPublicKey
+      });
+      await api('/notifications/push', {
+        method: 'POST',
+        body: JSON.stringify({ endpoint: subscription.endpoint })
+      });
+      showToast('이제 브라우저로도 알림을 받아요.');
+    } catch (error) {
+      console.error('Failed to subscribe push:', error);
+      showToast('브라우저 알림을 켜지 못했습니다.');
+    }
+  }
+
+  // 내가 심은 나무 목록 불러오기 (more가 참이면 이어서 불러오기)
+  async function loadPlantedTrees(more) {
+    const list = document.getElementById('planted-list');
+    const moreBtn = document.getElementById('more-planted-btn');
+
+    if (!more) {
+      list.innerHTML = '';
+      state.plantedCursor = null;
+    }
+
+    try {
+      const query = state.plantedCursor ? '?cursor=' + encodeURIComponent(state.plantedCursor) : '';
+      const data = await api('/me/planted' + query);
+
+      if (!more && data.trees.length === 0) {
+        list.innerHTML = '<li class="list-empty">아직 심은 나무가 없어요. 친구의 토지에 나무를 심어보세요!</li>';
+      }
+
+      data.trees.forEach(entry => {
+        const species = state.species.find(s => s.type === entry.type);
+        const item = document.createElement('li');
+        item.className = 'planted-item';
+        item.innerHTML = `
+          <a href="/land/${encodeURIComponent(entry.landId)}">
+            <span class="planted-emoji">${getTreeEmoji(entry.type)}</span>
+            <span class="planted-body">
+              <span class="planted-owner">${escapeHtml(entry.ownerName || '알 수 없음')}님의 ${escapeHtml(entry.landName || '토지')}</span>
+              <span class="planted-meta">${formatDate(entry.plantedAt)} · ${escapeHtml(species ? species.name : entry.type)}</span>
+              <span class="planted-message"></span>
+            </span>
+          </a>
+        `;
+        renderSignMessage(item.querySelector('.planted-message'), entry.message || '(메시지 없음)');
+        list.appendChild(item);
+      });
+
+      state.plantedCursor = data.cursor;
+      moreBtn.classList.toggle('hidden', !data.cursor);
+    } catch (error) {
+      console.error('Failed to load planted trees:', error);
+      showToast('심은 나무를 불러오는데 실패했습니다.');
+    }
+  }
+
+  // 나무에 물 주기
+  async function waterTree(tree) {
+    try {
+      const data = await api('/land/' + state.viewingLandId + '/trees/' + tree.id + '/water', {
+        method: 'POST'
+      });
+
+      tree.vitality = data.vitality;
+      tree.wateredByMe = data.wateredByMe;
+
+      showToast('물을 줬어요! 나무가 더 싱싱해졌어요 💧');
+      renderTrees();
+    } catch (error) {
+      console.error('Failed to water tree:', error);
+      showToast('물 주기에 실패했습니다: ' + error.message);
+    }
+  }
+
+  // 캐러셀 위치를 나무 개수에 맞게 보정
+  function clampTreeIndex() {
+    state.currentTreeIndex = Math.min(
+      state.currentTreeIndex,
+      Math.max(0, state.trees.length - state.treesPerPage)
+    );
+  }
+
+  // 나무 숨기기/다시 보이기
+  async function toggleTreeHidden(tree) {
+    try {
+      const action = tree.hidden ? 'unhide' : 'hide';
+      const data = await api('/land/' + state.viewingLandId + '/trees/' + tree.id + '/' + action, {
+        method: 'POST'
+      });
+
+      const index = state.trees.findIndex(t => t.id === tree.id);
+      if (index !== -1) {
+        state.trees[index] = data.tree;
+      }
+
+      document.getElementById('sign-modal').classList.add('hidden');
+      showToast(data.tree.hidden ? '나무를 숨겼습니다. 방문자에게는 보이지 않아요.' : '나무를 다시 보이게 했습니다.');
+      renderTrees();
+    } catch (error) {
+      console.error('Failed to toggle tree:', error);
+      showToast('나무 상태 변경에 실패했습니다.');
+    }
+  }
+
+  // 나무 삭제 (휴지통으로 이동)
+  async function deleteTree(tree) {
+    if (!confirm(`${tree.planterName}님이 심은 나무를 삭제할까요?\n휴지통에서 30일 안에 복원할 수 있어요.`)) {
+      return;
+    }
+
+    try {
+      await api('/land/' + state.viewingLandId + '/trees/' + tree.id, { method: 'DELETE' });
+
+      state.trees = state.trees.filter(t => t.id !== tree.id);
+      clampTreeIndex();
+
+      document.getElementById('sign-modal').classList.add('hidden');
+      showToast('나무를 휴지통으로 옮겼습니다.');
+      renderTrees();
+      updateTreeCount();
+    } catch (error) {
+      console.error('Failed to delete tree:', error);
+      showToast('나무 삭제에 실패했습니다.');
+    }
+  }
+
+  // 휴지통 모달 표시
+  async function showTrashModal() {
+    const list = document.getElementById('trash-list');
+    list.innerHTML = '';
+    document.getElementById('trash-modal').classList.remove('hidden');
+
+    try {
+      const data = await api('/land/' + state.viewingLandId + '/trash');
+
+      if (data.trees.length === 0) {
+        list.innerHTML = '<li class="trash-empty">휴지통이 비어 있습니다.</li>';
+        return;
+      }
+
+      data.trees.forEach(tree => {
+        const item = document.createElement('li');
+        item.innerHTML = `
+          <div class="trash-info">
+            <span>${escapeHtml(tree.planterName)}님의 나무 (${formatDate(tree.plantedAt)})</span>
+            <span class="trash-purge">${formatDate(tree.purgeAt)}에 영구 삭제</span>
+          </div>
+        `;
+
+        const restoreBtn = document.createElement('button');
+        restoreBtn.textContent = '복원';
+        restoreBtn.addEventListener('click', () => restoreTree(tree, item));
+        item.appendChild(restoreBtn);
+
+        list.appendChild(item);
+      });
+    } catch (error) {
+      console.error('Failed to load trash:', error);
+      showToast('휴지통을 불러오는데 실패했습니다.');
+    }
+  }
+
+  // 휴지통에서 나무 복원
+  async function restoreTree(tree, item) {
+    try {
+      const data = await api('/land/' + state.viewingLandId + '/trees/' + tree.id + '/restore', {
+        method: 'POST'
+      });
+
+      state.trees.push(data.tree);
+      state.trees.sort((a, b) => a.plantedAt.localeCompare(b.plantedAt));
+      item.remove();
+
+      showToast('나무를 복원했습니다.');
+      renderTrees();
+      updateTreeCount();
+    } catch (error) {
+      console.error('Failed to restore tree:', error);
+      showToast('나무 복원에 실패했습니다.');
+    }
+  }
+
+  // 토지 테마 적용 (#rrggbb가 아닌 값은 CSS에 넣지 않음)
+  function applyLandTheme(settings) {
+    if (settings) {
+      const isColor = color => /^#[0-9a-fA-F]{6}$/.test(color || '');
+      if (isColor(settings.skyColor)) {
+        document.getElementById('sky').style.background = 
+          `linear-gradient(to bottom, ${settings.skyColor}, ${lightenColor(settings.skyColor, 30)})`;
+      }
+      if (isColor(settings.landColor)) {
+        document.getElementById('land').style.background = 
+          `linear-gradient(to bottom, ${settings.landColor} 0%, ${darkenColor(settings.landColor, 20)} 50%, ${darkenColor(settings.landColor, 40)} 100%)`;
+      }
+    }
+  }
+
+  // 색상 밝게
+  function lightenColor(color, percent) {
+    const num = parseInt(color.replace('#', ''), 16);
+    const amt = Math.round(2.55 * percent);
+    const R = (num >> 16) + amt;
+    const G = (num >> 8 & 0x00FF) + amt;
+    const B = (num & 0x0000FF) + amt;
+    return '#' + (
+      0x1000000 +
+      (R < 255 ? (R < 1 ? 0 : R) : 255) * 0x10000 +
+      (G < 255 ? (G < 1 ? 0 : G) : 255) * 0x100 +
+      (B < 255 ? (B < 1 ? 0 : B) : 255)
+    ).toString(16).slice(1);
+  }
+
+  // 색상 어둡게
+  function darkenColor(color, percent) {
+    return lightenColor(color, -percent);
+  }
+
+  // 나무 개수 업데이트
+  function updateTreeCount() {
+    const treeCountNumber = document.getElementById('tree-count-number');
+    treeCountNumber.textContent = state.trees.length;
+  }
+
+  // UI 업데이트
+  function updateUI() {
+    const loginScreen = document.getElementById('login-screen');
+    const plantScreen = document.getElementById('plant-tree-screen');
+    const treeCountDisplay = document.getElementById('tree-count-display');
+    const landOwnerDisplay = document.getElementById('land-owner-display');
+    const landOwnerName = document.getElementById('land-owner-name');
+    const copyLinkBtn = document.getElementById('copy-link-btn');
+    const trashBtn = document.getElementById('trash-btn');
+    const headerColors = document.getElementById('header-colors');
+    const treesPerPageWrapper = document.getElementById('trees-per-page-wrapper');
+    const userAccount = document.getElementById('user-account');
+    const settingsBtn = document.getElementById('settings-btn');
+    const repliesBtn = document.getElementById('replies-btn');
+    const notificationsBtn = document.getElementById('notifications-btn');
+    const plantedLink = document.getElementById('planted-link');
+    const landSwitcher = document.getElementById('land-switcher');
+    const landNameLabel = document.getElementById('land-name-label');
+
+    const landId = getLandIdFromUrl();
+
+    // 알림, 답장함, 내가 심은 나무, 내 토지 선택은 로그인한 사용자만
+    notificationsBtn.classList.toggle('hidden', !state.currentUser);
+    repliesBtn.classList.toggle('hidden', !state.currentUser);
+    plantedLink.classList.toggle('hidden', !state.currentUser || isPlantedPage());
+    landSwitcher.classList.toggle('hidden', !state.currentUser);
+    if (state.currentUser) {
+      renderLandSwitcher();
+    }
+
+    // 이름을 붙인 토지는 주인 이름 옆에 토지 이름도 표시
+    landNameLabel.textContent = state.land?.name || '';
+    landNameLabel.classList.toggle('hidden', !state.land?.name);
+
+    // 나무 개수 업데이트
+    updateTreeCount();
+
+    if (isPlantedPage()) {
+      // 내가 심은 나무 페이지
+      loginScreen.classList.add('hidden');
+      plantScreen.classList.add('hidden');
+      treeCountDisplay.classList.add('hidden');
+      landOwnerDisplay.classList.add('hidden');
+      copyLinkBtn.classList.add('hidden');
+      trashBtn.classList.add('hidden');
+      headerColors.classList.add('hidden');
+      treesPerPageWrapper.classList.add('hidden');
+      userAccount.classList.remove('hidden');
+      settingsBtn.classList.remove('hidden');
+      document.getElementById('planted-screen').classList.remove('hidden');
+      document.getElementById('user-avatar').src = state.currentUser.profileImage || '';
+      document.getElementById('user-name').textContent = state.currentUser.nickname || state.currentUser.name;
+      return;
+    }
+
+    if (!landId && !state.currentUser) {
+      // 메인 페이지, 비로그인
+      loginScreen.classList.remove('hidden');
+      plantScreen.classList.add('hidden');
+      treeCountDisplay.classList.add('hidden');
+      landOwnerDisplay.classList.add('hidden');
+      copyLinkBtn.classList.add('hidden');
+      trashBtn.classList.add('hidden');
+      headerColors.classList.add('hidden');
+      treesPerPageWrapper.classList.add('hidden');
+      userAccount.classList.add('hidden');
+      settingsBtn.classList.add('hidden');
+    } else if (!landId && state.currentUser) {
+      // 메인 페이지, 로그인됨 -> 자신의 토지로 리다이렉트
+      window.location.href = getMyLandPath();
+    } else if (landId && state.isOwnLand) {
+      // 자신의 토지
+      loginScreen.classList.add('hidden');
+      plantScreen.classList.add('hidden');
+      treeCountDisplay.classList.remove('hidden');
+      landOwnerDisplay.classList.remove('hidden');
+      copyLinkBtn.classList.remove('hidden');
+      trashBtn.classList.remove('hidden');
+      headerColors.classList.remove('hidden');
+      treesPerPageWrapper.classList.remove('hidden');
+      userAccount.classList.remove('hidden');
+      settingsBtn.classList.remove('hidden');
+
+      // 토지 소유자 이름 표시 (공동 주인이면 토지를 만든 사람)
+      landOwnerName.textContent = state.landOwner.nickname || state.landOwner.name;
+
+      document.getElementById('user-avatar').src = state.currentUser.profileImage || '';
+      document.getElementById('user-name').textContent = state.currentUser.nickname || state.currentUser.name;
+      document.getElementById('trees-per-page-header').value = state.currentUser.settings?.treesPerPage || 1;
+      
+      // 색상 선택기 값 설정
+      const theme = getLandTheme();
+      document.getElementById('header-sky-color').value = theme.skyColor;
+      document.getElementById('header-land-color').value = theme.landColor;
+    } else if (landId && !state.isOwnLand) {
+      // 다른 사람의 토지 (새 나무를 받지 않는 토지는 안내만 표시)
+      loginScreen.classList.add('hidden');
+      plantScreen.classList.remove('hidden');
+      document.getElementById('plant-tree-btn').classList.toggle('hidden', state.plantingClosed);
+      document.getElementById('planting-closed-notice').classList.toggle('hidden', !state.plantingClosed);
+      treeCountDisplay.classList.remove('hidden');
+      landOwnerDisplay.classList.remove('hidden');
+      copyLinkBtn.classList.add('hidden');
+      trashBtn.classList.add('hidden');
+      headerColors.classList.add('hidden');
+
+      // 토지 소유자 이름 표시
+      if (state.landOwner) {
+        landOwnerName.textContent = state.landOwner.nickname || state.landOwner.name;
+      }
+
+      if (state.currentUser) {
+        treesPerPageWrapper.classList.remove('hidden');
+        userAccount.classList.remove('hidden');
+        settingsBtn.classList.remove('hidden');
+        document.getElementById('user-avatar').src = state.currentUser.profileImage || '';
+        document.getElementById('user-name').textContent = state.currentUser.nickname || state.currentUser.name;
+      } else {
+        treesPerPageWrapper.classList.add('hidden');
+        userAccount.classList.add('hidden');
+        settingsBtn.classList.add('hidden');
+      }
+    }
+  }
+
+  // datetime-local 입력값 형식 (로컬 시간)
+  function toDateTimeLocalValue(date) {
+    const local = new Date(date.getTime() - date.getTimezoneOffset() * 60000);
+    return local.toISOString().slice(0, 16);
+  }
+
+  // 현재 토지의 나무 다시 불러오기 (보고 있던 위치 유지)
+  async function refreshTrees() {
+    try {
+      const data = await api('/land/' + state.viewingLandId);
+      state.trees = data.trees || [];
+      clampTreeIndex();
+      renderTrees();
+      updateTreeCount();
+    } catch (error) {
+      console.error('Failed to refresh trees:', error);
+    }
+  }
+
+  // 실시간 업데이트 다시 연결 횟수 (연결 실패 포함, 연결되면 처음부터 다시 셈)
+  const MAX_LIVE_RETRIES = 8;
+
+  // 실시간 업데이트 연결 (끊기면 점점 늦게 MAX_LIVE_RETRIES번까지 다시 연결하고, 놓친 변경은 새로 불러옴)
+  // 토지가 지워졌으면(1000) 다시 연결하지 않고, 공개 범위나 역할이 바뀌었으면(1012) 토지를 다시 불러 볼 수 있을 때만 연결
+  function connectLiveUpdates(landId) {
+    if (!('WebSocket' in window)) return;
+
+    const protocol = window.location.protocol === 'https:' ? 'wss:' : 'ws:';
+    const query = state.shareKey ? '?key=' + encodeURIComponent(state.shareKey) : '';
+    const socket = new WebSocket(`${protocol}//${window.location.host}/api/land/${encodeURIComponent(landId)}/live${query}`);
+    let pingTimer = null;
+
+    socket.addEventListener('open', () => {
+      if (state.liveRetries > 0) refreshTrees();
+      state.liveRetries = 0;
+      // 연결이 오래 조용하면 중간에서 끊기므로 주기적으로 ping
+      pingTimer = setInterval(() => socket.send('ping'), 30 * 1000);
+    });
+
+    socket.addEventListener('message', (e) => {
+      if (e.data === 'pong') return;
+      try {
+        applyLiveEvent(JSON.parse(e.data));
+      } catch (error) {
+        console.error('Failed to apply live update:', error);
+      }
+    });
+
+    socket.addEventListener('close', async (e) => {
+      clearInterval(pingTimer);
+      if (e.code === 1000) return;
+      if (e.code === 1012) {
+        if (await loadLand(landId)) connectLiveUpdates(landId);
+        return;
+      }
+      if (state.liveRetries >= MAX_LIVE_RETRIES) return;
+      state.liveRetries++;
+      setTimeout(() => connectLiveUpdates(landId), Math.min(60, 2 ** state.liveRetries) * 1000);
+    });
+  }
+
+  // 실시간 변경 반영 (보고 있던 위치는 그대로 유지)
+  function applyLiveEvent(event) {
+    const treeId = event.tree ? event.tree.id : event.treeId;
+    const index = state.trees.findIndex(t => t.id === treeId);
+    const isVisible = i => i >= state.currentTreeIndex && i < state.currentTreeIndex + state.treesPerPage;
+    let plantedId = null;
+
+    if (event.type === 'delete') {
+      if (index === -1) return;
+      state.trees.splice(index, 1);
+      if (index < state.currentTreeIndex) state.currentTreeIndex--;
+      clampTreeIndex();
+    } else if (index !== -1) {
+      state.trees[index] = event.tree;
+      // 보이지 않는 곳의 나무가 바뀌었으면 다시 그리지 않음
+      if (!isVisible(index)) return;
+    } else {
+      // 새 나무 (또는 다시 보이게 된 나무)는 심은 순서에 맞게 끼워 넣음
+      let insertAt = state.trees.findIndex(t => t.plantedAt > event.tree.plantedAt);
+      if (insertAt === -1) insertAt = state.trees.length;
+      state.trees.splice(insertAt, 0, event.tree);
+      if (insertAt < state.currentTreeIndex) state.currentTreeIndex++;
+      if (event.type === 'plant') plantedId = event.tree.id;
+    }
+
+    renderTrees();
+    updateTreeCount();
+
+    // 새로 심어진 나무는 자라나듯 등장
+    if (plantedId) {
+      const treeEl = document.querySelector(`#trees-container .tree[data-tree-id="${plantedId}"]`);
+      if (treeEl) treeEl.classList.add('tree-planted');
+    }
+  }
+
+  // 공개 범위 때문에 토지를 볼 수 없을 때 안내 문구
+  function getLandAccessMessage(error) {
+    switch (error) {
+      case 'Share link required':
+        return '공유 링크로만 들어올 수 있는 토지예요. 토지 주인에게 링크를 받아주세요.';
+      case 'Not on the allowlist':
+        return '토지 주인이 허락한 사람만 들어올 수 있는 토지예요.';
+      case 'Login required':
+        return '로그인한 친구만 들어올 수 있는 토지예요. 먼저 로그인해주세요.';
+      case 'Land is closed to new trees':
+        return '지금은 새 나무를 받지 않는 토지예요.';
+      default:
+        return null;
+    }
+  }
+
+  // 손님 심기 오류 안내
+  function getGuestPlantMessage(error) {
+    switch (error) {
+      case 'Invalid guest code':
+        return '초대 코드가 맞지 않거나 이미 다 쓴 코드예요.';
+      case 'Invalid guest name':
+        return '팻말에 적을 이름은 20자까지 쓸 수 있어요.';
+      case 'Too many guest trees':
+        return '손님은 잠깐 동안 여러 그루를 심을 수 없어요. 조금 뒤에 다시 심어주세요.';
+      default:
+        return null;
+    }
+  }
+
+  // 공유할 토지 링크 (링크 공개면 토큰을 붙임)
+  function getShareUrl() {
+    // 기본 토지는 토지 주인이 정한 주소로, 나머지 토지는 토지 ID로 공유
+    const path = '/land/' + encodeURIComponent(
+      (state.land?.isDefault && state.landOwner.slug) || state.viewingLandId
+    );
+    const url = window.location.origin + path;
+    const privacy = state.landPrivacy;
+    if (privacy && privacy.mode === 'unlisted' && privacy.shareToken) {
+      return url + '?key=' + encodeURIComponent(privacy.shareToken);
+    }
+    return url;
+  }
+
+  // 토지 공개 범위 불러와 설정 화면에 채우기
+  async function loadPrivacySettings() {
+    try {
+      const data = await api('/land/' + state.viewingLandId + '/privacy');
+      state.landPrivacy = data.privacy;
+      document.getElementById('privacy-mode').value = data.privacy.mode;
+      document.getElementById('privacy-allowlist').value = (data.privacy.allowlist || []).join('\n');
+      document.getElementById('privacy-regenerate').checked = false;
+      updatePrivacyFields();
+    } catch (error) {
+      console.error('Failed to load privacy:', error);
+    }
+  }
+
+  // 공개 범위에 따라 허락 목록 / 새 링크 만들기 표시
+  function updatePrivacyFields() {
+    const mode = document.getElementById('privacy-mode').value;
+    document.getElementById('privacy-allowlist-group').classList.toggle('hidden', mode !== 'allowlist');
+    document.getElementById('privacy-regenerate-label').classList.toggle('hidden', mode !== 'unlisted' || !state.landPrivacy?.shareToken);
+  }
+
+  // 토지 공개 범위 저장 (바뀐 것이 없으면 저장하지 않음)
+  async function savePrivacySettings() {
+    const mode = document.getElementById('privacy-mode').value;
+    const allowlist = document.getElementById('privacy-allowlist').value
+      .split(/[\n,]/)
+      .map(email => email.trim())
+      .filter(Boolean);
+    const regenerateToken = document.getElementById('privacy-regenerate').checked;
+
+    const current = state.landPrivacy || { mode: 'public' };
+    if (mode === current.mode && !regenerateToken &&
+        allowlist.join('\n') === (current.allowlist || []).join('\n')) {
+      return;
+    }
+
+    try {
+      const data = await api('/land/' + state.viewingLandId + '/privacy', {
+        method: 'PUT',
+        body: JSON.stringify({ mode, allowlist, regenerateToken })
+      });
+      state.landPrivacy = data.privacy;
+      showToast(regenerateToken ? '새 공유 링크를 만들었어요. 링크를 다시 복사해주세요.' : '공개 범위를 바꿨습니다.');
+    } catch (error) {
+      console.error('Failed to save privacy:', error);
+      showToast('공개 범위 저장에 실패했습니다: ' + error.message);
+    }
+  }
+
+  // 내 토지 목록 불러오기
+  async function loadMyLands() {
+    try {
+      const data = await api('/lands');
+      state.myLands = data.lands || [];
+      renderLandSwitcher();
+    } catch (error) {
+      console.error('Failed to load lands:', error);
+    }
+  }
+
+  // 상단 바 토지 선택 목록 그리기
+  function renderLandSwitcher() {
+    const switcher = document.getElementById('land-switcher');
+    switcher.innerHTML = '';
+
+    // 내 토지가 아닌 곳에서는 안내 문구를 선택된 상태로 둠
+    if (!state.isOwnLand) {
+      const placeholder = document.createElement('option');
+      placeholder.value = '';
+      placeholder.textContent = '내 토지로 가기';
+      switcher.appendChild(placeholder);
+    }
+
+    const addOption = (parent, land) => {
+      const option = document.createElement('option');
+      option.value = land.id;
+      option.textContent = land.name || (land.isDefault ? '기본 토지' : '이름 없는 토지');
+      parent.appendChild(option);
+    };
+
+    const addGroup = (label, lands) => {
+      if (lands.length === 0) return;
+      const group = document.createElement('optgroup');
+      group.label = label;
+      lands.forEach(land => addOption(group, land));
+      switcher.appendChild(group);
+    };
+
+    state.myLands
+      .filter(land => land.role === 'owner' && !land.archivedAt)
+      .forEach(land => addOption(switcher, land));
+    addGroup('함께 가꾸는 토지', state.myLands.filter(land => land.role === 'co-owner' && !land.archivedAt));
+    addGroup('보관한 토지', state.myLands.filter(land => land.archivedAt));
+
+    const newOption = document.createElement('option');
+    newOption.value = '__new';
+    newOption.textContent = '+ 새 토지 만들기';
+    switcher.appendChild(newOption);
+
+    switcher.value = state.isOwnLand ? state.viewingLandId : '';
+  }
+
+  // 토지 선택 목록에서 고른 토지로 이동
+  async function switchLand(landId) {
+    if (landId === '__new') {
+      await createLand();
+      return;
+    }
+    const land = state.myLands.find(l => l.id === landId);
+    if (!land) return;
+    window.location.href = land.isDefault ? getMyLandPath() : '/land/' + encodeURIComponent(land.id);
+  }
+
+  // 새 토지 만들기
+  async function createLand() {
+    const name = prompt('새 토지의 이름을 정해주세요. (30자 이내)');
+    if (name === null || !name.trim()) {
+      renderLandSwitcher();
+      return;
+    }
+
+    try {
+      const data = await api('/lands', {
+        method: 'POST',
+        body: JSON.stringify({ name: name.trim() })
+      });
+      window.location.href = '/land/' + encodeURIComponent(data.land.id);
+    } catch (error) {
+      console.error('Failed to create land:', error);
+      showToast(error.message === 'Too many lands'
+        ? '토지는 보관하지 않은 것 기준 20개까지 만들 수 있어요.'
+        : '토지 만들기에 실패했습니다: ' + error.message);
+      renderLandSwitcher();
+    }
+  }
+
+  // 지금 보고 있는 토지의 이름, 색상 저장
+  async function saveLandSettings(changes) {
+    const data = await api('/land/' + state.viewingLandId, {
+      method: 'PUT',
+      body: JSON.stringify(changes)
+    });
+    state.land = { ...state.land, ...changes };
+    const index = state.myLands.findIndex(land => land.id === state.viewingLandId);
+    if (index !== -1) {
+      state.myLands[index] = { ...state.myLands[index], name: state.land.name };
+    }
+    return data;
+  }
+
+  // 지금 보고 있는 토지 색상 (정하지 않은 색상은 기본 색상)
+  function getLandTheme() {
+    return {
+      skyColor: state.land?.theme?.skyColor || '#87CEEB',
+      landColor: state.land?.theme?.landColor || '#8B4513'
+    };
+  }
+
+  // 지금 보고 있는 토지 색상 저장
+  async function saveLandTheme(theme) {
+    try {
+      await saveLandSettings({ theme });
+      showToast('토지 색상이 저장되었습니다!');
+    } catch (error) {
+      console.error('Failed to save land theme:', error);
+      showToast('토지 색상 저장에 실패했습니다.');
+    }
+  }
+
+  // 설정 화면의 토지 이름 저장 (바뀐 것이 없으면 저장하지 않음)
+  async function saveLandName() {
+    const name = document.getElementById('land-name-input').value.trim() || null;
+    if (name === (state.land?.name || null)) {
+      return;
+    }
+
+    try {
+      await saveLandSettings({ name });
+      updateUI();
+    } catch (error) {
+      console.error('Failed to save land name:', error);
+      showToast('토지 이름 저장에 실패했습니다: ' + error.message);
+    }
+  }
+
+  // 토지 보관 / 보관 해제 (보관한 토지는 새 나무를 받지 않음)
+  async function toggleLandArchive() {
+    const archiving = !state.land.archivedAt;
+    if (archiving && !confirm('이 토지를 보관할까요? 보관한 토지에는 새 나무를 심을 수 없어요.')) {
+      return;
+    }
+
+    try {
+      const data = await api('/land/' + state.viewingLandId + (archiving ? '/archive' : '/unarchive'), {
+        method: 'POST'
+      });
+      state.land = { ...state.land, archivedAt: data.archivedAt || null };
+      document.getElementById('settings-modal').classList.add('hidden');
+      showToast(archiving ? '토지를 보관했어요.' : '토지 보관을 해제했어요.');
+      await loadMyLands();
+    } catch (error) {
+      console.error('Failed to archive land:', error);
+      showToast('토지 보관 설정에 실패했습니다: ' + error.message);
+    }
+  }
+
+  // 손님 초대 코드 목록 불러와 설정 화면에 채우기
+  async function loadGuestCodes() {
+    const list = document.getElementById('guest-codes-list');
+    list.innerHTML = '';
+
+    try {
+      const data = await api('/land/' + state.viewingLandId + '/guest-codes');
+      data.guestCodes.forEach(guestCode => {
+        const item = document.createElement('li');
+        item.className = 'co-owner-item';
+        const label = document.createElement('span');
+        label.textContent = `${guestCode.code} · ${guestCode.uses}/${guestCode.maxUses}번 사용`;
+        const copyBtn = document.createElement('button');
+        copyBtn.type = 'button';
+        copyBtn.textContent = '링크 복사';
+        copyBtn.addEventListener('click', () => copyText(getGuestUrl(guestCode), '손님 초대 링크가 복사되었습니다!'));
+        const revokeBtn = document.createElement('button');
+        revokeBtn.type = 'button';
+        revokeBtn.textContent = '취소';
+        revokeBtn.addEventListener('click', () => revokeGuestCode(guestCode));
+        item.append(label, copyBtn, revokeBtn);
+        list.appendChild(item);
+      });
+    } catch (error) {
+      console.error('Failed to load guest codes:', error);
+    }
+  }
+
+  // 손님 초대 링크 주소 (코드를 미리 채워 둠)
+  function getGuestUrl(guestCode) {
+    const url = new URL(getShareUrl());
+    url.searchParams.set('guest', guestCode.code);
+    return url.toString();
+  }
+
+  // 손님 초대 코드 만들고 링크 복사
+  async function createGuestCode() {
+    const maxUses = parseInt(document.getElementById('guest-code-uses').value, 10);
+    try {
+      const data = await api('/land/' + state.viewingLandId + '/guest-codes', {
+        method: 'POST',
+        body: JSON.stringify({ maxUses })
+      });
+      await copyText(getGuestUrl(data.guestCode), `초대 코드 ${data.guestCode.code}를 만들고 링크를 복사했어요.`);
+      await loadGuestCodes();
+    } catch (error) {
+      console.error('Failed to create guest code:', error);
+      showToast('초대 코드 만들기에 실패했습니다: ' + error.message);
+    }
+  }
+
+  // 손님 초대 코드 취소 (그 코드로 심은 나무도 휴지통으로 옮길 수 있음)
+  async function revokeGuestCode(guestCode) {
+    if (!confirm(`초대 코드 ${guestCode.code}를 취소할까요? 더 이상 이 코드로 심을 수 없어요.`)) return;
+    const removeTrees = guestCode.uses > 0 &&
+      confirm('이 코드로 심은 나무도 모두 휴지통으로 옮길까요?');
+
+    try {
+      const data = await api('/land/' + state.viewingLandId + '/guest-codes/' + encodeURIComponent(guestCode.code) +
+        (removeTrees ? '?removeTrees=1' : ''), { method: 'DELETE' });
+      showToast(removeTrees ? `코드를 취소하고 나무 ${data.removed}그루를 휴지통으로 옮겼어요.` : '코드를 취소했어요.');
+      await loadGuestCodes();
+      if (removeTrees) {
+        await refreshTrees();
+      }
+    } catch (error) {
+      console.error('Failed to revoke guest code:', error);
+      showToast('초대 코드 취소에 실패했습니다.');
+    }
+  }
+
+  // 공동 주인 목록 불러와 설정 화면에 채우기
+  async function loadCoOwners() {
+    const list = document.getElementById('co-owners-list');
+    const invitesList = document.getElementById('invites-list');
+    list.innerHTML = '';
+    invitesList.innerHTML = '';
+    document.getElementById('invite-group').classList.toggle('hidden', state.landRole !== 'owner');
+
+    try {
+      const data = await api('/land/' + state.viewingLandId + '/co-owners');
+
+      data.owners.forEach(owner => {
+        const item = document.createElement('li');
+        item.className = 'co-owner-item';
+        const name = document.createElement('span');
+        const isMe = owner.id === state.currentUser.id;
+        name.textContent = (owner.nickname || '') + (owner.role === 'owner' ? ' (만든 사람)' : '') + (isMe ? ' · 나' : '');
+        item.appendChild(name);
+
+        // 만든 사람은 공동 주인을 내보낼 수 있고, 공동 주인은 스스로 나갈 수 있음
+        if (owner.role === 'co-owner' && (data.role === 'owner' || isMe)) {
+          const removeBtn = document.createElement('button');
+          removeBtn.type = 'button';
+          removeBtn.textContent = isMe ? '나가기' : '내보내기';
+          removeBtn.addEventListener('click', () => removeCoOwner(owner, isMe));
+          item.appendChild(removeBtn);
+        }
+        list.appendChild(item);
+      });
+
+      (data.invites || []).forEach(invite => {
+        const item = document.createElement('li');
+        item.className = 'co-owner-item';
+        const label = document.createElement('span');
+        label.textContent = '초대 링크 · ' + formatDate(invite.expiresAt) + '까지';
+        const copyBtn = document.createElement('button');
+        copyBtn.type = 'button';
+        copyBtn.textContent = '복사';
+        copyBtn.addEventListener('click', () => copyText(getInviteUrl(invite), '초대 링크가 복사되었습니다!'));
+        const revokeBtn = document.createElement('button');
+        revokeBtn.type = 'button';
+        revokeBtn.textContent = '취소';
+        revokeBtn.addEventListener('click', () => revokeInvite(invite));
+        item.append(label, copyBtn, revokeBtn);
+        invitesList.appendChild(item);
+      });
+    } catch (error) {
+      console.error('Failed to load co-owners:', error);
+    }
+  }
+
+  // 초대 링크 주소
+  function getInviteUrl(invite) {
+    return window.location.origin + '/land/' + encodeURIComponent(state.viewingLandId) +
+      '?invite=' + encodeURIComponent(invite.token);
+  }
+
+  // 공동 주인 초대 링크 만들고 복사
+  async function createInvite() {
+    try {
+      const data = await api('/land/' + state.viewingLandId + '/invites', { method: 'POST' });
+      await copyText(getInviteUrl(data.invite), '초대 링크가 복사되었습니다! 함께 가꿀 사람에게 보내주세요.');
+      await loadCoOwners();
+    } catch (error) {
+      console.error('Failed to create invite:', error);
+      showToast('초대 링크 만들기에 실패했습니다: ' + error.message);
+    }
+  }
+
+  // 초대 링크 취소
+  async function revokeInvite(invite) {
+    try {
+      await api('/land/' + state.viewingLandId + '/invites/' + encodeURIComponent(invite.token), { method: 'DELETE' });
+      await loadCoOwners();
+    } catch (error) {
+      console.error('Failed to revoke invite:', error);
+      showToast('초대 링크 취소에 실패했습니다.');
+    }
+  }
+
+  // 공동 주인 내보내기 / 스스로 나가기
+  async function removeCoOwner(owner, isMe) {
+    const question = isMe
+      ? '이 토지에서 나갈까요? 다시 들어오려면 새 초대 링크가 필요해요.'
+      : `${owner.nickname}님을 공동 주인에서 내보낼까요?`;
+    if (!confirm(question)) return;
+
+    try {
+      await api('/land/' + state.viewingLandId + '/co-owners/' + encodeURIComponent(owner.id), { method: 'DELETE' });
+      if (isMe) {
+        window.location.href = getMyLandPath();
+        return;
+      }
+      showToast('공동 주인에서 내보냈어요.');
+      await loadCoOwners();
+    } catch (error) {
+      console.error('Failed to remove co-owner:', error);
+      showToast('공동 주인 내보내기에 실패했습니다: ' + error.message);
+    }
+  }
+
+  // 초대 링크로 들어왔으면 수락 (로그인 전이면 로그인 후 다시 물어봄)
+  async function handleInvite(landId) {
+    const params = new URLSearchParams(window.location.search);
+    const token = params.get('invite');
+    if (!token) return;
+
+    if (!state.currentUser) {
+      sessionStorage.setItem('pendingInvite', window.location.pathname + window.location.search);
+      showToast('로그인하면 이 토지의 공동 주인 초대를 받을 수 있어요.', 5000);
+      return;
+    }
+
+    params.delete('invite');
+    const query = params.toString();
+    history.replaceState(null, '', window.location.pathname + (query ? '?' + query : ''));
+
+    if (!confirm('이 토지를 함께 가꾸자는 초대를 받았어요. 공동 주인이 될까요?')) return;
+
+    try {
+      await api('/land/' + landId + '/invites/accept', {
+        method: 'POST',
+        body: JSON.stringify({ token })
+      });
+      showToast('공동 주인이 되었어요!');
+      await loadMyLands();
+    } catch (error) {
+      console.error('Failed to accept invite:', error);
+      showToast(error.message === 'Already an owner'
+        ? '이미 이 토지의 주인이에요.'
+        : '초대를 받을 수 없어요. 링크가 만료되었거나 이미 사용되었어요.', 5000);
+    }
+  }
+
+  // 토지 데이터 로드 (landId는 토지 주소여도 됨, 이후 요청에는 실제 토지 ID를 씀)
+  async function loadLand(landId) {
+    try {
+      const data = await api('/land/' + landId);
+      state.landOwner = data.owner;
+      state.trees = data.trees || [];
+      state.land = data.land;
+      state.viewingLandId = data.land.id;
+      state.isOwnLand = !!data.isOwner;
+      state.landRole = data.role || null;
+      state.landPrivacy = data.privacy || null;
+      state.plantingClosed = !!data.plantingClosed;
+      // treesPerPage는 현재 로그인한 사용자의 설정 사용 (토지 소유자 설정 아님)
+      state.treesPerPage = state.currentUser?.settings?.treesPerPage || 1;
+      state.currentTreeIndex = Math.max(0, state.trees.length - state.treesPerPage);
+
+      applyLandTheme(data.land.theme);
+      renderTrees();
+      updateUI();
+      return true;
+    } catch (error) {
+      console.error('Failed to load land:', error);
+      showToast(getLandAccessMessage(error.message) || '토지를 불러오는데 실패했습니다.', 5000);
+      return false;
+    }
+  }
+
+  // 로그인 방법 이름 (예: Google, 카카오)
+  function getAuthProviderName(providerId) {
+    const provider = state.authProviders.find(p => p.id === providerId);
+    return provider ? provider.name : providerId;
+  }
+
+  // 사용할 수 있는 로그인 방법 불러와 로그인 화면에 버튼 만들기
+  async function loadAuthProviders() {
+    try {
+      const data = await api('/auth/providers');
+      state.authProviders = data.providers;
+    } catch (error) {
+      console.error('Failed to load login providers:', error);
+      state.authProviders = [{ id: 'google', name: 'Google' }];
+    }
+
+    const container = document.getElementById('login-providers');
+    container.innerHTML = '';
+    state.authProviders.filter(provider => provider.id !== 'email').forEach(provider => {
+      const button = document.createElement('button');
+      button.className = 'login-provider-btn login-' + provider.id;
+      if (provider.id === 'google') {
+        const icon = document.createElement('img');
+        icon.src = 'https://www.gstatic.com/firebasejs/ui/2.0.0/images/auth/google.svg';
+        icon.alt = '';
+        button.appendChild(icon);
+      }
+      button.appendChild(document.createTextNode(provider.name + '로 로그인'));
+      button.addEventListener('click', () => {
+        window.location.href = '/api/auth/' + provider.id;
+      });
+      container.appendChild(button);
+    });
+    document.getElementById('email-login-form').classList.toggle(
+      'hidden', !state.authProviders.some(provider => provider.id === 'email')
+    );
+  }
+
+  // 이메일 로그인 링크 보내기 (link가 참이면 지금 계정에 이메일 로그인 연결)
+  async function sendLoginEmail(email, link) {
+    if (!email) return;
+    try {
+      await api('/auth/email', {
+        method: 'POST',
+        body: JSON.stringify({ email, link })
+      });
+      showToast(`${email}로 로그인 링크를 보냈어요. 15분 안에 메일의 링크를 눌러주세요.`, 5000);
+    } catch (error) {
+      console.error('Failed to send login email:', error);
+      showToast(error.message === 'Email recently sent'
+        ? '방금 링크를 보냈어요. 1분 뒤에 다시 시도해주세요.'
+        : '로그인 링크를 보내지 못했어요: ' + error.message);
+    }
+  }
+
+  // 이메일 로그인 링크로 들어왔으면 확인을 받고 로그인 (메일 검사기가 링크만 열어서는 토큰이 쓰이지 않음)
+  // 로그인해서 이동하면 true
+  async function handleEmailLogin() {
+    const params = new URLSearchParams(window.location.search);
+    const token = params.get('email_token');
+    if (!token) return false;
+
+    params.delete('email_token');
+    const query = params.toString();
+    history.replaceState(null, '', window.location.pathname + (query ? '?' + query : ''));
+
+    if (!confirm('이 기기에서 이메일 로그인을 마칠까요?')) return false;
+
+    try {
+      const data = await api('/auth/email/callback', {
+        method: 'POST',
+        body: JSON.stringify({ token })
+      });
+      window.location.href = data.redirect;
+      return true;
+    } catch (error) {
+      console.error('Failed to complete email login:', error);
+      showToast('로그인 링크가 만료되었거나 이미 사용되었어요. 다시 받아주세요.', 5000);
+      return false;
+    }
+  }
+
+  // 로그인/연결 결과 안내 (콜백에서 붙여 준 쿼리를 읽고 주소창에서 지움)
+  function showAuthResult() {
+    const params = new URLSearchParams(window.location.search);
+    const error = params.get('error');
+    const linked = params.get('linked');
+    if (!error && !linked) return;
+
+    const messages = {
+      auth_denied: '로그인이 취소되었어요.',
+      identity_in_use: '이미 다른 계정에 연결된 로그인이에요.',
+      link_expired: '로그인 링크가 만료되었거나 이미 사용되었어요. 다시 받아주세요.'
+    };
+    showToast(linked ? '로그인 방법을 연결했어요.' : (messages[error] || '로그인에 실패했어요. 다시 시도해주세요.'), 5000);
+
+    params.delete('error');
+    params.delete('linked');
+    const query = params.toString();
+    history.replaceState(null, '', window.location.pathname + (query ? '?' + query : ''));
+  }
+
+  // 연결된 로그인 목록 불러와 설정 화면에 채우기
+  async function loadIdentities() {
+    const list = document.getElementById('identities-list');
+    const linkProviders = document.getElementById('link-providers');
+    list.innerHTML = '';
+    linkProviders.innerHTML = '';
+
+    try {
+      const data = await api('/me/identities');
+      state.authProviders = data.providers;
+
+      data.identities.forEach(identity => {
+        const item = document.createElement('li');
+        item.className = 'co-owner-item';
+        const label = document.createElement('span');
+        label.textContent = getAuthProviderName(identity.provider) + (identity.email ? ' · ' + identity.email : '');
+        item.appendChild(label);
+        if (data.identities.length > 1) {
+          const unlinkBtn = document.createElement('button');
+          unlinkBtn.type = 'button';
+          unlinkBtn.textContent = '연결 끊기';
+          unlinkBtn.addEventListener('click', () => unlinkIdentity(identity));
+          item.appendChild(unlinkBtn);
+        }
+        list.appendChild(item);
+      });
+
+      // 아직 연결하지 않은 로그인 방법 (이메일은 여러 주소를 연결할 수 있음)
+      data.providers
+        .filter(provider => provider.id === 'email' || !data.identities.some(i => i.provider === provider.id))
+        .forEach(provider => {
+          const button = document.createElement('button');
+          button.type = 'button';
+          button.textContent = '+ ' + provider.name + ' 연결';
+          button.addEventListener('click', () => {
+            if (provider.id === 'email') {
+              const email = prompt('연결할 이메일 주소를 입력해주세요. 받은 메일의 링크를 누르면 연결돼요.');
+              if (email) sendLoginEmail(email.trim(), true);
+              return;
+            }
+            window.location.href = '/api/auth/' + provider.id + '?link=1';
+          });
+          linkProviders.appendChild(button);
+        });
+    } catch (error) {
+      console.error('Failed to load identities:', error);
+    }
+  }
+
+  // 로그인 연결 끊기
+  async function unlinkIdentity(identity) {
+    if (!confirm(getAuthProviderName(identity.provider) + ' 로그인 연결을 끊을까요?')) return;
+
+    try {
+      await api('/me/identities/' + identity.provider + '/' + encodeURIComponent(identity.id), { method: 'DELETE' });
+      await loadIdentities();
+    } catch (error) {
+      console.error('Failed to unlink identity:', error);
+      showToast('연결 끊기에 실패했습니다: ' + error.message);
+    }
+  }
+
+  // 기기 설명 (User-Agent에서 브라우저와 운영체제만)
+  function describeUserAgent(userAgent) {
+    if (!userAgent) return '알 수 없는 기기';
+    const os = [['iPhone', 'iPhone'], ['iPad', 'iPad'], ['Android', 'Android'], ['Windows', 'Windows'],
+      ['Mac OS', 'Mac'], ['Linux', 'Linux']].find(([token]) => userAgent.includes(token));
+    const browser = [['SamsungBrowser', '삼성 인터넷'], ['KAKAOTALK', '카카오톡'], ['Edg/', 'Edge'],
+      ['Firefox', 'Firefox'], ['Chrome', 'Chrome'], ['Safari', 'Safari']].find(([token]) => userAgent.includes(token));
+    return [browser && browser[1], os && os[1]].filter(Boolean).join(' · ') || '알 수 없는 기기';
+  }
+
+  // 로그인한 기기 목록 불러와 설정 화면에 채우기
+  async function loadSessions() {
+    const list = document.getElementById('sessions-list');
+    list.innerHTML = '';
+
+    try {
+      const data = await api('/me/sessions');
+      data.sessions.forEach(session => {
+        const item = document.createElement('li');
+        item.className = 'co-owner-item';
+        const label = document.createElement('span');
+        label.textContent = describeUserAgent(session.userAgent) +
+          (session.current ? ' (이 기기)' : ' · ' + formatDate(session.lastSeenAt) + ' 사용');
+        label.title = `${formatDate(session.createdAt)} 로그인` + (session.userAgent ? '\n' + session.userAgent : '');
+        item.appendChild(label);
+        if (session.id) {
+          const revokeBtn = document.createElement('button');
+          revokeBtn.type = 'button';
+          revokeBtn.textContent = '로그아웃';
+          revokeBtn.addEventListener('click', () => revokeSession(session));
+          item.appendChild(revokeBtn);
+        }
+        list.appendChild(item);
+      });
+    } catch (error) {
+      console.error('Failed to load sessions:', error);
+    }
+  }
+
+  // 기기 하나 로그아웃 (이 기기면 첫 화면으로)
+  async function revokeSession(session) {
+    try {
+      await api('/me/sessions/' + session.id, { method: 'DELETE' });
+      if (session.current) {
+        window.location.href = '/';
+        return;
+      }
+      showToast('그 기기에서 로그아웃했어요.');
+      await loadSessions();
+    } catch (error) {
+      console.error('Failed to revoke session:', error);
+      showToast('로그아웃에 실패했습니다.');
+    }
+  }
+
+  // 모든 기기에서 로그아웃
+  async function revokeAllSessions() {
+    if (!confirm('이 기기를 포함한 모든 기기에서 로그아웃할까요?')) return;
+
+    try {
+      await api('/me/sessions', { method: 'DELETE' });
+      window.location.href = '/';
+    } catch (error) {
+      console.error('Failed to revoke sessions:', error);
+      showToast('로그아웃에 실패했습니다.');
+    }
+  }
+
+  // 현재 사용자 정보 로드
+  async function loadCurrentUser() {
+    try {
+      const data = await api('/auth/me');
+      state.csrfToken = data.csrfToken || null;
+      if (data.user) {
+        state.currentUser = data.user;
+      }
+    } catch (error) {
+      // 로그인 안됨
+      state.currentUser = null;
+    }
+  }
+
+  // 올리기 전 이미지 크기 (maxLength는 서버가 받는 data URL 길이)
+  const SIGN_IMAGE = { maxSize: 1600, maxLength: 667 * 1024 };
+  const PROFILE_IMAGE = { maxSize: 256, maxLength: 200 * 1024 };
+  const MAX_SIGN_IMAGES = 4;
+
+  // 이미지를 줄여서 WebP로 다시 인코딩 (WebP를 만들 수 없는 브라우저는 JPEG)
+  // 캔버스에 다시 그리므로 회전은 적용되고 EXIF(찍은 위치 등)는 빠짐, 너무 크면 화질과 크기를 낮춰 다시 시도
+  async function processImage(file, { maxSize, maxLength }) {
+    const url = URL.createObjectURL(file);
+    try {
+      const img = await new Promise((resolve, reject) => {
+        const image = new Image();
+        image.onload = () => resolve(image);
+        image.onerror = () => reject(new Error('Invalid image'));
+        image.src = url;
+      });
+
+      let scale = Math.min(1, maxSize / Math.max(img.naturalWidth, img.naturalHeight));
+      for (let attempt = 0; attempt < 6; attempt++) {
+        const canvas = document.createElement('canvas');
+        canvas.width = Math.max(1, Math.round(img.naturalWidth * scale));
+        canvas.height = Math.max(1, Math.round(img.naturalHeight * scale));
+        const context = canvas.getContext('2d');
+        context.drawImage(img, 0, 0, canvas.width, canvas.height);
+
+        const quality = Math.max(0.5, 0.85 - attempt * 0.1);
+        let dataUrl = canvas.toDataURL('image/webp', quality);
+        if (!dataUrl.startsWith('data:image/webp')) {
+          // JPEG는 투명한 부분이 검게 나오므로 흰 배경을 깔아줌
+          context.globalCompositeOperation = 'destination-over';
+          context.fillStyle = '#fff';
+          context.fillRect(0, 0, canvas.width, canvas.height);
+          dataUrl = canvas.toDataURL('image/jpeg', quality);
+        }
+        if (dataUrl.length <= maxLength) {
+          return dataUrl;
+        }
+        scale *= 0.8;
+      }
+      throw new Error('Image too large');
+    } finally {
+      URL.revokeObjectURL(url);
+    }
+  }
+
+  // 이미지 미리보기 (고른 파일 또는 이미지 주소 목록)
+  function renderImagePreview(preview, images) {
+    preview.innerHTML = '';
+    images.forEach(image => {
+      const img = document.createElement('img');
+      img.src = typeof image === 'string' ? image : URL.createObjectURL(image);
+      if (typeof image !== 'string') {
+        img.onload = () => URL.revokeObjectURL(img.src);
+      }
+      preview.appendChild(img);
+    });
+  }
+
+  // 음성 메시지 길이와 비트레이트 (서버의 MAX_AUDIO_SECONDS, AUDIO_BITS_PER_SECOND와 같음)
+  const MAX_VOICE_SECONDS = 60;
+  const VOICE_BITS_PER_SECOND = 32000;
+  const VOICE_MIME_TYPES = ['audio/webm;codecs=opus', 'audio/ogg;codecs=opus', 'audio/mp4'];
+
+  function canRecordVoice() {
+    return !!(navigator.mediaDevices && navigator.mediaDevices.getUserMedia && window.MediaRecorder);
+  }
+
+  // 초를 m:ss로
+  function formatDuration(seconds) {
+    const minutes = Math.floor(seconds / 60);
+    return `${minutes}:${String(Math.floor(seconds % 60)).padStart(2, '0')}`;
+  }
+
+  function blobToDataUrl(blob) {
+    return new Promise((resolve, reject) => {
+      const reader = new FileReader();
+      reader.onload = () => resolve(reader.result);
+      reader.onerror = () => reject(reader.error);
+      reader.readAsDataURL(blob);
+    });
+  }
+
+  // 녹음 버튼, 타이머, 미리듣기를 현재 상태에 맞게
+  function updateVoiceRecorder() {
+    const recording = state.recording;
+    const voice = state.voice;
+    const timer = document.getElementById('voice-timer');
+    const preview = document.getElementById('voice-preview');
+
+    document.getElementById('voice-record-btn').textContent = recording ? '⏹️ 멈추기' : (voice ? '🎙️ 다시 녹음하기' : '🎙️ 녹음하기');
+    document.getElementById('voice-discard-btn').classList.toggle('hidden', !voice || !!recording);
+    timer.classList.toggle('hidden', !recording && !voice);
+    if (recording) {
+      const elapsed = Math.min(MAX_VOICE_SECONDS, (Date.now() - recording.startedAt) / 1000);
+      timer.textContent = `${formatDuration(elapsed)} / ${formatDuration(MAX_VOICE_SECONDS)}`;
+    } else if (voice) {
+      timer.textContent = formatDuration(voice.duration);
+    }
+
+    preview.classList.toggle('hidden', !voice || !!recording);
+    if (preview.dataset.url && (!voice || preview.dataset.url !== voice.url)) {
+      URL.revokeObjectURL(preview.dataset.url);
+      delete preview.dataset.url;
+      preview.removeAttribute('src');
+    }
+    if (voice && !recording && !preview.dataset.url) {
+      voice.url = voice.url || URL.createObjectURL(voice.blob);
+      preview.dataset.url = voice.url;
+      preview.src = voice.url;
+    }
+  }
+
+  // 녹음 시작 (MAX_VOICE_SECONDS가 지나면 저절로 멈춤)
+  async function startVoiceRecording() {
+    let stream;
+    try {
+      stream = await navigator.mediaDevices.getUserMedia({ audio: true });
+    } catch (error) {
+      console.error('Failed to get microphone:', error);
+      showToast('마이크를 쓸 수 없어요. 브라우저에서 마이크 권한을 허용해주세요.');
+      return;
+    }
+
+    const mimeType = VOICE_MIME_TYPES.find(type => MediaRecorder.isTypeSupported(type)) || '';
+    const recorder = new MediaRecorder(stream, { ...(mimeType ? { mimeType } : {}), audioBitsPerSecond: VOICE_BITS_PER_SECOND });
+    const recording = { recorder, stream, chunks: [], startedAt: Date.now(), timer: null };
+
+    recorder.addEventListener('dataavailable', (e) => {
+      if (e.data.size > 0) recording.chunks.push(e.data);
+    });
+    recorder.addEventListener('stop', () => {
+      clearInterval(recording.timer);
+      stream.getTracks().forEach(track => track.stop());
+      if (state.recording !== recording) return;
+
+      const type = (recorder.mimeType || mimeType || 'audio/webm').split(';')[0];
+      const duration = Math.max(1, Math.min(MAX_VOICE_SECONDS, Math.round((Date.now() - recording.startedAt) / 1000)));
+      state.recording = null;
+      state.voice = recording.chunks.length ? { blob: new Blob(recording.chunks, { type }), duration } : null;
+      updateVoiceRecorder();
+    });
+
+    recording.timer = setInterval(() => {
+      if (Date.now() - recording.startedAt >= MAX_VOICE_SECONDS * 1000 && recorder.state !== 'inactive') {
+        recorder.stop();
+      }
+      updateVoiceRecorder();
+    }, 250);
+
+    state.voice = null;
+    state.recording = recording;
+    recorder.start();
+    updateVoiceRecorder();
+  }
+
+  function stopVoiceRecording() {
+    if (state.recording && state.recording.recorder.state !== 'inactive') {
+      state.recording.recorder.stop();
+    }
+  }
+
+  // 녹음 중이면 버리고 녹음한 음성도 지움
+  function resetVoiceRecorder() {
+    const recording = state.recording;
+    state.recording = null;
+    state.voice = null;
+    if (recording) {
+      clearInterval(recording.timer);
+      if (recording.recorder.state !== 'inactive') recording.recorder.stop();
+      recording.stream.getTracks().forEach(track => track.stop());
+    }
+    document.getElementById('voice-group').classList.toggle('hidden', !canRecordVoice());
+    updateVoiceRecorder();
+  }
+
+  // 나무 심기
+  // guest: 로그인하지 않은 손님이면 { guestCode, guestName }
+  // voice: 녹음한 음성 메시지 { blob, duration }, sign: 팻말 모양 { board, color, stickers }
+  async function plantTree(message, imageFiles, unlockAt, treeType, guest, voice, sign) {
+    try {
+      const images = await Promise.all(imageFiles.map(file => processImage(file, SIGN_IMAGE)));
+      const audio = voice ? await blobToDataUrl(voice.blob) : null;
 
       await api('/land/' + state.viewingLandId + '/plant', {
         method: 'POST',
+        form: 'plant-modal',
         body: JSON.stringify({
           message: message,
-          imageData: imageData,
-          treeType: treeType
+          images: images,
+          audio: audio,
+          audioDuration: voice ? voice.duration : null,
+          sign: sign,
+          treeType: treeType,
+          unlockAt: unlockAt,
+          ...guest
         })
       });
 
@@ -460,19 +2383,79 @@
       await loadLand(state.viewingLandId);
     } catch (error) {
       console.error('Failed to plant tree:', error);
-      showToast('나무 심기에 실패했습니다: ' + error.message);
+      showToast(getLandAccessMessage(error.message) || getGuestPlantMessage(error.message) ||
+        '나무 심기에 실패했습니다: ' + error.message);
+    }
+  }
+
+  // 토지 주소 저장 (바뀐 것이 없으면 저장하지 않음)
+  async function saveSlug() {
+    const slug = document.getElementById('slug-input').value.trim().toLowerCase();
+    if (!slug || slug === state.currentUser.slug) return;
+
+    try {
+      const data = await api('/me/slug', {
+        method: 'PUT',
+        body: JSON.stringify({ slug })
+      });
+      state.currentUser.slug = data.slug;
+
+      // 내 토지를 보고 있으면 주소창도 새 주소로
+      if (state.isOwnLand) {
+        history.replaceState(null, '', getMyLandPath() + window.location.search);
+      }
+      updateUI();
+    } catch (error) {
+      console.error('Failed to save slug:', error);
+      const messages = {
+        'Slug already taken': '이미 다른 사람이 쓰고 있는 주소예요.',
+        'Invalid slug': '주소는 영어 소문자로 시작하는 3~20자의 소문자, 숫자, -만 쓸 수 있어요.'
+      };
+      showToast(messages[error.message] || '토지 주소 저장에 실패했습니다.');
+    }
+  }
+
+  // 계정 삭제
+  async function deleteAccount() {
+    if (!confirm('정말 계정을 삭제할까요?\n내 토지와 받은 나무, 답장, 알림이 모두 사라지고 되돌릴 수 없어요.\n다른 토지에 심은 나무는 \'탈퇴한 사용자\'의 나무로 남아요.')) {
+      return;
+    }
+
+    try {
+      await api('/me', { method: 'DELETE' });
+      state.currentUser = null;
+      window.location.href = '/';
+    } catch (error) {
+      console.error('Failed to delete account:', error);
+      showToast('계정 삭제에 실패했습니다: ' + error.message);
+    }
+  }
+
+  // 클립보드에 복사
+  async function copyText(text, message) {
+    try {
+      await navigator.clipboard.writeText(text);
+    } catch (error) {
+      // Fallback
+      const input = document.createElement('input');
+      input.value = text;
+      document.body.appendChild(input);
+      input.select();
+      document.execCommand('copy');
+      document.body.removeChild(input);
     }
+    showToast(message);
   }
 
   // 설정 저장
   async function saveSettings(settings) {
     try {
-      await api('/user/settings', {
+      const data = await api('/user/settings', {
         method: 'POST',
         body: JSON.stringify(settings)
       });
 
-      state.currentUser = { ...state.currentUser, ...settings };
+      state.currentUser = data.user;
       showToast('설정이 저장되었습니다!');
       applyLandTheme(settings);
       updateUI();
@@ -484,27 +2467,15 @@
 
   // 이벤트 리스너 설정
   function setupEventListeners() {
-    // 구글 로그인
-    document.getElementById('google-login-btn').addEventListener('click', () => {
-      window.location.href = '/api/auth/google';
+    // 이메일 로그인 링크 받기
+    document.getElementById('email-login-form').addEventListener('submit', (e) => {
+      e.preventDefault();
+      sendLoginEmail(document.getElementById('email-login-input').value.trim(), false);
     });
 
     // 링크 복사
     document.getElementById('copy-link-btn').addEventListener('click', async () => {
-      const url = window.location.origin + '/land/' + state.currentUser.id;
-      try {
-        await navigator.clipboard.writeText(url);
-        showToast('링크가 복사되었습니다!');
-      } catch (error) {
-        // Fallback
-        const input = document.createElement('input');
-        input.value = url;
-        document.body.appendChild(input);
-        input.select();
-        document.execCommand('copy');
-        document.body.removeChild(input);
-        showToast('링크가 복사되었습니다!');
-      }
+      await copyText(getShareUrl(), '링크가 복사되었습니다!');
     });
 
     // 로그아웃
@@ -518,46 +2489,61 @@
       }
     });
 
+    // 모든 기기에서 로그아웃
+    document.getElementById('revoke-all-sessions-btn').addEventListener('click', revokeAllSessions);
+
+    // 내 데이터 내려받기 (서버가 첨부 파일로 응답)
+    document.getElementById('export-data-btn').addEventListener('click', () => {
+      window.location.href = '/api/me/export';
+    });
+
+    // 계정 삭제
+    document.getElementById('delete-account-btn').addEventListener('click', deleteAccount);
+
     // 설정 버튼
     document.getElementById('settings-btn').addEventListener('click', () => {
       const modal = document.getElementById('settings-modal');
       document.getElementById('nickname-input').value = state.currentUser.nickname || '';
+      document.getElementById('slug-prefix').textContent = window.location.host + '/land/';
+      document.getElementById('slug-input').value = state.currentUser.slug || '';
       document.getElementById('profile-preview').innerHTML = '';
+
+      // 이 토지 설정은 내 토지를 보고 있을 때만
+      document.getElementById('land-settings').classList.toggle('hidden', !state.isOwnLand);
+      if (state.isOwnLand) {
+        const archiveBtn = document.getElementById('archive-land-btn');
+        document.getElementById('land-name-input').value = state.land?.name || '';
+        archiveBtn.classList.toggle('hidden', !!state.land?.isDefault);
+        archiveBtn.textContent = state.land?.archivedAt ? '보관 해제' : '이 토지 보관하기';
+        loadPrivacySettings();
+        loadGuestCodes();
+        loadCoOwners();
+      }
+      loadIdentities();
+      loadSessions();
+      clearFieldErrors(modal);
       modal.classList.remove('hidden');
     });
 
     // 상단 바 하늘 색상 변경
     document.getElementById('header-sky-color').addEventListener('change', async (e) => {
-      const skyColor = e.target.value;
-      applyLandTheme({ skyColor, landColor: state.currentUser.settings?.landColor });
-      await saveSettings({
-        settings: {
-          ...state.currentUser.settings,
-          skyColor: skyColor
-        }
-      });
+      const theme = { ...getLandTheme(), skyColor: e.target.value };
+      applyLandTheme(theme);
+      await saveLandTheme(theme);
     });
 
     // 상단 바 땅 색상 변경
     document.getElementById('header-land-color').addEventListener('change', async (e) => {
-      const landColor = e.target.value;
-      applyLandTheme({ skyColor: state.currentUser.settings?.skyColor, landColor });
-      await saveSettings({
-        settings: {
-          ...state.currentUser.settings,
-          landColor: landColor
-        }
-      });
+      const theme = { ...getLandTheme(), landColor: e.target.value };
+      applyLandTheme(theme);
+      await saveLandTheme(theme);
     });
 
     // 상단 바 나무 개수 변경
     document.getElementById('trees-per-page-header').addEventListener('change', async (e) => {
       const treesPerPage = parseInt(e.target.value, 10);
       await saveSettings({
-        settings: {
-          ...state.currentUser.settings,
-          treesPerPage: treesPerPage
-        }
+        settings: { treesPerPage: treesPerPage }
       });
       state.treesPerPage = treesPerPage;
       state.currentTreeIndex = Math.max(0, state.trees.length - state.treesPerPage);
@@ -571,18 +2557,48 @@
 
       let profileImage = state.currentUser.profileImage;
       if (profileFile) {
-        profileImage = await imageToBase64(profileFile);
+        try {
+          profileImage = await processImage(profileFile, PROFILE_IMAGE);
+        } catch (error) {
+          showToast('프로필 이미지를 읽을 수 없어요. 다른 사진을 골라주세요.');
+          return;
+        }
       }
 
+      const modal = document.getElementById('settings-modal');
+      clearFieldErrors(modal);
+
       await saveSettings({
         nickname: nickname,
-        profileImage: profileImage,
-        settings: {
-          ...state.currentUser.settings
-        }
+        profileImage: profileImage
       });
+      await saveSlug();
+      if (state.isOwnLand) {
+        await saveLandName();
+        await savePrivacySettings();
+      }
 
-      document.getElementById('settings-modal').classList.add('hidden');
+      // 잘못 입력한 칸이 있으면 고칠 수 있게 열어 둠
+      if (!modal.querySelector('.field-error')) {
+        modal.classList.add('hidden');
+      }
+    });
+
+    // 공개 범위 선택
+    document.getElementById('privacy-mode').addEventListener('change', updatePrivacyFields);
+
+    // 토지 보관 / 보관 해제
+    document.getElementById('archive-land-btn').addEventListener('click', toggleLandArchive);
+
+    // 공동 주인 초대 링크 만들기
+    document.getElementById('create-invite-btn').addEventListener('click', createInvite);
+
+    // 손님 초대 코드 만들기
+    document.getElementById('create-guest-code-btn').addEventListener('click', createGuestCode);
+
+    // 상단 바 토지 선택
+    document.getElementById('land-switcher').addEventListener('change', (e) => {
+      switchLand(e.target.value);
     });
 
     // 설정 취소
@@ -592,65 +2608,189 @@
 
     // 프로필 이미지 미리보기
     document.getElementById('profile-image').addEventListener('change', async (e) => {
-      const file = e.target.files[0];
-      if (file) {
-        const preview = document.getElementById('profile-preview');
-        const img = document.createElement('img');
-        img.src = await imageToBase64(file);
-        preview.innerHTML = '';
-        preview.appendChild(img);
-      }
+      renderImagePreview(document.getElementById('profile-preview'), Array.from(e.target.files).slice(0, 1));
     });
 
     // 나무 심기 버튼
+    // (로그인하지 않았으면 손님 초대 코드로 심거나 로그인)
     document.getElementById('plant-tree-btn').addEventListener('click', () => {
-      if (!state.currentUser) {
-        showToast('로그인이 필요합니다. 로그인 페이지로 이동합니다.');
-        setTimeout(() => {
-          window.location.href = '/api/auth/google';
-        }, 1000);
-        return;
-      }
-      document.getElementById('sign-message').value = '';
-      document.getElementById('sign-image').value = '';
-      document.getElementById('image-preview').innerHTML = '';
-      document.getElementById('plant-modal').classList.remove('hidden');
+      openPlantModal();
     });
 
-    // 나무 심기 확인
+    // 나무 심기 확인 (고치기 중이면 팻말 수정)
     document.getElementById('confirm-plant-btn').addEventListener('click', async () => {
       const message = document.getElementById('sign-message').value.trim();
-      const imageFile = document.getElementById('sign-image').files[0];
+      const imageFiles = Array.from(document.getElementById('sign-image').files);
+      const unlockValue = document.getElementById('sign-unlock-at').value;
+      const unlockAt = unlockValue ? new Date(unlockValue).toISOString() : null;
+      const editingTree = state.editingTree;
+      const removeImages = !!editingTree && document.getElementById('remove-image-checkbox').checked;
+      const keepsImage = !!editingTree && editingTree.imageUrls.length > 0 && !removeImages;
+      const voice = state.voice;
+      const removeAudio = !!editingTree && !voice && document.getElementById('remove-audio-checkbox').checked;
+      const keepsAudio = !!editingTree && !!editingTree.audioUrl && !removeAudio;
+
+      if (state.recording) {
+        showToast('녹음을 먼저 멈춰주세요.');
+        return;
+      }
+
+      if (!message && imageFiles.length === 0 && !keepsImage && !voice && !keepsAudio) {
+        showToast('메시지를 입력하거나 이미지나 음성을 남겨주세요.');
+        return;
+      }
 
-      if (!message && !imageFile) {
-        showToast('메시지를 입력하거나 이미지를 첨부해주세요.');
+      if (imageFiles.length > MAX_SIGN_IMAGES) {
+        showToast(`사진은 ${MAX_SIGN_IMAGES}장까지 첨부할 수 있어요.`);
         return;
       }
 
+      if (!editingTree && unlockAt && new Date(unlockAt).getTime() <= Date.now()) {
+        showToast('열어볼 날짜는 미래로 정해주세요.');
+        return;
+      }
+
+      let guest = null;
+      if (!state.currentUser) {
+        guest = {
+          guestCode: document.getElementById('guest-code-input').value.trim().toUpperCase(),
+          guestName: document.getElementById('guest-name-input').value.trim()
+        };
+        if (!guest.guestCode || !guest.guestName) {
+          showToast('초대 코드와 팻말에 적을 이름을 입력해주세요.');
+          return;
+        }
+      }
+
       document.getElementById('plant-modal').classList.add('hidden');
-      await plantTree(message, imageFile);
+      if (editingTree) {
+        await editTree(editingTree, message, imageFiles, removeImages, voice, removeAudio, state.signStyle);
+      } else {
+        await plantTree(message, imageFiles, unlockAt, state.selectedSpecies, guest, voice, state.signStyle);
+      }
+      resetVoiceRecorder();
     });
 
     // 나무 심기 취소
     document.getElementById('cancel-plant-btn').addEventListener('click', () => {
+      resetVoiceRecorder();
       document.getElementById('plant-modal').classList.add('hidden');
     });
 
+    // 팻말 글씨 꾸미기 (굵게, 크게)
+    document.querySelectorAll('.format-toolbar [data-format]').forEach(button => {
+      button.addEventListener('click', () => {
+        wrapSelection(document.getElementById('sign-message'), button.dataset.format);
+      });
+    });
+
+    // 음성 메시지 녹음/멈추기
+    document.getElementById('voice-record-btn').addEventListener('click', () => {
+      if (state.recording) {
+        stopVoiceRecording();
+      } else {
+        startVoiceRecording();
+      }
+    });
+
+    // 녹음한 음성 지우기
+    document.getElementById('voice-discard-btn').addEventListener('click', () => {
+      resetVoiceRecorder();
+    });
+
     // 심기 이미지 미리보기
-    document.getElementById('sign-image').addEventListener('change', async (e) => {
-      const file = e.target.files[0];
-      if (file) {
-        const preview = document.getElementById('image-preview');
-        const img = document.createElement('img');
-        img.src = await imageToBase64(file);
-        preview.innerHTML = '';
-        preview.appendChild(img);
+    document.getElementById('sign-image').addEventListener('change', (e) => {
+      const files = Array.from(e.target.files);
+      if (files.length > MAX_SIGN_IMAGES) {
+        showToast(`사진은 ${MAX_SIGN_IMAGES}장까지 첨부할 수 있어요.`);
+      }
+      if (files.length > 0) {
+        renderImagePreview(document.getElementById('image-preview'), files.slice(0, MAX_SIGN_IMAGES));
       }
     });
 
     // 팻말 모달 닫기
     document.getElementById('close-sign-btn').addEventListener('click', () => {
+      document.getElementById('sign-audio').pause();
+      document.getElementById('sign-modal').classList.add('hidden');
+    });
+
+    // 팻말 고치기 (심은 사람)
+    document.getElementById('edit-tree-btn').addEventListener('click', () => {
+      if (!state.openTree) return;
       document.getElementById('sign-modal').classList.add('hidden');
+      openPlantModal(state.openTree);
+    });
+
+    // 나무 거두기 (심은 사람)
+    document.getElementById('withdraw-tree-btn').addEventListener('click', () => {
+      if (state.openTree) withdrawTree(state.openTree);
+    });
+
+    // 나무 숨기기/다시 보이기
+    document.getElementById('hide-tree-btn').addEventListener('click', () => {
+      if (state.openTree) toggleTreeHidden(state.openTree);
+    });
+
+    // 나무 삭제
+    document.getElementById('delete-tree-btn').addEventListener('click', () => {
+      if (state.openTree) deleteTree(state.openTree);
+    });
+
+    // 답장 남기기/지우기
+    document.getElementById('save-reply-btn').addEventListener('click', () => {
+      const message = document.getElementById('reply-message').value.trim();
+      if (!message) {
+        showToast('답장 내용을 입력해주세요.');
+        return;
+      }
+      if (state.openTree) saveReply(state.openTree, message);
+    });
+    document.getElementById('delete-reply-btn').addEventListener('click', () => {
+      if (state.openTree) saveReply(state.openTree, null);
+    });
+
+    // 답장함
+    document.getElementById('replies-btn').addEventListener('click', () => {
+      document.getElementById('replies-modal').classList.remove('hidden');
+      loadReplies(false);
+    });
+    document.getElementById('more-replies-btn').addEventListener('click', () => loadReplies(true));
+    document.getElementById('close-replies-btn').addEventListener('click', () => {
+      document.getElementById('replies-modal').classList.add('hidden');
+    });
+
+    // 알림
+    document.getElementById('notifications-btn').addEventListener('click', showNotificationsModal);
+    document.getElementById('more-notifications-btn').addEventListener('click', async () => {
+      try {
+        await loadNotifications(true);
+        renderNotifications();
+      } catch (error) {
+        showToast('알림을 불러오는데 실패했습니다.');
+      }
+    });
+    document.getElementById('read-all-notifications-btn').addEventListener('click', async () => {
+      await markNotificationsRead(null);
+      const readAt = new Date().toISOString();
+      state.notifications.forEach(notification => {
+        notification.readAt = notification.readAt || readAt;
+      });
+      updateNotificationBadge(0);
+      renderNotifications();
+    });
+    document.getElementById('push-subscribe-btn').addEventListener('click', subscribePush);
+    document.getElementById('close-notifications-btn').addEventListener('click', () => {
+      document.getElementById('notifications-modal').classList.add('hidden');
+    });
+
+    // 내가 심은 나무 더 보기
+    document.getElementById('more-planted-btn').addEventListener('click', () => loadPlantedTrees(true));
+
+    // 휴지통
+    document.getElementById('trash-btn').addEventListener('click', showTrashModal);
+    document.getElementById('close-trash-btn').addEventListener('click', () => {
+      document.getElementById('trash-modal').classList.add('hidden');
     });
 
     // 모달 바깥 클릭 시 닫기
@@ -679,24 +2819,59 @@
   // 앱 초기화
   async function init() {
     setupEventListeners();
+    setInterval(updateCountdowns, 1000);
+
+    // 나무 종류와 팻말 모양 목록 로드
+    await loadSpecies();
+    await loadSignStyles();
 
     // 현재 사용자 로드
     await loadCurrentUser();
+    showAuthResult();
+    if (await handleEmailLogin()) return;
+
+    // 로그인 전에 받은 초대 링크가 있으면 그 토지로 돌아감
+    const pendingInvite = sessionStorage.getItem('pendingInvite');
+    if (state.currentUser && pendingInvite) {
+      sessionStorage.removeItem('pendingInvite');
+      window.location.href = pendingInvite;
+      return;
+    }
+
+    // 읽지 않은 알림 개수 (1분마다, 화면이 보일 때만 갱신)
+    if (state.currentUser) {
+      refreshNotificationBadge();
+      setInterval(() => {
+        if (!document.hidden) refreshNotificationBadge();
+      }, 60 * 1000);
+      loadMyLands();
+    }
 
     // URL에서 토지 ID 확인
     const landId = getLandIdFromUrl();
 
-    if (landId) {
+    if (isPlantedPage()) {
+      // 내가 심은 나무 페이지 (로그인 필요)
+      if (!state.currentUser) {
+        window.location.href = '/';
+        return;
+      }
+      updateUI();
+      await loadPlantedTrees(false);
+    } else if (landId) {
+      await handleInvite(landId);
       await loadLand(landId);
+      if (state.viewingLandId) connectLiveUpdates(state.viewingLandId);
     } else {
       // 메인 페이지
       if (state.currentUser) {
         // 로그인된 상태면 자신의 토지로 이동
-        window.location.href = '/land/' + state.currentUser.id;
+        window.location.href = getMyLandPath();
       } else {
         // 기본 나무 표시
         renderTrees();
         updateUI();
+        await loadAuthProviders();
       }
     }
   }
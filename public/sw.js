@@ -0,0 +1,14 @@
+// 웹 푸시 서비스 워커
+// 서버는 내용 없이 푸시를 보내므로 새 알림이 왔다는 것만 표시하고, 누르면 사이트를 엶
+
+self.addEventListener('push', (event) => {
+  event.waitUntil(self.registration.showNotification('Giftree', {
+    body: '새 알림이 도착했어요.',
+    tag: 'giftree-notification'
+  }));
+});
+
+self.addEventListener('notificationclick', (event) => {
+  event.notification.close();
+  event.waitUntil(self.clients.openWindow('/'));
+});
@@ -0,0 +1,419 @@
+// Giftree - 나무 렌더러
+// 나무 종류별 설정(색상, 잎 모양, 나뭇잎 영역, 생성/낙하 속도)으로 SVG 나무를 그림.
+// 성장 단계는 나무 크기로, 활력은 잎의 양과 색으로 표현.
+// 화면의 모든 나무가 애니메이션 루프 하나를 공유하고, 탭이 숨겨지면 루프를 멈춤.
+
+(function() {
+  'use strict';
+
+  const SVG_NS = 'http://www.w3.org/2000/svg';
+
+  // 한 프레임 기준 시간 (60fps, 속도 값은 이 기준)
+  const FRAME_MS = 1000 / 60;
+
+  // 기본 설정 (species.json의 renderer 설정으로 덮어씀)
+  const DEFAULT_CONFIG = {
+    // SVG 크기
+    width: 600,
+    height: 700,
+
+    // 나무 기둥
+    trunk: { x: 270, y: 380, width: 60, height: 320, color: '#6D4C41', radius: 5 },
+
+    // 나뭇잎 영역 (ellipse: cx/cy/rx/ry, polygon: points)
+    canopy: { shape: 'ellipse', cx: 300, cy: 250, rx: 170, ry: 190 },
+
+    // 나뭇잎 모양 (rect 또는 circle)
+    leaf: { shape: 'rect', minSize: 80, maxSize: 100, radius: 2 },
+
+    // 색상
+    colors: ['#4caf50'],
+
+    // 떨어지는 속도 (프레임당 px)
+    fallSpeed: 2,
+
+    // 목표 안정 잎 개수 (이 개수를 유지하려고 함)
+    targetLeaves: 30,
+
+    // 최대 나뭇잎 수
+    maxLeaves: 150,
+
+    // 처음 그릴 잎 개수
+    initialLeaves: 40,
+
+    // 새 잎 생성 간격 (ms)
+    spawnInterval: 700,
+
+    // 개수 체크 간격 (ms)
+    checkInterval: 500,
+
+    // 초과 시 떨어뜨릴 비율 (0.0 ~ 1.0)
+    fallRatio: 0.2,
+
+    // 영역 체크 그리드 크기
+    gridSize: 30,
+
+    // 바닥 Y 좌표
+    groundY: 650
+  };
+
+  // 성장 단계별 크기
+  const GROWTH_SCALE = {
+    sapling: 0.45,
+    young: 0.7,
+    full: 1
+  };
+
+  // 활력이 낮을 때 섞을 시든 잎 색
+  const WITHERED_COLOR = '#a1887f';
+
+  // 화면에 그려진 나무들
+  const trees = [];
+  let frameId = null;
+  let lastTime = null;
+
+  // 랜덤 값 생성 헬퍼
+  function random(min, max) {
+    return Math.random() * (max - min) + min;
+  }
+
+  // 점이 나뭇잎 영역 안에 있는지 확인
+  function isInsideCanopy(canopy, x, y) {
+    if (canopy.shape === 'polygon') {
+      // 레이 캐스팅
+      let inside = false;
+      const points = canopy.points;
+      for (let i = 0, j = points.length - 1; i < points.length; j = i++) {
+        const [xi, yi] = points[i];
+        const [xj, yj] = points[j];
+        if ((yi > y) !== (yj > y) && x < (xj - xi) * (y - yi) / (yj - yi) + xi) {
+          inside = !inside;
+        }
+      }
+      return inside;
+    }
+
+    const dx = (x - canopy.cx) / canopy.rx;
+    const dy = (y - canopy.cy) / canopy.ry;
+    return (dx * dx + dy * dy) <= 1;
+  }
+
+  // 나뭇잎 영역의 바운딩 박스
+  function getCanopyBounds(canopy) {
+    if (canopy.shape === 'polygon') {
+      const xs = canopy.points.map(p => p[0]);
+      const ys = canopy.points.map(p => p[1]);
+      return {
+        minX: Math.min(...xs),
+        maxX: Math.max(...xs),
+        minY: Math.min(...ys),
+        maxY: Math.max(...ys)
+      };
+    }
+    return {
+      minX: canopy.cx - canopy.rx,
+      maxX: canopy.cx + canopy.rx,
+      minY: canopy.cy - canopy.ry,
+      maxY: canopy.cy + canopy.ry
+    };
+  }
+
+  // 특정 위치에서 가장 가까운 안정 잎까지의 거리
+  function distanceToNearestStableLeaf(tree, x, y) {
+    let minDist = Infinity;
+    tree.leaves.forEach(leaf => {
+      if (leaf.state !== 'stable') return;
+      const dx = leaf.x - x;
+      const dy = leaf.y - y;
+      const dist = Math.sqrt(dx * dx + dy * dy);
+      if (dist < minDist) minDist = dist;
+    });
+    return minDist;
+  }
+
+  // 그리드 기반 빈 공간 찾기 (가장 크게 비어있는 곳 우선)
+  function findEmptySpot(tree) {
+    const { canopy, gridSize } = tree.config;
+    let bestCell = null;
+    let maxDistance = 0;
+
+    for (let x = tree.bounds.minX; x <= tree.bounds.maxX; x += gridSize) {
+      for (let y = tree.bounds.minY; y <= tree.bounds.maxY; y += gridSize) {
+        if (!isInsideCanopy(canopy, x, y)) continue;
+
+        const dist = distanceToNearestStableLeaf(tree, x, y);
+        if (dist > maxDistance) {
+          maxDistance = dist;
+          bestCell = { x, y };
+        }
+      }
+    }
+
+    if (!bestCell) return null;
+
+    // 약간의 랜덤 오프셋 추가
+    return {
+      x: bestCell.x + (Math.random() - 0.5) * gridSize * 0.5,
+      y: bestCell.y + (Math.random() - 0.5) * gridSize * 0.5
+    };
+  }
+
+  // 나뭇잎 transform 업데이트
+  function updateLeafTransform(leaf) {
+    const half = leaf.size / 2;
+    leaf.element.setAttribute('transform',
+      `translate(${leaf.x - half}, ${leaf.y - half}) rotate(${leaf.rotation}, ${half}, ${half})`);
+  }
+
+  // 나뭇잎 생성
+  function createLeaf(tree) {
+    const { config } = tree;
+    const stableLeaves = tree.leaves.filter(l => l.state === 'stable').length;
+    if (stableLeaves >= config.maxLeaves) return;
+
+    const spot = findEmptySpot(tree);
+    if (!spot) return;
+
+    const size = random(config.leaf.minSize, config.leaf.maxSize);
+    const color = config.colors[Math.floor(Math.random() * config.colors.length)];
+
+    let element;
+    if (config.leaf.shape === 'circle') {
+      element = document.createElementNS(SVG_NS, 'circle');
+      element.setAttribute('cx', size / 2);
+      element.setAttribute('cy', size / 2);
+      element.setAttribute('r', size / 2);
+    } else {
+      element = document.createElementNS(SVG_NS, 'rect');
+      element.setAttribute('width', size);
+      element.setAttribute('height', size);
+      element.setAttribute('rx', config.leaf.radius);
+    }
+    element.setAttribute('fill', color);
+    element.setAttribute('opacity', '0.9');
+
+    const leaf = {
+      element: element,
+      x: spot.x,
+      y: spot.y,
+      size: size,
+      rotation: random(-30, 30),
+      state: 'stable',
+      fallRotationSpeed: random(-3, 3),
+      swayOffset: random(0, Math.PI * 2),
+      swaySpeed: random(0.02, 0.05),
+      swayAmount: random(0.5, 2)
+    };
+
+    updateLeafTransform(leaf);
+    tree.leaves.push(leaf);
+    tree.leavesGroup.appendChild(element);
+  }
+
+  // 개수 체크 및 초과분 떨어뜨리기
+  function checkAndDropExcess(tree) {
+    const stableLeaves = tree.leaves.filter(l => l.state === 'stable');
+    const excess = stableLeaves.length - tree.config.targetLeaves;
+
+    if (excess > 0) {
+      const dropCount = Math.max(1, Math.ceil(excess * tree.config.fallRatio));
+      const shuffled = stableLeaves.sort(() => Math.random() - 0.5);
+
+      shuffled.slice(0, dropCount).forEach(leaf => {
+        leaf.state = 'falling';
+        leaf.element.setAttribute('opacity', '0.7');
+      });
+    }
+  }
+
+  // 나무 하나의 한 프레임 처리
+  function stepTree(tree, now, deltaTime) {
+    const { config } = tree;
+    const frames = deltaTime / FRAME_MS;
+
+    // 주기적으로 새 잎 생성 / 개수 체크
+    tree.spawnElapsed += deltaTime;
+    if (tree.spawnElapsed >= config.spawnInterval) {
+      tree.spawnElapsed = 0;
+      createLeaf(tree);
+    }
+
+    tree.checkElapsed += deltaTime;
+    if (tree.checkElapsed >= config.checkInterval) {
+      tree.checkElapsed = 0;
+      checkAndDropExcess(tree);
+    }
+
+    // 떨어지는 잎 이동
+    tree.leaves.forEach(leaf => {
+      if (leaf.state !== 'falling') return;
+
+      leaf.y += config.fallSpeed * frames;
+      leaf.x += Math.sin(now * leaf.swaySpeed + leaf.swayOffset) * leaf.swayAmount * frames;
+      leaf.rotation += leaf.fallRotationSpeed * frames;
+      updateLeafTransform(leaf);
+
+      if (leaf.y >= config.groundY) {
+        leaf.state = 'remove';
+      }
+    });
+
+    tree.leaves = tree.leaves.filter(leaf => {
+      if (leaf.state === 'remove') {
+        leaf.element.remove();
+        return false;
+      }
+      return true;
+    });
+  }
+
+  // 공유 애니메이션 루프
+  function loop(now) {
+    const deltaTime = lastTime === null ? FRAME_MS : Math.min(now - lastTime, 100);
+    lastTime = now;
+
+    for (let i = trees.length - 1; i >= 0; i--) {
+      const tree = trees[i];
+
+      // 아직 화면에 붙지 않은 나무는 건너뜀 (루프에서 빼는 것은 destroy()로)
+      if (!tree.svg.isConnected) continue;
+
+      stepTree(tree, now, deltaTime);
+    }
+
+    frameId = null;
+    start();
+  }
+
+  // 루프 시작 (탭이 보이고 그릴 나무가 있을 때만)
+  function start() {
+    if (frameId !== null || document.hidden || trees.length === 0) return;
+    frameId = requestAnimationFrame(loop);
+  }
+
+  // 루프 정지
+  function stop() {
+    if (frameId !== null) {
+      cancelAnimationFrame(frameId);
+      frameId = null;
+    }
+    lastTime = null;
+  }
+
+  document.addEventListener('visibilitychange', () => {
+    if (document.hidden) {
+      stop();
+    } else {
+      start();
+    }
+  });
+
+  // 두 색 섞기 (ratio: 0 = a, 1 = b)
+  function mixColor(a, b, ratio) {
+    const parse = hex => {
+      const num = parseInt(hex.replace('#', ''), 16);
+      return [num >> 16, (num >> 8) & 0xFF, num & 0xFF];
+    };
+    const ca = parse(a);
+    const cb = parse(b);
+    const mixed = ca.map((c, i) => Math.round(c + (cb[i] - c) * ratio));
+    return '#' + mixed.map(c => c.toString(16).padStart(2, '0')).join('');
+  }
+
+  // 설정 병합 (leaf/trunk는 부분 덮어쓰기 허용)
+  function mergeConfig(config) {
+    return {
+      ...DEFAULT_CONFIG,
+      ...config,
+      trunk: { ...DEFAULT_CONFIG.trunk, ...(config && config.trunk) },
+      leaf: { ...DEFAULT_CONFIG.leaf, ...(config && config.leaf) }
+    };
+  }
+
+  // 활력(0~1)에 따라 잎 개수와 색 조정
+  function applyVitality(config, vitality) {
+    const density = 0.4 + 0.6 * vitality;
+    const wither = (1 - vitality) * 0.6;
+    return {
+      ...config,
+      targetLeaves: Math.max(1, Math.round(config.targetLeaves * density)),
+      maxLeaves: Math.max(1, Math.round(config.maxLeaves * density)),
+      initialLeaves: Math.round(config.initialLeaves * density),
+      colors: config.colors.map(color => mixColor(color, WITHERED_COLOR, wither))
+    };
+  }
+
+  // 컨테이너에 나무 그리기 (다 쓰면 돌려준 destroy()를 불러야 애니메이션 루프에서 빠짐)
+  // options.growth: 'sapling' | 'young' | 'full', options.vitality: 0~1
+  function mount(container, speciesConfig, options = {}) {
+    const vitality = Math.min(1, Math.max(0, options.vitality ?? 1));
+    const config = applyVitality(mergeConfig(speciesConfig), vitality);
+    const scale = GROWTH_SCALE[options.growth] || GROWTH_SCALE.full;
+
+    const svg = document.createElementNS(SVG_NS, 'svg');
+    svg.setAttribute('viewBox', `0 0 ${config.width} ${config.height}`);
+    svg.setAttribute('width', '100%');
+    svg.setAttribute('height', '100%');
+
+    // 성장 단계만큼 바닥 중앙을 기준으로 축소
+    const body = document.createElementNS(SVG_NS, 'g');
+    const originX = config.width / 2;
+    body.setAttribute('transform',
+      `translate(${originX}, ${config.height}) scale(${scale}) translate(${-originX}, ${-config.height})`);
+    svg.appendChild(body);
+
+    // 나무 기둥
+    const trunk = document.createElementNS(SVG_NS, 'rect');
+    trunk.setAttribute('x', config.trunk.x);
+    trunk.setAttribute('y', config.trunk.y);
+    trunk.setAttribute('width', config.trunk.width);
+    trunk.setAttribute('height', config.trunk.height);
+    trunk.setAttribute('fill', config.trunk.color);
+    trunk.setAttribute('rx', config.trunk.radius);
+    body.appendChild(trunk);
+
+    // 나뭇잎들이 여기에 추가됨
+    const leavesGroup = document.createElementNS(SVG_NS, 'g');
+    body.appendChild(leavesGroup);
+
+    container.appendChild(svg);
+
+    const tree = {
+      config: config,
+      bounds: getCanopyBounds(config.canopy),
+      svg: svg,
+      leavesGroup: leavesGroup,
+      leaves: [],
+      spawnElapsed: 0,
+      checkElapsed: 0
+    };
+
+    // 초기 잎 생성
+    for (let i = 0; i < config.initialLeaves; i++) {
+      createLeaf(tree);
+    }
+
+    trees.push(tree);
+    start();
+
+    return {
+      destroy() {
+        const index = trees.indexOf(tree);
+        if (index !== -1) trees.splice(index, 1);
+        svg.remove();
+      }
+    };
+  }
+
+  // SVG를 지원하는 환경인지
+  function isSupported() {
+    return typeof document.createElementNS === 'function' &&
+      typeof window.SVGElement === 'function' &&
+      typeof window.requestAnimationFrame === 'function';
+  }
+
+  window.TreeRenderer = {
+    mount: mount,
+    isSupported: isSupported
+  };
+})();
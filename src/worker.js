@@ -1,5 +1,10 @@
 // Giftree - Cloudflare Worker Backend
 
+import { DurableObject } from 'cloudflare:workers';
+// 나무 종류 목록 (프론트엔드와 같은 파일을 사용)
+import SPECIES from '../public/species.json';
+import SIGN_STYLES from '../public/signs.json';
+
 // 쿠키 파싱
 function parseCookies(cookieHeader) {
   const cookies = {};
@@ -14,346 +19,3738 @@ function parseCookies(cookieHeader) {
   return cookies;
 }
 
-// 쿠키 설정 헤더 생성
-function setCookie(name, value, options = {}) {
-  const parts = [`${name}=${encodeURIComponent(value)}`];
-  if (options.maxAge) parts.push(`Max-Age=${options.maxAge}`);
-  if (options.path) parts.push(`Path=${options.path}`);
-  if (options.httpOnly) parts.push('HttpOnly');
-  if (options.secure) parts.push('Secure');
-  if (options.sameSite) parts.push(`SameSite=${options.sameSite}`);
-  return parts.join('; ');
-}
+// 쿠키 설정 헤더 생성
+function setCookie(name, value, options = {}) {
+  const parts = [`${name}=${encodeURIComponent(value)}`];
+  if (options.maxAge) parts.push(`Max-Age=${options.maxAge}`);
+  if (options.path) parts.push(`Path=${options.path}`);
+  if (options.httpOnly) parts.push('HttpOnly');
+  if (options.secure) parts.push('Secure');
+  if (options.sameSite) parts.push(`SameSite=${options.sameSite}`);
+  return parts.join('; ');
+}
+
+// 세션 ID 생성
+function generateSessionId() {
+  const array = new Uint8Array(32);
+  crypto.getRandomValues(array);
+  return Array.from(array, b => b.toString(16).padStart(2, '0')).join('');
+}
+
+// 나무 ID 생성
+function generateTreeId() {
+  return 'tree_' + Date.now() + '_' + Math.random().toString(36).substr(2, 9);
+}
+
+// JSON 응답
+function jsonResponse(data, status = 200, headers = {}) {
+  return new Response(JSON.stringify(data), {
+    status,
+    headers: {
+      'Content-Type': 'application/json',
+      ...headers
+    }
+  });
+}
+
+// 상태 코드별 기본 오류 코드
+const ERROR_CODES = {
+  400: 'bad_request',
+  401: 'unauthorized',
+  403: 'forbidden',
+  404: 'not_found',
+  409: 'conflict',
+  426: 'upgrade_required',
+  429: 'too_many_requests',
+  500: 'internal_error',
+  501: 'not_implemented',
+  502: 'bad_gateway'
+};
+
+// 에러 응답 ({ error: { code, message } }, 입력 검사 오류와 같은 모양)
+function errorResponse(message, status = 400, code = ERROR_CODES[status] || 'error') {
+  return jsonResponse({ error: { code, message } }, status);
+}
+
+// data URL 파싱 (data:image/png;base64,... -> 바이너리, 녹음 파일처럼 ;codecs=opus 같은 값이 붙어도 됨)
+function parseDataUrl(dataUrl) {
+  const match = /^data:((?:image|audio)\/[a-zA-Z0-9.+-]+)(?:;[a-zA-Z0-9=.+-]+)*;base64,(.+)$/.exec(dataUrl || '');
+  if (!match) return null;
+
+  const binary = atob(match[2]);
+  const bytes = new Uint8Array(binary.length);
+  for (let i = 0; i < binary.length; i++) {
+    bytes[i] = binary.charCodeAt(i);
+  }
+  return { contentType: match[1], bytes };
+}
+
+// 바이너리 -> data URL
+function toDataUrl(contentType, bytes) {
+  let binary = '';
+  for (let i = 0; i < bytes.length; i++) {
+    binary += String.fromCharCode(bytes[i]);
+  }
+  return `data:${contentType};base64,${btoa(binary)}`;
+}
+
+// 바이트 일부를 문자열로 (매직 바이트, 청크 이름 비교용)
+function readAscii(bytes, start, end) {
+  return String.fromCharCode(...bytes.subarray(start, end));
+}
+
+// 여러 바이트 조각을 하나로 합치기
+function concatBytes(parts) {
+  const result = new Uint8Array(parts.reduce((sum, part) => sum + part.length, 0));
+  let offset = 0;
+  for (const part of parts) {
+    result.set(part, offset);
+    offset += part.length;
+  }
+  return result;
+}
+
+// 올릴 수 있는 이미지 형식 (data URL의 형식 대신 파일 앞부분의 매직 바이트로 판별)
+const IMAGE_SIGNATURES = [
+  { contentType: 'image/jpeg', test: bytes => bytes[0] === 0xFF && bytes[1] === 0xD8 && bytes[2] === 0xFF },
+  { contentType: 'image/png', test: bytes => readAscii(bytes, 0, 8) === '\x89PNG\r\n\x1a\n' },
+  { contentType: 'image/gif', test: bytes => ['GIF87a', 'GIF89a'].includes(readAscii(bytes, 0, 6)) },
+  { contentType: 'image/webp', test: bytes => readAscii(bytes, 0, 4) === 'RIFF' && readAscii(bytes, 8, 12) === 'WEBP' }
+];
+
+// JPEG에서 APP1(EXIF/XMP), APP13(IPTC), 주석 세그먼트 제거 (찍은 위치, 기기 정보 등)
+// EXIF의 회전 정보도 함께 빠지므로 앱에서는 올리기 전에 회전을 적용해 다시 인코딩함
+function stripJpegMetadata(bytes) {
+  const parts = [bytes.subarray(0, 2)];
+  let offset = 2;
+  while (offset + 4 <= bytes.length) {
+    if (bytes[offset] !== 0xFF) return null;
+    const marker = bytes[offset + 1];
+    // 이미지 데이터 시작 (SOS) 뒤는 그대로
+    if (marker === 0xDA) {
+      parts.push(bytes.subarray(offset));
+      return concatBytes(parts);
+    }
+    const length = (bytes[offset + 2] << 8) | bytes[offset + 3];
+    if (length < 2 || offset + 2 + length > bytes.length) return null;
+    if (marker !== 0xE1 && marker !== 0xED && marker !== 0xFE) {
+      parts.push(bytes.subarray(offset, offset + 2 + length));
+    }
+    offset += 2 + length;
+  }
+  return null;
+}
+
+// PNG에서 EXIF, 텍스트, 시간 청크 제거
+function stripPngMetadata(bytes) {
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  const parts = [bytes.subarray(0, 8)];
+  let offset = 8;
+  while (offset + 12 <= bytes.length) {
+    const length = view.getUint32(offset);
+    const type = readAscii(bytes, offset + 4, offset + 8);
+    const end = offset + 12 + length;
+    if (end > bytes.length) return null;
+    if (!['eXIf', 'tEXt', 'zTXt', 'iTXt', 'tIME'].includes(type)) {
+      parts.push(bytes.subarray(offset, end));
+    }
+    if (type === 'IEND') {
+      return concatBytes(parts);
+    }
+    offset = end;
+  }
+  return null;
+}
+
+// WebP에서 EXIF, XMP 청크를 빼고 VP8X 플래그와 RIFF 크기를 다시 맞춤
+function stripWebpMetadata(bytes) {
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  const parts = [];
+  let offset = 12;
+  while (offset + 8 <= bytes.length) {
+    const type = readAscii(bytes, offset, offset + 4);
+    const length = view.getUint32(offset + 4, true);
+    const end = offset + 8 + length + (length % 2);
+    if (offset + 8 + length > bytes.length) return null;
+    if (type === 'VP8X') {
+      const chunk = bytes.slice(offset, Math.min(end, bytes.length));
+      chunk[8] &= ~(0x08 | 0x04);
+      parts.push(chunk);
+    } else if (type !== 'EXIF' && type !== 'XMP ') {
+      parts.push(bytes.subarray(offset, Math.min(end, bytes.length)));
+    }
+    offset = end;
+  }
+
+  const body = concatBytes(parts);
+  const header = new Uint8Array(12);
+  header.set(bytes.subarray(0, 12));
+  new DataView(header.buffer).setUint32(4, body.length + 4, true);
+  return concatBytes([header, body]);
+}
+
+// 이미지 data URL 검사 후 메타데이터 제거 ({ contentType, bytes } 또는 null)
+function readImageDataUrl(dataUrl) {
+  const image = parseDataUrl(dataUrl);
+  if (!image) return null;
+
+  const signature = IMAGE_SIGNATURES.find(signature => signature.test(image.bytes));
+  if (!signature) return null;
+
+  const strip = {
+    'image/jpeg': stripJpegMetadata,
+    'image/png': stripPngMetadata,
+    'image/webp': stripWebpMetadata
+  }[signature.contentType];
+  const bytes = strip ? strip(image.bytes) : image.bytes;
+  return bytes ? { contentType: signature.contentType, bytes } : null;
+}
+
+// 팻말 이미지 R2 키 (수정 시에는 버전을 붙여 기존 이미지와 구분, 여러 장이면 순서를 붙임)
+function getTreeImageKey(landId, treeId, version, index) {
+  return `trees/${landId}/${treeId}` + (version ? `/${version}` : '') + (index ? `/${index}` : '');
+}
+
+// 나무에 첨부한 이미지 키 목록 (예전 나무는 imageKey 하나)
+function getTreeImageKeys(tree) {
+  return tree.imageKeys || (tree.imageKey ? [tree.imageKey] : []);
+}
+
+// 팻말 이미지 URL 목록 (소유자와 심은 사람만 접근 가능한 라우트)
+// 수정된 나무는 브라우저 캐시를 피하도록 버전을 붙임
+function getTreeImageUrls(landId, tree) {
+  return getTreeImageKeys(tree).map((key, index) => {
+    const url = `/api/land/${landId}/trees/${tree.id}/images/${index}`;
+    return tree.editedAt ? url + '?v=' + Date.parse(tree.editedAt) : url;
+  });
+}
+
+// 팻말 이미지를 R2에 저장하고 키 반환 (올릴 수 없는 이미지면 null)
+async function storeTreeImage(env, landId, treeId, dataUrl, version, index) {
+  const image = readImageDataUrl(dataUrl);
+  if (!image) return null;
+
+  const key = getTreeImageKey(landId, treeId, version, index);
+  await env.IMAGES.put(key, image.bytes, {
+    httpMetadata: { contentType: image.contentType }
+  });
+  return key;
+}
+
+// 팻말 이미지 여러 장 저장 (하나라도 올릴 수 없으면 저장한 것도 지우고 null)
+async function storeTreeImages(env, landId, treeId, dataUrls, version) {
+  const keys = [];
+  for (let i = 0; i < dataUrls.length; i++) {
+    const key = await storeTreeImage(env, landId, treeId, dataUrls[i], version, i);
+    if (!key) {
+      await deleteTreeFiles(env, keys);
+      return null;
+    }
+    keys.push(key);
+  }
+  return keys;
+}
+
+// 올릴 수 있는 녹음 형식 (브라우저 MediaRecorder가 만드는 형식, 매직 바이트로 판별)
+const AUDIO_SIGNATURES = [
+  { contentType: 'audio/webm', test: bytes => bytes[0] === 0x1A && bytes[1] === 0x45 && bytes[2] === 0xDF && bytes[3] === 0xA3 },
+  { contentType: 'audio/mp4', test: bytes => readAscii(bytes, 4, 8) === 'ftyp' },
+  { contentType: 'audio/ogg', test: bytes => readAscii(bytes, 0, 4) === 'OggS' }
+];
+
+// 녹음 R2 키 (수정 시에는 버전으로 기존 녹음과 구분)
+function getTreeAudioKey(landId, treeId, version) {
+  return `trees/${landId}/${treeId}/audio/${version}`;
+}
+
+// 팻말 녹음 URL (이미지와 같이 소유자와 심은 사람만 접근 가능)
+function getTreeAudioUrl(landId, tree) {
+  if (!tree.audioKey) return null;
+  const url = `/api/land/${landId}/trees/${tree.id}/audio`;
+  return tree.editedAt ? url + '?v=' + Date.parse(tree.editedAt) : url;
+}
+
+// 팻말 녹음을 R2에 저장하고 키 반환 (올릴 수 없는 형식이거나 60초 분량보다 크면 null)
+async function storeTreeAudio(env, landId, treeId, dataUrl, version) {
+  const audio = parseDataUrl(dataUrl);
+  const signature = audio && AUDIO_SIGNATURES.find(signature => signature.test(audio.bytes));
+  if (!signature || audio.bytes.length > MAX_AUDIO_BYTES) return null;
+
+  const key = getTreeAudioKey(landId, treeId, version);
+  await env.IMAGES.put(key, audio.bytes, {
+    httpMetadata: { contentType: signature.contentType }
+  });
+  return key;
+}
+
+// 나무에 첨부한 파일 키 (이미지, 녹음) - 나무를 지울 때 함께 지움
+function getTreeFileKeys(tree) {
+  return [...getTreeImageKeys(tree), ...(tree.audioKey ? [tree.audioKey] : [])];
+}
+
+// 팻말 첨부 파일 지우기
+async function deleteTreeFiles(env, keys) {
+  for (const key of keys) {
+    await env.IMAGES.delete(key);
+  }
+}
+
+// R2에 저장된 첨부 파일을 data URL로 읽기 (내보내기용)
+async function readStoredFileAsDataUrl(env, key) {
+  const object = await env.IMAGES.get(key);
+  if (!object) return null;
+
+  const bytes = new Uint8Array(await object.arrayBuffer());
+  const contentType = (object.httpMetadata && object.httpMetadata.contentType) || 'application/octet-stream';
+  return toDataUrl(contentType, bytes);
+}
+
+// 팻말 이미지를 data URL 목록으로 읽기 (내보내기용)
+async function readTreeImagesAsDataUrls(env, tree) {
+  const images = [];
+  for (const imageKey of getTreeImageKeys(tree)) {
+    const image = await readStoredFileAsDataUrl(env, imageKey);
+    if (image) {
+      images.push(image);
+    }
+  }
+  return images;
+}
+
+// 값을 JSON으로 조금씩 씀 (async iterable은 배열로 쓰고, 그 항목은 하나씩 만들어 쓰므로 전체를 메모리에 두지 않음)
+async function writeJson(write, value) {
+  const isStream = item => !!item && typeof item[Symbol.asyncIterator] === 'function';
+
+  if (isStream(value)) {
+    await write('[');
+    let first = true;
+    for await (const item of value) {
+      await write(first ? '' : ',');
+      first = false;
+      await writeJson(write, item);
+    }
+    await write(']');
+  } else if (value && typeof value === 'object' && !Array.isArray(value) && Object.values(value).some(isStream)) {
+    const entries = Object.entries(value).filter(([, item]) => item !== undefined);
+    await write('{');
+    for (let i = 0; i < entries.length; i++) {
+      await write((i > 0 ? ',' : '') + JSON.stringify(entries[i][0]) + ':');
+      await writeJson(write, entries[i][1]);
+    }
+    await write('}');
+  } else {
+    await write(JSON.stringify(value));
+  }
+}
+
+// 내보내기: 내 토지들의 모든 나무 (휴지통 포함, 아직 열리지 않은 타임캡슐은 내용 제외)
+async function* exportOwnedLands(env, user) {
+  for (const entry of await findOwnedLands(env, user)) {
+    const land = await getLandStub(env, entry.id).getLand(entry.id);
+    if (!land) continue;
+
+    yield {
+      id: entry.id,
+      name: land.name || null,
+      isDefault: entry.isDefault,
+      role: entry.role,
+      theme: land.theme || null,
+      createdAt: land.createdAt,
+      archivedAt: land.archivedAt || null,
+      trees: exportLandTrees(env, land.trees)
+    };
+  }
+}
+
+async function* exportLandTrees(env, trees) {
+  for (const tree of trees) {
+    const { imageKey, imageKeys, audioKey, wateredToday, vitalityAt, unlockNotifiedAt, ...rest } = tree;
+    if (isTreeLocked(tree)) {
+      const { message, ...sealed } = rest;
+      yield { ...sealed, locked: true };
+      continue;
+    }
+    yield {
+      ...rest,
+      images: await readTreeImagesAsDataUrls(env, tree),
+      audio: tree.audioKey ? await readStoredFileAsDataUrl(env, tree.audioKey) : null
+    };
+  }
+}
+
+// 내보내기: 다른 토지에 심은 나무 (지금 상태 그대로)
+async function* exportPlantedTrees(env, user) {
+  for (const entry of await getKvPrefix(env.LANDS, `planted:${user.id}:`)) {
+    const tree = await getLandStub(env, entry.landId).getTree(entry.landId, entry.treeId);
+    if (!tree || tree.planterId !== user.id) continue;
+    yield {
+      landId: entry.landId,
+      id: tree.id,
+      type: tree.type,
+      message: tree.message,
+      sign: tree.sign || null,
+      images: await readTreeImagesAsDataUrls(env, tree),
+      audio: tree.audioKey ? await readStoredFileAsDataUrl(env, tree.audioKey) : null,
+      unlockAt: tree.unlockAt || null,
+      plantedAt: tree.plantedAt,
+      editedAt: tree.editedAt || null,
+      reply: tree.reply || null
+    };
+  }
+}
+
+// 형식 검사를 통과하지 못한 예전 이미지를 받은 그대로 R2에 저장하고 키 반환 (data URL을 읽을 수 없으면 null)
+// 알려진 이미지 형식이 아니면 브라우저가 문서로 열지 않도록 octet-stream으로 저장
+async function storeLegacyTreeImage(env, landId, treeId, dataUrl) {
+  const image = parseDataUrl(dataUrl);
+  if (!image || !image.contentType.startsWith('image/')) return null;
+
+  const key = getTreeImageKey(landId, treeId);
+  const known = IMAGE_SIGNATURES.some(signature => signature.contentType === image.contentType);
+  await env.IMAGES.put(key, image.bytes, {
+    httpMetadata: { contentType: known ? image.contentType : 'application/octet-stream' }
+  });
+  return key;
+}
+
+// 토지 기록에 인라인으로 남아있는 이미지(base64)를 R2로 옮김
+// 옮기지 못한 이미지는 잃어버리지 않도록 인라인 그대로 둠
+async function migrateInlineImages(env, landId, land) {
+  let migrated = false;
+
+  for (const tree of land.trees) {
+    if (!tree.imageUrl || !tree.imageUrl.startsWith('data:')) continue;
+
+    let imageKey = null;
+    try {
+      imageKey = await storeTreeImage(env, landId, tree.id, tree.imageUrl)
+        || await storeLegacyTreeImage(env, landId, tree.id, tree.imageUrl);
+    } catch (error) {
+      console.error('Image migration error:', landId, tree.id, error);
+    }
+    if (imageKey) {
+      tree.imageKey = imageKey;
+      delete tree.imageUrl;
+      migrated = true;
+    }
+  }
+
+  return migrated;
+}
+
+// 휴지통 보관 기간 (이후 영구 삭제)
+const TRASH_RETENTION_MS = 30 * 24 * 60 * 60 * 1000;
+
+// 답장 최대 길이
+const MAX_REPLY_LENGTH = 500;
+
+// 심은 사람별 답장 목록 KV 키
+function getReplyIndexKey(planterId, landId, treeId) {
+  return `reply:${planterId}:${landId}:${treeId}`;
+}
+
+// 심은 사람별 심은 나무 목록 KV 키 (최신순으로 나열되도록 시간을 뒤집어 붙임)
+function getPlantedIndexKey(planterId, landId, tree) {
+  const invertedTime = String(9999999999999 - Date.parse(tree.plantedAt)).padStart(13, '0');
+  return `planted:${planterId}:${invertedTime}:${landId}:${tree.id}`;
+}
+
+// 심은 나무 목록에 기록
+async function putPlantedIndex(env, landId, tree) {
+  await env.LANDS.put(getPlantedIndexKey(tree.planterId, landId, tree), JSON.stringify({
+    landId: landId,
+    treeId: tree.id,
+    type: tree.type,
+    message: tree.message,
+    plantedAt: tree.plantedAt
+  }));
+}
+
+// 심은 나무 목록에서 제거
+async function deletePlantedIndex(env, landId, tree) {
+  await env.LANDS.delete(getPlantedIndexKey(tree.planterId, landId, tree));
+}
+
+// 알림 보관 기간 (90일, 이후 KV에서 자동 만료)
+const NOTIFICATION_TTL_SECONDS = 90 * 24 * 60 * 60;
+
+// 사용자별 알림 KV 키 (알림 ID가 뒤집은 시간으로 시작하므로 최신순으로 나열됨)
+function getNotificationKey(userId, notificationId) {
+  return `notification:${userId}:${notificationId}`;
+}
+
+// 알림 기록 (내용은 메타데이터에 넣어 목록 조회 한 번으로 읽을 수 있게 함)
+// type: 'planted' (내 토지에 나무가 심어짐), 'reply' (내 나무에 답장이 달림), 'unlocked' (타임캡슐 팻말이 열림)
+async function createNotification(env, userId, notification) {
+  const createdAt = new Date().toISOString();
+  const invertedTime = String(9999999999999 - Date.parse(createdAt)).padStart(13, '0');
+  const record = {
+    id: invertedTime + '_' + Math.random().toString(36).substr(2, 6),
+    type: notification.type,
+    landId: notification.landId,
+    treeId: notification.treeId,
+    actorName: (notification.actorName || '').slice(0, 40),
+    createdAt: createdAt,
+    readAt: null
+  };
+
+  await env.USERS.put(getNotificationKey(userId, record.id), '', {
+    expiration: getNotificationExpiration(record),
+    metadata: record
+  });
+  await sendPushNotifications(env, userId);
+  return record;
+}
+
+// 알림 만료 시각 (다시 저장해도 처음 만든 시각 기준으로 만료되도록)
+function getNotificationExpiration(record) {
+  return Math.floor(Date.parse(record.createdAt) / 1000) + NOTIFICATION_TTL_SECONDS;
+}
+
+// 알림 읽음 처리
+async function markNotificationRead(env, userId, record) {
+  if (record.readAt) return;
+  await env.USERS.put(getNotificationKey(userId, record.id), '', {
+    expiration: getNotificationExpiration(record),
+    metadata: { ...record, readAt: new Date().toISOString() }
+  });
+}
+
+// 웹 푸시 구독 최대 개수 (사용자당 기기 수)
+const MAX_PUSH_SUBSCRIPTIONS = 5;
+
+// 구독을 받는 푸시 서비스 호스트 (하위 도메인 포함)
+// Chrome(FCM), Firefox(Mozilla autopush), Safari(Apple), Edge(WNS) - 그 밖의 주소로는 요청을 보내지 않음
+const PUSH_SERVICE_HOSTS = [
+  'fcm.googleapis.com',
+  'android.googleapis.com',
+  'updates.push.services.mozilla.com',
+  'push.apple.com',
+  'notify.windows.com'
+];
+
+// 알려진 푸시 서비스의 구독 주소인지 (https, 기본 포트만)
+function isPushServiceEndpoint(endpoint) {
+  let url;
+  try {
+    url = new URL(endpoint);
+  } catch (error) {
+    return false;
+  }
+  if (url.protocol !== 'https:' || url.port || url.username || url.password) return false;
+  return PUSH_SERVICE_HOSTS.some(host => url.hostname === host || url.hostname.endsWith('.' + host));
+}
+
+// 푸시 요청 주소 (PUSH_MOCK_ORIGIN을 정하면 '<origin>/push/<호스트><원래 경로>'로 보냄, 로컬 가짜 푸시 서비스용)
+function getPushUrl(env, endpoint) {
+  if (!env.PUSH_MOCK_ORIGIN) return endpoint;
+  const { hostname, pathname, search } = new URL(endpoint);
+  return env.PUSH_MOCK_ORIGIN + '/push/' + hostname + pathname + search;
+}
+
+// Base64URL 인코딩/디코딩
+function base64UrlEncode(bytes) {
+  let binary = '';
+  for (const byte of new Uint8Array(bytes)) {
+    binary += String.fromCharCode(byte);
+  }
+  return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+function base64UrlDecode(text) {
+  const binary = atob(text.replace(/-/g, '+').replace(/_/g, '/'));
+  return Uint8Array.from(binary, char => char.charCodeAt(0));
+}
+
+// VAPID 인증 헤더 (RFC 8292, ES256으로 서명한 JWT)
+async function getVapidAuthorization(env, endpoint) {
+  const publicKey = base64UrlDecode(env.VAPID_PUBLIC_KEY);
+  const privateKey = await crypto.subtle.importKey('jwk', {
+    kty: 'EC',
+    crv: 'P-256',
+    d: env.VAPID_PRIVATE_KEY,
+    x: base64UrlEncode(publicKey.slice(1, 33)),
+    y: base64UrlEncode(publicKey.slice(33, 65))
+  }, { name: 'ECDSA', namedCurve: 'P-256' }, false, ['sign']);
+
+  const encoder = new TextEncoder();
+  const header = base64UrlEncode(encoder.encode(JSON.stringify({ typ: 'JWT', alg: 'ES256' })));
+  const claims = base64UrlEncode(encoder.encode(JSON.stringify({
+    aud: new URL(endpoint).origin,
+    exp: Math.floor(Date.now() / 1000) + 12 * 60 * 60,
+    sub: env.VAPID_SUBJECT || 'mailto:admin@giftree.bloupla.net'
+  })));
+  const signature = await crypto.subtle.sign(
+    { name: 'ECDSA', hash: 'SHA-256' },
+    privateKey,
+    encoder.encode(header + '.' + claims)
+  );
+
+  return `vapid t=${header}.${claims}.${base64UrlEncode(signature)}, k=${env.VAPID_PUBLIC_KEY}`;
+}
+
+// 웹 푸시 보내기 (VAPID 키가 설정된 경우에만)
+// 내용 암호화 없이 빈 푸시를 보내고, 서비스 워커가 알림을 표시함
+// 만료된 구독(404/410)과 알려진 푸시 서비스가 아닌 주소는 목록에서 지움
+async function sendPushNotifications(env, userId) {
+  if (!env.VAPID_PUBLIC_KEY || !env.VAPID_PRIVATE_KEY) return;
+
+  const subscriptions = (await env.USERS.get('push:' + userId, { type: 'json' })) || [];
+  if (subscriptions.length === 0) return;
+
+  const alive = [];
+  for (const subscription of subscriptions.filter(s => isPushServiceEndpoint(s.endpoint))) {
+    try {
+      const response = await fetch(getPushUrl(env, subscription.endpoint), {
+        method: 'POST',
+        headers: {
+          Authorization: await getVapidAuthorization(env, subscription.endpoint),
+          TTL: '86400'
+        }
+      });
+      if (response.status !== 404 && response.status !== 410) {
+        alive.push(subscription);
+      }
+    } catch (error) {
+      console.error('Push error:', error);
+      alive.push(subscription);
+    }
+  }
+
+  if (alive.length !== subscriptions.length) {
+    await env.USERS.put('push:' + userId, JSON.stringify(alive));
+  }
+}
+
+// 사용자별 세션 목록 KV 키 (기기 목록, 모든 기기 로그아웃, 탈퇴할 때 씀)
+function getUserSessionKey(userId, sessionId) {
+  return `user_session:${userId}:${sessionId}`;
+}
+
+// 세션: 30일 동안 쓰지 않으면 만료 (쓸 때마다 연장), 하루가 지나면 새 세션 ID로 바꿈
+// 세션 ID는 쿠키에만 두고, 기기 목록에는 바뀌지 않는 별도의 id를 씀
+const SESSION_TTL_SECONDS = 60 * 60 * 24 * 30;
+const SESSION_ROTATE_MS = 24 * 60 * 60 * 1000;
+const SESSION_TOUCH_MS = 5 * 60 * 1000;
+const SESSION_ROTATE_GRACE_SECONDS = 60;
+const MAX_USER_AGENT_LENGTH = 200;
+
+// 세션 쿠키
+function getSessionCookie(sessionId) {
+  return setCookie('session', sessionId, {
+    maxAge: SESSION_TTL_SECONDS,
+    path: '/',
+    httpOnly: true,
+    secure: true,
+    sameSite: 'Lax'
+  });
+}
+
+// 세션과 세션 목록 기록 저장 (만료 시각도 다시 30일 뒤로)
+async function putSession(env, sessionId, session) {
+  await env.SESSIONS.put(sessionId, JSON.stringify(session), { expirationTtl: SESSION_TTL_SECONDS });
+  await env.SESSIONS.put(getUserSessionKey(session.userId, sessionId), '', { expirationTtl: SESSION_TTL_SECONDS });
+}
+
+// 새 세션 만들기 (세션 ID를 돌려줌)
+async function createSession(env, userId, request) {
+  const sessionId = generateSessionId();
+  const now = new Date().toISOString();
+  await putSession(env, sessionId, {
+    id: generateSessionId().slice(0, 16),
+    userId: userId,
+    createdAt: now,
+    lastSeenAt: now,
+    rotatedAt: now,
+    userAgent: (request.headers.get('User-Agent') || '').slice(0, MAX_USER_AGENT_LENGTH),
+    csrfToken: generateSessionId()
+  });
+  return sessionId;
+}
+
+// 쿠키의 세션 가져오기 (없으면 null)
+async function getCurrentSession(request, env) {
+  const sessionId = parseCookies(request.headers.get('Cookie')).session;
+  if (!sessionId) return null;
+
+  const session = await env.SESSIONS.get(sessionId, { type: 'json' });
+  return session ? { sessionId, session } : null;
+}
+
+// 세션 사용 기록 (마지막 사용 시각, 만료 연장) - 하루가 지난 세션은 새 ID로 바꿈
+// 바꾸는 사이에 예전 ID로 보낸 요청이 실패하지 않도록 예전 ID는 잠깐 남겨 둠
+// { sessionId, session }으로 지금 세션을 돌려줌 (CSRF 토큰은 ID를 바꿔도 그대로)
+async function refreshSession(env, request, sessionId, session) {
+  const now = Date.now();
+  const rotatedAt = Date.parse(session.rotatedAt || session.createdAt);
+  const lastSeenAt = Date.parse(session.lastSeenAt || session.createdAt);
+
+  // 다른 탭에서 이미 바꾼 세션이거나 방금 쓴 세션은 그대로 (ID가 없는 예전 세션은 바로 ID를 붙임)
+  if (session.rotatedTo || (session.id && session.csrfToken && now - rotatedAt < SESSION_ROTATE_MS && now - lastSeenAt < SESSION_TOUCH_MS)) {
+    return { sessionId, session };
+  }
+
+  const updated = {
+    ...session,
+    id: session.id || generateSessionId().slice(0, 16),
+    createdAt: session.createdAt || new Date(now).toISOString(),
+    lastSeenAt: new Date(now).toISOString(),
+    userAgent: (request.headers.get('User-Agent') || session.userAgent || '').slice(0, MAX_USER_AGENT_LENGTH),
+    csrfToken: session.csrfToken || generateSessionId()
+  };
+
+  if (now - rotatedAt < SESSION_ROTATE_MS) {
+    await putSession(env, sessionId, updated);
+    return { sessionId, session: updated };
+  }
+
+  const newSessionId = generateSessionId();
+  const rotated = { ...updated, rotatedAt: updated.lastSeenAt, previousId: sessionId };
+  await putSession(env, newSessionId, rotated);
+  await env.SESSIONS.put(sessionId, JSON.stringify({ ...session, csrfToken: updated.csrfToken, rotatedTo: newSessionId }), {
+    expirationTtl: SESSION_ROTATE_GRACE_SECONDS
+  });
+  await env.SESSIONS.delete(getUserSessionKey(session.userId, sessionId));
+  return { sessionId: newSessionId, session: rotated };
+}
+
+// 세션 끝내기 (바꾸기 전 ID가 남아 있으면 함께, 바꾼 뒤의 예전 ID면 새 ID도 함께)
+async function deleteSession(env, sessionId, session) {
+  await env.SESSIONS.delete(sessionId);
+  await env.SESSIONS.delete(getUserSessionKey(session.userId, sessionId));
+  if (session.previousId) {
+    await env.SESSIONS.delete(session.previousId);
+  }
+  if (session.rotatedTo) {
+    const rotated = await env.SESSIONS.get(session.rotatedTo, { type: 'json' });
+    if (rotated) {
+      await deleteSession(env, session.rotatedTo, { ...rotated, previousId: null });
+    }
+  }
+}
+
+// 사용자의 모든 세션 ({ sessionId, session } 목록, 만료된 목록 기록은 정리)
+async function getUserSessions(env, userId) {
+  const prefix = `user_session:${userId}:`;
+  const sessions = [];
+  let cursor;
+  do {
+    const list = await env.SESSIONS.list({ prefix, cursor });
+    for (const key of list.keys) {
+      const sessionId = key.name.slice(prefix.length);
+      const session = await env.SESSIONS.get(sessionId, { type: 'json' });
+      if (session) {
+        sessions.push({ sessionId, session });
+      } else {
+        await env.SESSIONS.delete(key.name);
+      }
+    }
+    cursor = list.list_complete ? null : list.cursor;
+  } while (cursor);
+  return sessions;
+}
+
+// 상태를 바꾸지 않는 요청 방식 (CSRF 검사를 하지 않음)
+const SAFE_METHODS = ['GET', 'HEAD', 'OPTIONS'];
+
+// 요청을 보낼 수 있는 사이트인지 (같은 사이트, 또는 ALLOWED_ORIGINS에 쉼표로 적은 사이트)
+function isAllowedOrigin(env, url, origin) {
+  if (origin === url.origin) return true;
+  const allowed = (env.ALLOWED_ORIGINS || '').split(',').map(o => o.trim()).filter(Boolean);
+  return !!origin && allowed.includes(origin);
+}
+
+// 상태를 바꾸는 API 요청 검사 (통과하면 null, 아니면 오류 메시지)
+// 허용하지 않은 사이트에서 온 요청은 거절하고, 로그인 쿠키가 있으면 세션의 CSRF 토큰을 X-CSRF-Token 헤더로 받아야 함
+async function checkCsrf(request, env, url) {
+  const origin = request.headers.get('Origin');
+  if (origin && !isAllowedOrigin(env, url, origin)) {
+    return 'Origin not allowed';
+  }
+
+  const current = await getCurrentSession(request, env);
+  if (!current) return null;
+
+  const token = request.headers.get('X-CSRF-Token');
+  if (!token || !current.session.csrfToken || token !== current.session.csrfToken) {
+    return 'Invalid CSRF token';
+  }
+  return null;
+}
+
+// 로그인 제공자 (OAuth). 각 제공자의 프로필은 { id, email, name, picture }로 맞춤
+// AUTH_MOCK_ORIGIN을 정하면 모든 OAuth 요청을 '<origin>/<제공자><원래 경로>'로 보냄 (로컬 가짜 OAuth 서버용)
+const OAUTH_PROVIDERS = {
+  google: {
+    name: 'Google',
+    clientIdVar: 'GOOGLE_CLIENT_ID',
+    clientSecretVar: 'GOOGLE_CLIENT_SECRET',
+    authorizeUrl: 'https://accounts.google.com/o/oauth2/v2/auth',
+    tokenUrl: 'https://oauth2.googleapis.com/token',
+    scope: 'openid email profile',
+    authorizeParams: { access_type: 'offline', prompt: 'consent' },
+    // Google 콘솔에 등록된 주소를 그대로 씀
+    callbackPath: '/api/auth/callback',
+    async getProfile(env, accessToken) {
+      const data = await fetchProviderJson(env, 'google', 'https://www.googleapis.com/oauth2/v2/userinfo', accessToken);
+      return { id: String(data.id), email: data.email, name: data.name, picture: data.picture };
+    }
+  },
+  kakao: {
+    name: '카카오',
+    clientIdVar: 'KAKAO_CLIENT_ID',
+    clientSecretVar: 'KAKAO_CLIENT_SECRET',
+    authorizeUrl: 'https://kauth.kakao.com/oauth/authorize',
+    tokenUrl: 'https://kauth.kakao.com/oauth/token',
+    scope: 'profile_nickname profile_image account_email',
+    authorizeParams: {},
+    callbackPath: '/api/auth/kakao/callback',
+    async getProfile(env, accessToken) {
+      const data = await fetchProviderJson(env, 'kakao', 'https://kapi.kakao.com/v2/user/me', accessToken);
+      const account = data.kakao_account || {};
+      const profile = account.profile || {};
+      return {
+        id: String(data.id),
+        // 카카오는 인증된 이메일만 씀
+        email: account.is_email_verified ? account.email : null,
+        name: profile.nickname,
+        picture: profile.profile_image_url
+      };
+    }
+  },
+  github: {
+    name: 'GitHub',
+    clientIdVar: 'GITHUB_CLIENT_ID',
+    clientSecretVar: 'GITHUB_CLIENT_SECRET',
+    authorizeUrl: 'https://github.com/login/oauth/authorize',
+    tokenUrl: 'https://github.com/login/oauth/access_token',
+    scope: 'read:user user:email',
+    authorizeParams: {},
+    callbackPath: '/api/auth/github/callback',
+    async getProfile(env, accessToken) {
+      const data = await fetchProviderJson(env, 'github', 'https://api.github.com/user', accessToken);
+      // 공개 이메일이 없으면 인증된 대표 이메일을 따로 가져옴
+      let email = data.email;
+      if (!email) {
+        const emails = await fetchProviderJson(env, 'github', 'https://api.github.com/user/emails', accessToken);
+        const primary = Array.isArray(emails) && emails.find(entry => entry.primary && entry.verified);
+        email = primary ? primary.email : null;
+      }
+      return { id: String(data.id), email: email, name: data.name || data.login, picture: data.avatar_url };
+    }
+  }
+};
+
+// 이메일 로그인 링크 (15분 동안 한 번만 쓸 수 있음, 같은 주소로는 1분에 한 번만 보냄)
+const MAGIC_LINK_TTL_SECONDS = 15 * 60;
+const MAGIC_LINK_RESEND_SECONDS = 60;
+
+// 이메일 로그인을 쓸 수 있는지 (보내는 주소와 메일 API 키가 모두 있어야 함)
+function isEmailLoginEnabled(env) {
+  return !!(env.EMAIL_FROM && env.EMAIL_API_KEY);
+}
+
+// 설정된 로그인 방법 (OAuth는 클라이언트 ID가 있을 때, 이메일은 메일을 보낼 수 있을 때)
+function getEnabledAuthProviders(env) {
+  const providers = Object.entries(OAUTH_PROVIDERS)
+    .filter(([, provider]) => env[provider.clientIdVar])
+    .map(([id, provider]) => ({ id, name: provider.name }));
+  if (isEmailLoginEnabled(env)) {
+    providers.push({ id: 'email', name: '이메일' });
+  }
+  return providers;
+}
+
+// OAuth 요청 주소 (가짜 OAuth 서버를 쓰면 그쪽으로)
+function getProviderUrl(env, providerId, providerUrl) {
+  if (!env.AUTH_MOCK_ORIGIN) return providerUrl;
+  const { pathname, search } = new URL(providerUrl);
+  return env.AUTH_MOCK_ORIGIN + '/' + providerId + pathname + search;
+}
+
+// 제공자 API 호출 (GitHub은 User-Agent가 없으면 거절함)
+async function fetchProviderJson(env, providerId, providerUrl, accessToken) {
+  const response = await fetch(getProviderUrl(env, providerId, providerUrl), {
+    headers: {
+      Authorization: `Bearer ${accessToken}`,
+      Accept: 'application/json',
+      'User-Agent': 'giftree'
+    }
+  });
+  return response.json();
+}
+
+// 인가 코드를 액세스 토큰으로 교환 (실패하면 null)
+async function exchangeOAuthCode(env, providerId, code, redirectUri) {
+  const provider = OAUTH_PROVIDERS[providerId];
+  const params = {
+    client_id: env[provider.clientIdVar],
+    redirect_uri: redirectUri,
+    code: code,
+    grant_type: 'authorization_code'
+  };
+  if (env[provider.clientSecretVar]) {
+    params.client_secret = env[provider.clientSecretVar];
+  }
+
+  const response = await fetch(getProviderUrl(env, providerId, provider.tokenUrl), {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/x-www-form-urlencoded',
+      Accept: 'application/json'
+    },
+    body: new URLSearchParams(params)
+  });
+  const tokens = await response.json();
+
+  if (tokens.error || !tokens.access_token) {
+    console.error('Token error:', providerId, tokens);
+    return null;
+  }
+  return tokens.access_token;
+}
+
+// 연결된 로그인 KV 키 (제공자 계정 → 내부 사용자 ID)
+function getIdentityKey(provider, providerUserId) {
+  return `identity:${provider}:${providerUserId}`;
+}
+
+// 내부 사용자 ID 생성 (예전 사용자는 Google ID를 그대로 씀)
+function generateUserId() {
+  return 'user_' + Date.now() + '_' + Math.random().toString(36).substr(2, 9);
+}
+
+// 로그인한 계정을 내부 사용자에 연결
+async function linkIdentity(env, user, identity) {
+  const linkedAt = new Date().toISOString();
+  await env.USERS.put(getIdentityKey(identity.provider, identity.id), JSON.stringify({
+    userId: user.id,
+    linkedAt: linkedAt
+  }));
+  user.identities = [
+    ...(user.identities || []).filter(i => !(i.provider === identity.provider && i.id === identity.id)),
+    { provider: identity.provider, id: identity.id, email: identity.email || null, linkedAt: linkedAt }
+  ];
+}
+
+// 로그인 완료: 연결된 사용자를 찾거나 새로 만들고 세션 시작
+// 다른 제공자의 같은 이메일이라도 자동으로 합치지 않음 (연결은 로그인한 상태에서 설정 화면에서)
+// linkUserId가 있으면 로그인 대신 그 사용자에게 계정을 연결
+// 결과는 { location, sessionId } (이동할 주소, 새 세션이 있으면 그 ID)
+async function completeLogin(env, request, url, identity, linkUserId) {
+  const linked = await env.USERS.get(getIdentityKey(identity.provider, identity.id), { type: 'json' });
+
+  if (linkUserId) {
+    if (linked && linked.userId !== linkUserId) {
+      return { location: url.origin + '/?error=identity_in_use' };
+    }
+    const user = await env.USERS.get('user:' + linkUserId, { type: 'json' });
+    if (!user) {
+      return { location: url.origin + '/?error=invalid_request' };
+    }
+    await linkIdentity(env, user, identity);
+    await env.USERS.put('user:' + user.id, JSON.stringify(user));
+    return { location: url.origin + '/land/' + (user.slug || user.id) + '?linked=' + identity.provider };
+  }
+
+  let user = linked && await env.USERS.get('user:' + linked.userId, { type: 'json' });
+
+  // 연결 기록이 생기기 전의 Google 사용자는 Google ID가 사용자 ID
+  if (!user && identity.provider === 'google') {
+    user = await env.USERS.get('user:' + identity.id, { type: 'json' });
+  }
+
+  if (!user) {
+    // 새 사용자
+    const userId = generateUserId();
+    user = {
+      id: userId,
+      email: identity.email || null,
+      name: identity.name || (identity.email ? identity.email.split('@')[0] : '새 친구'),
+      nickname: identity.name || (identity.email ? identity.email.split('@')[0] : '새 친구'),
+      profileImage: identity.picture || null,
+      settings: {
+        skyColor: '#87CEEB',
+        landColor: '#8B4513'
+      },
+      identities: [],
+      createdAt: new Date().toISOString()
+    };
+
+    // 기본 토지 생성
+    const meta = await getLandStub(env, userId).createLand(userId);
+    await putOwnedLandIndex(env, meta);
+  } else if (identity.picture && (user.profileImage === identity.picture || !user.profileImage)) {
+    // 기존 사용자 - 프로필 이미지를 바꾸지 않았으면 제공자 정보로 업데이트
+    user.profileImage = identity.picture;
+  }
+  if (!user.email && identity.email) {
+    user.email = identity.email;
+  }
+
+  if (!linked) {
+    await linkIdentity(env, user, identity);
+  }
+  await env.USERS.put('user:' + user.id, JSON.stringify(user));
+
+  // 세션 생성하고 토지로 이동
+  const sessionId = await createSession(env, user.id, request);
+  return { location: url.origin + '/land/' + (user.slug || user.id), sessionId };
+}
+
+// 로그인 결과로 리다이렉트 (새 세션이 있으면 쿠키도 설정)
+function loginRedirect({ location, sessionId }) {
+  const headers = { 'Location': location };
+  if (sessionId) {
+    headers['Set-Cookie'] = getSessionCookie(sessionId);
+  }
+  return new Response(null, { status: 302, headers });
+}
+
+// 이메일 로그인 링크 보내기
+async function sendLoginEmail(env, email, link) {
+  const response = await fetch(env.EMAIL_API_URL || 'https://api.resend.com/emails', {
+    method: 'POST',
+    headers: {
+      Authorization: `Bearer ${env.EMAIL_API_KEY}`,
+      'Content-Type': 'application/json'
+    },
+    body: JSON.stringify({
+      from: env.EMAIL_FROM,
+      to: email,
+      subject: 'Giftree 로그인 링크',
+      text: `아래 링크를 누르면 Giftree에 로그인돼요. (15분 동안 한 번만 쓸 수 있어요)\n\n${link}\n\n로그인을 요청하지 않았다면 이 메일은 무시해주세요.`
+    })
+  });
+  if (!response.ok) {
+    console.error('Email error:', response.status, await response.text());
+  }
+  return response.ok;
+}
+
+// 접두사로 시작하는 KV 키 모두 삭제
+async function deleteKvPrefix(namespace, prefix) {
+  let cursor;
+  do {
+    const list = await namespace.list({ prefix, cursor });
+    await Promise.all(list.keys.map(key => namespace.delete(key.name)));
+    cursor = list.list_complete ? null : list.cursor;
+  } while (cursor);
+}
+
+// 접두사로 시작하는 KV 값 모두 읽기
+async function getKvPrefix(namespace, prefix) {
+  const values = [];
+  let cursor;
+  do {
+    const list = await namespace.list({ prefix, cursor });
+    values.push(...(await Promise.all(list.keys.map(key => namespace.get(key.name, { type: 'json' })))));
+    cursor = list.list_complete ? null : list.cursor;
+  } while (cursor);
+  return values.filter(Boolean);
+}
+
+// 접두사로 시작하는 KV 키의 메타데이터 모두 읽기 (값은 읽지 않음)
+async function getKvPrefixMetadata(namespace, prefix) {
+  const values = [];
+  let cursor;
+  do {
+    const list = await namespace.list({ prefix, cursor });
+    values.push(...list.keys.map(key => key.metadata));
+    cursor = list.list_complete ? null : list.cursor;
+  } while (cursor);
+  return values.filter(Boolean);
+}
+
+// 탈퇴한 사용자가 다른 토지에 심은 나무에 표시할 이름
+const DELETED_PLANTER_NAME = '탈퇴한 사용자';
+
+// 토지 주소 (/land/minji): 소문자로 시작하는 3~20자의 소문자, 숫자, 하이픈
+// 구글 사용자 ID는 숫자뿐이라 주소와 겹치지 않음
+const SLUG_PATTERN = /^[a-z][a-z0-9-]{1,18}[a-z0-9]$/;
+const RESERVED_SLUGS = ['admin', 'api', 'about', 'giftree', 'help', 'land', 'login', 'logout', 'me', 'new', 'planted', 'settings'];
+
+// 토지 주소 KV 키 (값: { landId }) - 바꾸기 전 주소도 남겨 두어 예전 링크가 계속 열림
+function getSlugKey(slug) {
+  return 'slug:' + slug;
+}
+
+// 토지 주소를 토지 ID로 바꿈 (주소가 아니면 그대로 토지 ID로 봄)
+async function resolveLandId(env, landIdOrSlug) {
+  if (!SLUG_PATTERN.test(landIdOrSlug)) return landIdOrSlug;
+
+  const entry = await env.LANDS.get(getSlugKey(landIdOrSlug), { type: 'json' });
+  return entry ? entry.landId : landIdOrSlug;
+}
+
+// 토지 공개 범위
+// public: 누구나 보고 심을 수 있음
+// unlisted: 공유 링크(토큰)를 가진 사람만
+// allowlist: 토지 주인이 허락한 이메일의 사용자만
+// closed: 누구나 볼 수 있지만 새 나무는 받지 않음
+const PRIVACY_MODES = ['public', 'unlisted', 'allowlist', 'closed'];
+const MAX_ALLOWLIST_SIZE = 100;
+
+// 공유 링크 토큰 (헤더 또는 WebSocket처럼 헤더를 못 쓰는 경우 쿼리로 받음)
+function getShareKey(request, url) {
+  return request.headers.get('X-Share-Key') || url.searchParams.get('key');
+}
+
+// 공동 주인 (토지를 만든 사람이 초대 링크로 초대, 받은 사람이 수락하면 함께 관리)
+const MAX_CO_OWNERS = 10;
+const MAX_PENDING_INVITES = 10;
+const INVITE_TTL_MS = 7 * 24 * 60 * 60 * 1000;
+
+// 손님 초대 코드 (Google 로그인 없이 코드와 이름만으로 심기)
+const MAX_GUEST_CODES = 20;
+const MAX_GUEST_CODE_USES = 100;
+const MAX_GUEST_NAME_LENGTH = 20;
+const GUEST_CODE_ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+// 손님 나무 심기 횟수 제한 (토지마다 같은 IP에서 10분에 3그루까지)
+const GUEST_PLANT_LIMIT = 3;
+const GUEST_PLANT_WINDOW_SECONDS = 10 * 60;
+
+// 손님 초대 코드 생성 (헷갈리는 글자 0/O, 1/I 제외)
+function generateGuestCode() {
+  const bytes = crypto.getRandomValues(new Uint8Array(8));
+  return Array.from(bytes, byte => GUEST_CODE_ALPHABET[byte % GUEST_CODE_ALPHABET.length]).join('');
+}
+
+// 토지에서의 역할: 'owner'(만든 사람), 'co-owner'(공동 주인), 없으면 null
+function getLandRole(meta, user) {
+  if (!meta || !user) return null;
+  if (meta.ownerId === user.id) return 'owner';
+  if ((meta.coOwners || []).some(coOwner => coOwner.userId === user.id)) return 'co-owner';
+  return null;
+}
+
+// 토지 주인인지 (공동 주인 포함, 토지 ID가 아니라 토지 기록으로 확인)
+function isLandOwner(meta, user) {
+  return getLandRole(meta, user) !== null;
+}
+
+// 토지 주인 전체 (알림, 토지 목록 기록용)
+function getLandOwnerIds(meta) {
+  return [meta.ownerId, ...(meta.coOwners || []).map(coOwner => coOwner.userId)];
+}
+
+// 토지 공개 범위 (설정한 적 없으면 전체 공개)
+function getLandPrivacy(meta) {
+  return (meta && meta.privacy) || { mode: 'public' };
+}
+
+// 토지를 볼 수 있는지 확인 (토지 주인은 항상 가능)
+function checkLandAccess(meta, currentUser, shareKey) {
+  if (isLandOwner(meta, currentUser)) return null;
+
+  const privacy = getLandPrivacy(meta);
+  if (privacy.mode === 'unlisted' && (!shareKey || shareKey !== privacy.shareToken)) {
+    return { error: 'Share link required', status: 403 };
+  }
+  if (privacy.mode === 'allowlist') {
+    if (!currentUser) return { error: 'Login required', status: 401 };
+    if (!privacy.allowlist.includes((currentUser.email || '').toLowerCase())) {
+      return { error: 'Not on the allowlist', status: 403 };
+    }
+  }
+  return null;
+}
+
+// 사용자 한 명이 만들 수 있는 토지 수 (보관한 토지 제외)
+const MAX_LANDS_PER_USER = 20;
+const MAX_LAND_NAME_LENGTH = 30;
+
+// 토지 ID 생성 (기본 토지는 사용자 ID를 그대로 씀)
+function generateLandId() {
+  return 'land_' + Date.now() + '_' + Math.random().toString(36).substr(2, 9);
+}
+
+// 사용자별 토지 목록 KV 키
+function getOwnedLandKey(ownerId, landId) {
+  return `owned:${ownerId}:${landId}`;
+}
+
+// 토지 주인들의 토지 목록에 기록 (이름/보관 여부/공동 주인이 바뀔 때마다 갱신)
+async function putOwnedLandIndex(env, meta) {
+  for (const userId of getLandOwnerIds(meta)) {
+    await env.LANDS.put(getOwnedLandKey(userId, meta.landId), JSON.stringify({
+      id: meta.landId,
+      name: meta.name || null,
+      isDefault: meta.landId === userId,
+      role: userId === meta.ownerId ? 'owner' : 'co-owner',
+      createdAt: meta.createdAt,
+      archivedAt: meta.archivedAt || null
+    }));
+  }
+}
+
+// 내 토지 목록 (공동 주인인 토지 포함, 기본 토지가 먼저, 나머지는 만든 순서)
+// 여러 토지가 생기기 전의 기본 토지는 처음 조회할 때 목록에 넣음
+async function getOwnedLands(env, user) {
+  const lands = (await getKvPrefix(env.LANDS, `owned:${user.id}:`))
+    .map(land => ({ role: 'owner', ...land }));
+
+  if (!lands.some(land => land.isDefault)) {
+    const meta = await getLandStub(env, user.id).createLand(user.id);
+    await putOwnedLandIndex(env, meta);
+    lands.push({ id: user.id, name: null, isDefault: true, role: 'owner', createdAt: meta.createdAt, archivedAt: null });
+  }
+
+  return sortOwnedLands(lands);
+}
+
+// 내 토지 목록을 읽기만 함 (내보내기, 탈퇴처럼 토지를 새로 만들면 안 될 때)
+// 목록에 없는 예전 기본 토지는 아직 내 토지로 있을 때만 넣음
+async function findOwnedLands(env, user) {
+  const lands = (await getKvPrefix(env.LANDS, `owned:${user.id}:`))
+    .map(land => ({ role: 'owner', ...land }));
+
+  if (!lands.some(land => land.isDefault)) {
+    const meta = await getLandStub(env, user.id).getMeta(user.id);
+    if (meta && meta.ownerId === user.id) {
+      lands.push({ id: user.id, name: meta.name || null, isDefault: true, role: 'owner', createdAt: meta.createdAt, archivedAt: meta.archivedAt || null });
+    }
+  }
+
+  return sortOwnedLands(lands);
+}
+
+// 기본 토지가 먼저, 나머지는 만든 순서
+function sortOwnedLands(lands) {
+  return lands.sort((a, b) => (b.isDefault - a.isDefault) || a.createdAt.localeCompare(b.createdAt));
+}
+
+// 토지 색상 검증 (#rrggbb)
+function isValidColor(color) {
+  return typeof color === 'string' && /^#[0-9a-fA-F]{6}$/.test(color);
+}
+
+// 타임캡슐 최대 기간 (5년)
+const MAX_UNLOCK_DELAY_MS = 5 * 365 * 24 * 60 * 60 * 1000;
+
+// 팻말 글자 수, 첨부 이미지 수와 한 장의 크기 (Base64는 ~33% 더 크므로 ~667KB 문자열 = ~500KB 바이너리)
+const MAX_MESSAGE_LENGTH = 1000;
+const MAX_TREE_IMAGES = 4;
+const MAX_IMAGE_DATA_LENGTH = 667 * 1024;
+const MAX_PROFILE_IMAGE_LENGTH = 200 * 1024;
+
+// 팻말 꾸밈 글씨: **굵게**, ++크게++ (한 줄 안에서만, 겹쳐 쓸 수 없음, 앱의 SIGN_FORMAT_PATTERN과 같음)
+const SIGN_FORMAT_PATTERN = /\*\*([^*\n]+?)\*\*|\+\+([^+\n]+?)\+\+/g;
+const MAX_SIGN_LINES = 30;
+
+// 팻말 글 정리
+// 제어 문자와 글자 방향을 바꾸는 문자를 지우고, 빈 줄은 한 줄까지, 줄 수는 MAX_SIGN_LINES까지 (넘치는 줄은 이어 붙임)
+// 꾸밈 글씨는 안쪽 앞뒤 공백을 지우고, 공백뿐이면 꾸밈 표시를 뺌
+function sanitizeSignMessage(message) {
+  if (!message) return '';
+
+  const lines = message
+    .replace(/\r\n?/g, '\n')
+    .replace(/\t/g, ' ')
+    .replace(/[\u0000-\u0009\u000B-\u001F\u007F\u200B\u200E\u200F\u202A-\u202E\u2066-\u2069\uFEFF]/g, '')
+    .replace(/\n{3,}/g, '\n\n')
+    .trim()
+    .split('\n');
+  const kept = lines.length > MAX_SIGN_LINES
+    ? [...lines.slice(0, MAX_SIGN_LINES - 1), lines.slice(MAX_SIGN_LINES - 1).join(' ')]
+    : lines;
+
+  return kept
+    .map(line => line.trimEnd().replace(SIGN_FORMAT_PATTERN, (match, bold, big) => {
+      const text = (bold !== undefined ? bold : big).trim();
+      if (!text) return ' ';
+      return bold !== undefined ? `**${text}**` : `++${text}++`;
+    }))
+    .join('\n');
+}
+
+// 팻말 모양 (판 종류, 색, 스티커는 /signs.json에 있는 것만)
+const SIGN_STYLE_RULE = {
+  type: 'object',
+  nullable: true,
+  fields: {
+    board: { type: 'string', required: true, enum: SIGN_STYLES.boards.map(board => board.type) },
+    color: { type: 'string', required: true, enum: SIGN_STYLES.colors },
+    stickers: {
+      type: 'array',
+      maxItems: SIGN_STYLES.maxStickers,
+      items: { type: 'string', required: true, enum: SIGN_STYLES.stickers }
+    }
+  },
+  message: 'Invalid sign style'
+};
+
+// 저장할 팻말 모양 (기본 모양이면 저장하지 않음, 같은 스티커는 한 번만)
+function normalizeSignStyle(sign) {
+  if (!sign) return null;
+  const stickers = [...new Set(sign.stickers || [])];
+  const fallback = SIGN_STYLES.default;
+  if (sign.board === fallback.board && sign.color === fallback.color && stickers.length === 0) {
+    return null;
+  }
+  return { board: sign.board, color: sign.color, stickers };
+}
+
+// 음성 메시지 길이 (앱에서 이 시간이 되면 녹음을 멈춤)
+// 앱이 보내는 길이(audioDuration)는 표시용이라 믿지 않고, 앱의 녹음 비트레이트(32kbps)로 60초 분량에
+// 컨테이너 여유 25%를 더한 크기로 서버에서 길이를 제한함 (~300KB 바이너리)
+const MAX_AUDIO_SECONDS = 60;
+const AUDIO_BITS_PER_SECOND = 32000;
+const MAX_AUDIO_BYTES = MAX_AUDIO_SECONDS * AUDIO_BITS_PER_SECOND / 8 * 1.25;
+const MAX_AUDIO_DATA_LENGTH = Math.ceil(MAX_AUDIO_BYTES / 3) * 4 + 100;
+
+// 요청 본문 검사에 쓰는 형식
+const BODY_FORMATS = {
+  color: isValidColor,
+  email: value => /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(value),
+  imageDataUrl: value => /^data:image\/(png|jpeg|gif|webp);base64,[A-Za-z0-9+/]+=*$/.test(value),
+  audioDataUrl: value => /^data:audio\/(webm|mp4|ogg)(;[a-zA-Z0-9=.+-]+)*;base64,[A-Za-z0-9+/]+=*$/.test(value),
+  httpsUrl: value => {
+    try {
+      return new URL(value).protocol === 'https:';
+    } catch (error) {
+      return false;
+    }
+  },
+  pushEndpoint: isPushServiceEndpoint,
+  date: value => !isNaN(Date.parse(value))
+};
+
+// 필드 하나 검사 ({ value } 또는 { error: { code, field, message } })
+// 규칙: type(string/integer/boolean/array/object), required, nullable, trim, lowercase, uppercase,
+// minLength, maxLength, min, max, enum, pattern, format, maxItems, items, fields, message
+// 빈 문자열은 required나 minLength가 없으면 통과 (형식 검사를 하지 않음)
+function checkField(rule, value, field) {
+  const invalid = code => ({ error: { code, field, message: rule.message || 'Invalid ' + field } });
+
+  if (value === undefined) {
+    return rule.required ? invalid('required') : { value };
+  }
+  if (value === null) {
+    return rule.nullable ? { value } : invalid(rule.required ? 'required' : 'invalid_type');
+  }
+
+  switch (rule.type) {
+    case 'string': {
+      if (typeof value !== 'string') return invalid('invalid_type');
+      let text = rule.trim ? value.trim() : value;
+      if (rule.lowercase) text = text.toLowerCase();
+      if (rule.uppercase) text = text.toUpperCase();
+      if (!text) {
+        if (rule.required) return invalid('required');
+        return rule.minLength ? invalid('too_short') : { value: text };
+      }
+      if (rule.minLength && text.length < rule.minLength) return invalid('too_short');
+      if (rule.maxLength && text.length > rule.maxLength) return invalid('too_long');
+      if (rule.enum && !rule.enum.includes(text)) return invalid('invalid_value');
+      if (rule.pattern && !rule.pattern.test(text)) return invalid('invalid_format');
+      if (rule.format && ![].concat(rule.format).some(format => BODY_FORMATS[format](text))) {
+        return invalid('invalid_format');
+      }
+      return { value: text };
+    }
+    case 'integer':
+      if (!Number.isInteger(value)) return invalid('invalid_type');
+      if ((rule.min !== undefined && value < rule.min) || (rule.max !== undefined && value > rule.max)) {
+        return invalid('out_of_range');
+      }
+      return { value };
+    case 'boolean':
+      return typeof value === 'boolean' ? { value } : invalid('invalid_type');
+    case 'array': {
+      if (!Array.isArray(value)) return invalid('invalid_type');
+      if (rule.maxItems && value.length > rule.maxItems) return invalid('too_many');
+      const items = [];
+      for (let i = 0; i < value.length; i++) {
+        const result = checkField({ message: rule.message, ...rule.items }, value[i], field + '.' + i);
+        if (result.error) return result;
+        items.push(result.value);
+      }
+      return { value: items };
+    }
+    case 'object':
+      return checkFields(rule.fields, value, field + '.', rule.message);
+    default:
+      return invalid('invalid_type');
+  }
+}
+
+// 객체의 필드 검사 (모르는 필드는 거절, 검사를 통과한 값만 모아서 돌려줌)
+function checkFields(fields, body, prefix = '', message = null) {
+  if (!body || typeof body !== 'object' || Array.isArray(body)) {
+    return { error: { code: 'invalid_type', field: prefix.slice(0, -1) || null, message: message || 'Invalid body' } };
+  }
+
+  for (const key of Object.keys(body)) {
+    if (!Object.hasOwn(fields, key)) {
+      return { error: { code: 'unknown_field', field: prefix + key, message: message || 'Unknown field ' + prefix + key } };
+    }
+  }
+
+  const value = {};
+  for (const [key, rule] of Object.entries(fields)) {
+    const result = checkField({ message, ...rule }, body[key], prefix + key);
+    if (result.error) return result;
+    if (result.value !== undefined) {
+      value[key] = result.value;
+    }
+  }
+  return { value };
+}
+
+// 요청 본문을 읽고 규칙대로 검사 ({ body } 또는 { error })
+async function readBody(request, schema) {
+  let body;
+  try {
+    body = await request.json();
+  } catch (error) {
+    return { error: { code: 'invalid_json', field: null, message: 'Invalid JSON body' } };
+  }
+
+  const result = checkFields(schema, body);
+  return result.error ? result : { body: result.value };
+}
+
+// 입력 검사 오류 응답 ({ error: { code, field, message } })
+function fieldErrorResponse(error, status = 400) {
+  return jsonResponse({ error }, status);
+}
+
+// 사용자 설정에 저장할 수 있는 값
+const USER_SETTINGS_FIELDS = {
+  treesPerPage: { type: 'integer', min: 1, max: 4 },
+  skyColor: { type: 'string', minLength: 1, format: 'color' },
+  landColor: { type: 'string', minLength: 1, format: 'color' }
+};
+
+// 요청 본문 규칙 (message는 검사에 실패했을 때 돌려줄 오류 메시지)
+const BODY_SCHEMAS = {
+  emailLogin: {
+    email: { type: 'string', required: true, trim: true, lowercase: true, maxLength: 254, format: 'email', message: 'Invalid email' },
+    link: { type: 'boolean' }
+  },
+  emailLoginConfirm: {
+    token: { type: 'string', required: true, maxLength: 100, pattern: /^[a-zA-Z0-9_-]+$/, message: 'Login link expired' }
+  },
+  plant: {
+    message: { type: 'string', nullable: true, maxLength: MAX_MESSAGE_LENGTH, message: 'Message too long' },
+    images: {
+      type: 'array',
+      maxItems: MAX_TREE_IMAGES,
+      items: { type: 'string', required: true, maxLength: MAX_IMAGE_DATA_LENGTH, format: 'imageDataUrl' },
+      message: 'Invalid image (max 4, 500KB each)'
+    },
+    audio: { type: 'string', nullable: true, maxLength: MAX_AUDIO_DATA_LENGTH, format: 'audioDataUrl', message: 'Invalid voice message (max 60 seconds)' },
+    audioDuration: { type: 'integer', nullable: true, min: 1, max: MAX_AUDIO_SECONDS, message: 'Invalid voice message (max 60 seconds)' },
+    sign: SIGN_STYLE_RULE,
+    treeType: { type: 'string', nullable: true, enum: SPECIES.species.map(species => species.type), message: 'Invalid tree type' },
+    unlockAt: { type: 'string', nullable: true, format: 'date', message: 'Invalid unlock date' },
+    guestCode: { type: 'string', nullable: true, trim: true, uppercase: true, maxLength: 8, pattern: /^[A-Z0-9]+$/, message: 'Invalid guest code' },
+    guestName: { type: 'string', nullable: true, trim: true, maxLength: MAX_GUEST_NAME_LENGTH, message: 'Invalid guest name' }
+  },
+  editTree: {
+    message: { type: 'string', nullable: true, maxLength: MAX_MESSAGE_LENGTH, message: 'Message too long' },
+    images: {
+      type: 'array',
+      maxItems: MAX_TREE_IMAGES,
+      items: { type: 'string', required: true, maxLength: MAX_IMAGE_DATA_LENGTH, format: 'imageDataUrl' },
+      message: 'Invalid image (max 4, 500KB each)'
+    },
+    removeImages: { type: 'boolean' },
+    audio: { type: 'string', nullable: true, maxLength: MAX_AUDIO_DATA_LENGTH, format: 'audioDataUrl', message: 'Invalid voice message (max 60 seconds)' },
+    audioDuration: { type: 'integer', nullable: true, min: 1, max: MAX_AUDIO_SECONDS, message: 'Invalid voice message (max 60 seconds)' },
+    removeAudio: { type: 'boolean' },
+    sign: SIGN_STYLE_RULE
+  },
+  reply: {
+    message: { type: 'string', required: true, trim: true, maxLength: MAX_REPLY_LENGTH, message: 'Invalid reply' }
+  },
+  privacy: {
+    mode: { type: 'string', required: true, enum: PRIVACY_MODES, message: 'Invalid privacy mode' },
+    allowlist: {
+      type: 'array',
+      maxItems: MAX_ALLOWLIST_SIZE,
+      items: { type: 'string', required: true, trim: true, lowercase: true, maxLength: 254, format: 'email' },
+      message: 'Invalid allowlist'
+    },
+    regenerateToken: { type: 'boolean' }
+  },
+  landSettings: {
+    name: { type: 'string', nullable: true, trim: true, maxLength: MAX_LAND_NAME_LENGTH, message: 'Invalid land name' },
+    theme: {
+      type: 'object',
+      fields: {
+        skyColor: { type: 'string', required: true, format: 'color' },
+        landColor: { type: 'string', required: true, format: 'color' }
+      },
+      message: 'Invalid theme'
+    }
+  },
+  newLand: {
+    name: { type: 'string', required: true, trim: true, maxLength: MAX_LAND_NAME_LENGTH, message: 'Invalid land name' }
+  },
+  guestCode: {
+    maxUses: { type: 'integer', min: 1, max: MAX_GUEST_CODE_USES, message: 'Invalid max uses' }
+  },
+  acceptInvite: {
+    token: { type: 'string', required: true, maxLength: 100, pattern: /^[a-zA-Z0-9_-]+$/, message: 'Invite not found' }
+  },
+  notificationsRead: {
+    ids: { type: 'array', maxItems: 100, items: { type: 'string', required: true, pattern: /^[0-9]{13}_[a-z0-9]+$/ }, message: 'Invalid notification ids' }
+  },
+  pushSubscription: {
+    endpoint: { type: 'string', required: true, maxLength: 1000, format: 'pushEndpoint', message: 'Invalid push endpoint' }
+  },
+  slug: {
+    slug: { type: 'string', required: true, trim: true, lowercase: true, pattern: SLUG_PATTERN, message: 'Invalid slug' }
+  },
+  userSettings: {
+    nickname: { type: 'string', maxLength: 20, message: 'Invalid nickname' },
+    profileImage: {
+      type: 'string',
+      nullable: true,
+      maxLength: MAX_PROFILE_IMAGE_LENGTH,
+      format: ['imageDataUrl', 'httpsUrl'],
+      message: 'Invalid profile image (max 200KB)'
+    },
+    settings: { type: 'object', fields: USER_SETTINGS_FIELDS }
+  }
+};
+
+// 나무 활력 (물 주기로 오르고 시간이 지나면 조금씩 줄어듦)
+const VITALITY = {
+  initial: 60,
+  min: 20,
+  max: 100,
+  perWatering: 15,
+  decayPerDay: 5
+};
+
+// 오늘 날짜 (UTC, 물 주기 제한 기준)
+function getToday() {
+  return new Date().toISOString().slice(0, 10);
+}
+
+// 현재 활력 계산
+function getVitality(tree) {
+  const base = tree.vitality ?? VITALITY.initial;
+  const since = Date.parse(tree.vitalityAt || tree.plantedAt);
+  const days = Math.max(0, (Date.now() - since) / (24 * 60 * 60 * 1000));
+  return Math.round(Math.min(VITALITY.max, Math.max(VITALITY.min, base - days * VITALITY.decayPerDay)));
+}
+
+// 오늘 이 사용자가 물을 줬는지
+function hasWateredToday(tree, userId) {
+  const watered = tree.wateredToday;
+  return !!watered && watered.date === getToday() && watered.userIds.includes(userId);
+}
+
+// 타임캡슐 팻말이 아직 잠겨 있는지
+function isTreeLocked(tree) {
+  return !!tree.unlockAt && Date.parse(tree.unlockAt) > Date.now();
+}
+
+// 보는 사람에게 보이는 나무인지 (삭제된 나무는 제외, 숨긴 나무는 소유자에게만)
+function isTreeVisible(tree, isOwner) {
+  return !tree.deletedAt && (isOwner || !tree.hidden);
+}
+
+// 응답용 나무 정보 (메시지/이미지는 소유자만 볼 수 있음)
+// 타임캡슐 팻말은 열리는 날까지 소유자에게도 내용을 숨김
+// 심은 사람은 자신의 팻말을 보고, 주인이 열어보기 전까지 고칠 수 있음
+function projectTree(landId, tree, isOwner, viewerId) {
+  const locked = isTreeLocked(tree);
+  const growth = {
+    vitality: getVitality(tree),
+    wateredByMe: !!viewerId && hasWateredToday(tree, viewerId)
+  };
+
+  if (isOwner) {
+    // R2로 옮기지 못한 예전 인라인 이미지(imageUrl)는 보여줄 수 없으므로 응답에 싣지 않음 (내보내기에는 포함)
+    const { imageKey, imageKeys, imageUrl, audioKey, audioDuration, message, wateredToday, vitalityAt, unlockNotifiedAt, ...rest } = tree;
+    if (locked) {
+      return { ...rest, ...growth, locked: true };
+    }
+    return {
+      ...rest,
+      ...growth,
+      message,
+      imageUrls: getTreeImageUrls(landId, tree),
+      audioUrl: getTreeAudioUrl(landId, tree),
+      audioDuration: audioDuration || null
+    };
+  }
+
+  const publicTree = {
+    id: tree.id,
+    type: tree.type,
+    planterName: tree.planterName,
+    guest: !!tree.guest,
+    plantedAt: tree.plantedAt,
+    unlockAt: tree.unlockAt || null,
+    locked: locked,
+    sign: tree.sign || null,
+    ...growth
+    // message, imageUrls, audioUrl은 제외 (팻말 모양은 나무 아래 팻말에 보이므로 공개)
+  };
+
+  if (viewerId && viewerId === tree.planterId) {
+    return {
+      ...publicTree,
+      isMine: true,
+      message: tree.message,
+      imageUrls: getTreeImageUrls(landId, tree),
+      audioUrl: getTreeAudioUrl(landId, tree),
+      audioDuration: tree.audioDuration || null,
+      editedAt: tree.editedAt || null,
+      editable: !tree.openedAt,
+      reply: tree.reply || null
+    };
+  }
+
+  return publicTree;
+}
+
+// 심은 사람이 고칠 수 있는 나무인지 확인 (토지 주인이 열어보기 전까지만)
+function checkPlanterAccess(tree, planterId) {
+  if (!tree || tree.deletedAt) return { error: 'Tree not found', status: 404 };
+  if (tree.planterId !== planterId) return { error: 'Forbidden', status: 403 };
+  if (tree.openedAt) return { error: 'Sign already opened', status: 409 };
+  return null;
+}
+
+// 토지 Durable Object 가져오기 (토지 하나당 인스턴스 하나)
+function getLandStub(env, landId) {
+  return env.LAND_OBJECT.get(env.LAND_OBJECT.idFromName(landId));
+}
+
+// 토지 주소별 Durable Object (주소 하나당 인스턴스 하나)
+// 같은 주소를 동시에 정해도 한 사람만 가져가도록 예약을 직렬화함
+// 주소로 토지를 찾을 때는 KV의 slug: 키를 읽음 (예약한 뒤에 워커가 기록)
+// 저장 구조: 'landId' = 주소를 가진 토지 ID
+export class SlugObject extends DurableObject {
+  // 주소 예약 (비어 있거나 이미 이 토지의 주소면 성공)
+  // 예약 기록이 생기기 전에 KV에만 남은 주소도 주인이 있는 것으로 봄
+  async claim(slug, landId) {
+    return this.ctx.blockConcurrencyWhile(async () => {
+      let owner = await this.ctx.storage.get('landId');
+      if (!owner) {
+        const entry = await this.env.LANDS.get(getSlugKey(slug), { type: 'json' });
+        owner = entry ? entry.landId : null;
+      }
+      if (owner && owner !== landId) {
+        return { error: 'Slug already taken', status: 409 };
+      }
+
+      await this.ctx.storage.put('landId', landId);
+      return { landId };
+    });
+  }
+
+  // 주소 놓기 (탈퇴할 때)
+  async release(landId) {
+    if (await this.ctx.storage.get('landId') === landId) {
+      await this.ctx.storage.deleteAll();
+    }
+  }
+}
+
+// 토지 주소 Durable Object 가져오기
+function getSlugStub(env, slug) {
+  return env.SLUG_OBJECT.get(env.SLUG_OBJECT.idFromName(slug));
+}
+
+// 토지별 Durable Object
+// 같은 토지에 대한 요청은 한 인스턴스에서 순서대로 처리되므로
+// 동시에 나무를 심어도 서로 덮어쓰지 않음.
+// 저장 구조: 'meta' = { landId, ownerId, coOwners, invites, guestCodes, name, theme, privacy, createdAt, archivedAt }, 'tree:<treeId>' = 나무
+// 기본 토지는 토지 ID가 주인의 사용자 ID와 같음
+// 타임캡슐 팻말이 열리는 시각에는 알람을 걸어 토지 주인에게 알림을 보냄
+// 토지를 보고 있는 사람들과는 WebSocket으로 연결해 나무가 바뀔 때마다 알려줌
+export class LandObject extends DurableObject {
+  constructor(ctx, env) {
+    super(ctx, env);
+    // 연결 유지용 ping에는 인스턴스를 깨우지 않고 바로 응답
+    this.ctx.setWebSocketAutoResponse(new WebSocketRequestResponsePair('ping', 'pong'));
+  }
+
+  // 실시간 연결 (보는 사람 정보는 워커가 헤더로 넘겨줌)
+  async fetch(request) {
+    const [client, server] = Object.values(new WebSocketPair());
+    this.ctx.acceptWebSocket(server);
+    server.serializeAttachment({
+      viewerId: request.headers.get('X-Viewer-Id'),
+      isOwner: request.headers.get('X-Viewer-Owner') === '1'
+    });
+    return new Response(null, { status: 101, webSocket: client });
+  }
+
+  async webSocketClose(ws, code) {
+    try {
+      ws.close(code, 'closed');
+    } catch (error) {
+      // 이미 닫힌 연결
+    }
+  }
+
+  // 보고 있는 사람마다 보이는 정보가 다르므로 따로 만들어 보냄
+  // event: 'plant' (새 나무), 'update' (숨김/삭제/답장 등), 'water' (물 주기)
+  broadcastTree(landId, event, tree) {
+    for (const ws of this.ctx.getWebSockets()) {
+      const { viewerId, isOwner } = ws.deserializeAttachment();
+      const message = isTreeVisible(tree, isOwner)
+        ? { type: event, tree: projectTree(landId, tree, isOwner, viewerId) }
+        : { type: 'delete', treeId: tree.id };
+      this.sendToSocket(ws, message);
+    }
+  }
+
+  // 나무가 영구히 사라짐
+  broadcastRemoval(treeId) {
+    for (const ws of this.ctx.getWebSockets()) {
+      this.sendToSocket(ws, { type: 'delete', treeId });
+    }
+  }
+
+  sendToSocket(ws, message) {
+    try {
+      ws.send(JSON.stringify(message));
+    } catch (error) {
+      // 끊긴 연결은 webSocketClose에서 정리됨
+    }
+  }
+
+  // 스토리지가 비어있으면 KV의 기존 토지 기록을 가져옴 (인라인 이미지는 R2로 이동)
+  async importFromKv(landId) {
+    await this.ctx.blockConcurrencyWhile(async () => {
+      if (await this.ctx.storage.get('meta')) return;
+
+      const land = await this.env.LANDS.get('land:' + landId, { type: 'json' });
+      if (!land) return;
+
+      await migrateInlineImages(this.env, landId, land);
+
+      const entries = { meta: { landId: landId, ownerId: land.ownerId, createdAt: land.createdAt } };
+      for (const tree of land.trees) {
+        entries['tree:' + tree.id] = tree;
+      }
+      await this.ctx.storage.put(entries);
+    });
+  }
+
+  // 토지 생성 (이미 있으면 그대로)
+  async createLand(landId, ownerId = landId, name = null) {
+    await this.importFromKv(landId);
+
+    let meta = await this.ctx.storage.get('meta');
+    if (!meta) {
+      meta = { landId: landId, ownerId: ownerId, name: name, createdAt: new Date().toISOString() };
+      await this.ctx.storage.put('meta', meta);
+    }
+    // 토지 ID가 기록되기 전의 토지도 ID를 함께 돌려줌 (저장은 getLand에서 알람 예약과 함께)
+    return { ...meta, landId: landId };
+  }
+
+  // 토지 전체 가져오기 (나무는 심은 순서대로)
+  async getLand(landId) {
+    await this.importFromKv(landId);
+
+    const meta = await this.ctx.storage.get('meta');
+    if (!meta) return null;
+
+    let trees = Array.from((await this.ctx.storage.list({ prefix: 'tree:' })).values());
+    trees = await this.purgeExpiredTrees(landId, trees);
+
+    // 심은 나무 목록이 생기기 전에 심은 나무들 기록
+    if (!meta.plantedIndexed) {
+      for (const tree of trees) {
+        await putPlantedIndex(this.env, landId, tree);
+      }
+      meta.plantedIndexed = true;
+      await this.ctx.storage.put('meta', meta);
+    }
+
+    // 알림이 생기기 전에 심은 타임캡슐 팻말도 열릴 때 알림이 가도록 알람 예약
+    if (!meta.landId) {
+      meta.landId = landId;
+      await this.ctx.storage.put('meta', meta);
+      await this.scheduleUnlockAlarm(trees);
+    }
+
+    trees.sort((a, b) => a.plantedAt.localeCompare(b.plantedAt));
+    return { ...meta, trees };
+  }
+
+  // 휴지통 보관 기간이 지난 나무 영구 삭제
+  async purgeExpiredTrees(landId, trees) {
+    const now = Date.now();
+    const expired = trees.filter(tree =>
+      tree.deletedAt && now - new Date(tree.deletedAt).getTime() > TRASH_RETENTION_MS
+    );
+    if (expired.length === 0) return trees;
+
+    await this.ctx.storage.delete(expired.map(tree => 'tree:' + tree.id));
+    for (const tree of expired) {
+      await deleteTreeFiles(this.env, getTreeFileKeys(tree));
+      if (tree.reply) {
+        await this.env.LANDS.delete(getReplyIndexKey(tree.planterId, landId, tree.id));
+      }
+      await deletePlantedIndex(this.env, landId, tree);
+    }
+    return trees.filter(tree => !expired.includes(tree));
+  }
+
+  // 아직 알리지 않은 타임캡슐 중 가장 먼저 열리는 시각에 알람 예약
+  async scheduleUnlockAlarm(trees) {
+    const unlockTimes = trees
+      .filter(tree => tree.unlockAt && !tree.unlockNotifiedAt && !tree.deletedAt)
+      .map(tree => Date.parse(tree.unlockAt));
+
+    if (unlockTimes.length === 0) {
+      await this.ctx.storage.deleteAlarm();
+    } else {
+      await this.ctx.storage.setAlarm(Math.min(...unlockTimes));
+    }
+  }
+
+  // 타임캡슐 팻말이 열림 → 토지 주인에게 알림
+  async alarm() {
+    const meta = await this.ctx.storage.get('meta');
+    if (!meta || !meta.landId) return;
+
+    const trees = Array.from((await this.ctx.storage.list({ prefix: 'tree:' })).values());
+    for (const tree of trees) {
+      if (!tree.unlockAt || tree.unlockNotifiedAt || tree.deletedAt || isTreeLocked(tree)) continue;
+
+      for (const ownerId of getLandOwnerIds(meta)) {
+        await createNotification(this.env, ownerId, {
+          type: 'unlocked',
+          landId: meta.landId,
+          treeId: tree.id,
+          actorName: tree.planterName
+        });
+      }
+      tree.unlockNotifiedAt = new Date().toISOString();
+      await this.ctx.storage.put('tree:' + tree.id, tree);
+      this.broadcastTree(meta.landId, 'update', tree);
+    }
+
+    await this.scheduleUnlockAlarm(trees);
+  }
+
+  // 토지 삭제 (탈퇴): 나무, 이미지, 다른 사람의 답장/심은 나무 목록 기록까지 모두 지움
+  async deleteLand(landId) {
+    await this.importFromKv(landId);
+
+    const trees = Array.from((await this.ctx.storage.list({ prefix: 'tree:' })).values());
+    for (const tree of trees) {
+      await deleteTreeFiles(this.env, getTreeFileKeys(tree));
+      if (tree.reply && tree.planterId) {
+        await this.env.LANDS.delete(getReplyIndexKey(tree.planterId, landId, tree.id));
+      }
+      if (tree.planterId) {
+        await deletePlantedIndex(this.env, landId, tree);
+      }
+    }
+
+    // 예전 KV 기록이 남아있으면 다시 가져오게 되므로 함께 지움
+    await this.env.LANDS.delete('land:' + landId);
+
+    // 공동 주인들의 토지 목록에서도 지움
+    const meta = await this.ctx.storage.get('meta');
+    for (const coOwner of (meta && meta.coOwners) || []) {
+      await this.env.LANDS.delete(getOwnedLandKey(coOwner.userId, landId));
+    }
+
+    for (const ws of this.ctx.getWebSockets()) {
+      ws.close(1000, 'Land deleted');
+    }
+    await this.ctx.storage.deleteAlarm();
+    await this.ctx.storage.deleteAll();
+  }
+
+  // 탈퇴한 사용자가 심은 나무를 익명으로 바꿈 (메시지와 이미지는 토지 주인에게 준 선물이므로 남김)
+  async anonymizePlanter(landId, treeId, planterId) {
+    await this.importFromKv(landId);
+
+    const tree = await this.ctx.storage.get('tree:' + treeId);
+    if (!tree || tree.planterId !== planterId) return null;
+
+    const updated = { ...tree, planterId: null, planterName: DELETED_PLANTER_NAME };
+    if (updated.wateredToday) {
+      updated.wateredToday = {
+        ...updated.wateredToday,
+        userIds: updated.wateredToday.userIds.filter(id => id !== planterId)
+      };
+    }
+    await this.ctx.storage.put('tree:' + treeId, updated);
+    this.broadcastTree(landId, 'update', updated);
+    return updated;
+  }
+
+  // 토지 정보 (나무 제외, 토지가 없으면 null)
+  async getMeta(landId) {
+    await this.importFromKv(landId);
+    return (await this.ctx.storage.get('meta')) || null;
+  }
+
+  // 토지 정보 바꾸기 (이름, 색상, 공개 범위, 보관)
+  async updateMeta(landId, changes) {
+    await this.importFromKv(landId);
+
+    const meta = await this.ctx.storage.get('meta');
+    if (!meta) return null;
+
+    const updated = { ...meta, ...changes };
+    await this.ctx.storage.put('meta', updated);
+
+    // 공개 범위가 바뀌면 더 이상 볼 수 없는 사람이 있을 수 있으므로 실시간 연결을 끊고 다시 연결할 때 확인
+    if ('privacy' in changes) {
+      for (const ws of this.ctx.getWebSockets()) {
+        ws.close(1012, 'Privacy changed');
+      }
+    }
+    return updated;
+  }
+
+  // 공동 주인 초대 링크 만들기 (기간이 지난 초대는 정리)
+  async createInvite(landId, createdBy) {
+    await this.importFromKv(landId);
+
+    const meta = await this.ctx.storage.get('meta');
+    if (!meta) return { error: 'Land not found', status: 404 };
+
+    const now = Date.now();
+    const invites = (meta.invites || []).filter(invite => Date.parse(invite.expiresAt) > now);
+    if ((meta.coOwners || []).length >= MAX_CO_OWNERS) return { error: 'Too many co-owners', status: 400 };
+    if (invites.length >= MAX_PENDING_INVITES) return { error: 'Too many invites', status: 400 };
+
+    const invite = {
+      token: generateSessionId().slice(0, 32),
+      createdBy: createdBy,
+      createdAt: new Date(now).toISOString(),
+      expiresAt: new Date(now + INVITE_TTL_MS).toISOString()
+    };
+    await this.ctx.storage.put('meta', { ...meta, invites: [...invites, invite] });
+    return { invite };
+  }
+
+  // 초대 링크 취소
+  async revokeInvite(landId, token) {
+    await this.importFromKv(landId);
+
+    const meta = await this.ctx.storage.get('meta');
+    if (!meta) return { error: 'Land not found', status: 404 };
+
+    const invites = meta.invites || [];
+    if (!invites.some(invite => invite.token === token)) return { error: 'Invite not found', status: 404 };
+
+    await this.ctx.storage.put('meta', { ...meta, invites: invites.filter(invite => invite.token !== token) });
+    return { success: true };
+  }
+
+  // 초대 수락 → 공동 주인이 됨 (초대 링크는 한 번만 쓸 수 있음)
+  async acceptInvite(landId, token, userId) {
+    await this.importFromKv(landId);
+
+    const meta = await this.ctx.storage.get('meta');
+    if (!meta) return { error: 'Land not found', status: 404 };
+
+    const invites = meta.invites || [];
+    const invite = invites.find(invite => invite.token === token);
+    if (!invite || Date.parse(invite.expiresAt) <= Date.now()) return { error: 'Invite not found', status: 404 };
+    if (getLandOwnerIds(meta).includes(userId)) return { error: 'Already an owner', status: 409 };
+    if ((meta.coOwners || []).length >= MAX_CO_OWNERS) return { error: 'Too many co-owners', status: 400 };
+
+    const updated = {
+      ...meta,
+      coOwners: [...(meta.coOwners || []), { userId: userId, invitedBy: invite.createdBy, addedAt: new Date().toISOString() }],
+      invites: invites.filter(i => i.token !== token)
+    };
+    await this.ctx.storage.put('meta', updated);
+
+    // 손님으로 연결한 화면은 다시 연결할 때 주인으로 받음
+    this.closeViewerSockets(userId, 'Role changed');
+    return { meta: updated };
+  }
+
+  // 공동 주인 내보내기 (또는 스스로 나가기)
+  async removeCoOwner(landId, userId) {
+    await this.importFromKv(landId);
+
+    const meta = await this.ctx.storage.get('meta');
+    if (!meta) return { error: 'Land not found', status: 404 };
+
+    const coOwners = meta.coOwners || [];
+    if (!coOwners.some(coOwner => coOwner.userId === userId)) return { error: 'Co-owner not found', status: 404 };
+
+    const updated = { ...meta, coOwners: coOwners.filter(coOwner => coOwner.userId !== userId) };
+    await this.ctx.storage.put('meta', updated);
+
+    // 주인으로 받던 내용(메시지, 숨긴 나무)을 더 받지 않도록 연결을 끊음
+    this.closeViewerSockets(userId, 'Role changed');
+    return { meta: updated };
+  }
+
+  // 만든 사람이 탈퇴할 때 가장 먼저 들어온 공동 주인에게 토지를 넘김 (공동 주인이 없으면 null)
+  async transferOwnership(landId) {
+    await this.importFromKv(landId);
+
+    const meta = await this.ctx.storage.get('meta');
+    const coOwners = (meta && meta.coOwners) || [];
+    if (coOwners.length === 0) return null;
+
+    const [next, ...rest] = coOwners;
+    const updated = { ...meta, ownerId: next.userId, coOwners: rest, invites: [] };
+    await this.ctx.storage.put('meta', updated);
+    this.closeViewerSockets(meta.ownerId, 'Role changed');
+    return updated;
+  }
+
+  // 손님 초대 코드 만들기
+  async createGuestCode(landId, createdBy, maxUses) {
+    await this.importFromKv(landId);
+
+    const meta = await this.ctx.storage.get('meta');
+    if (!meta) return { error: 'Land not found', status: 404 };
+
+    const guestCodes = meta.guestCodes || [];
+    if (guestCodes.length >= MAX_GUEST_CODES) return { error: 'Too many guest codes', status: 400 };
+
+    const guestCode = {
+      code: generateGuestCode(),
+      maxUses: maxUses,
+      uses: 0,
+      createdBy: createdBy,
+      createdAt: new Date().toISOString()
+    };
+    await this.ctx.storage.put('meta', { ...meta, guestCodes: [...guestCodes, guestCode] });
+    return { guestCode };
+  }
+
+  // 손님 초대 코드와 IP별 횟수 확인 (쓸 수 없으면 { error, status })
+  // 코드를 먼저 확인하므로 틀린 코드는 횟수 제한에 세지 않음
+  // 횟수는 'guestRates' = { <ip>: { count, resetAt } }에 기록 (지난 기록은 빼고 돌려줌)
+  async readGuestCode(landId, code, ip) {
+    await this.importFromKv(landId);
+
+    const meta = await this.ctx.storage.get('meta');
+    if (!meta) return { error: 'Land not found', status: 404 };
+
+    const guestCodes = meta.guestCodes || [];
+    const guestCode = guestCodes.find(c => c.code === code);
+    if (!guestCode || guestCode.uses >= guestCode.maxUses) return { error: 'Invalid guest code', status: 403 };
+
+    const now = Date.now();
+    const rates = Object.fromEntries(Object.entries((await this.ctx.storage.get('guestRates')) || {})
+      .filter(([, rate]) => rate.resetAt > now));
+    const rate = rates[ip] || { count: 0, resetAt: now + GUEST_PLANT_WINDOW_SECONDS * 1000 };
+    if (rate.count >= GUEST_PLANT_LIMIT) return { error: 'Too many guest trees', status: 429 };
+
+    return { meta, guestCodes, guestCode, rates, rate };
+  }
+
+  // 손님 초대 코드를 쓸 수 있는지만 확인 (파일을 올리기 전에, 아무것도 기록하지 않음)
+  async checkGuestCode(landId, code, ip) {
+    const checked = await this.readGuestCode(landId, code, ip);
+    return checked.error ? checked : { guestCode: checked.guestCode };
+  }
+
+  // 손님 초대 코드 한 번 쓰기 (취소됐거나 다 쓴 코드, 제한에 걸린 IP면 오류, 제한에 걸리면 코드도 쓰지 않음)
+  async redeemGuestCode(landId, code, ip) {
+    const checked = await this.readGuestCode(landId, code, ip);
+    if (checked.error) return checked;
+    const { meta, guestCodes, guestCode, rates, rate } = checked;
+
+    const updated = { ...guestCode, uses: guestCode.uses + 1 };
+    await this.ctx.storage.put({
+      meta: { ...meta, guestCodes: guestCodes.map(c => c.code === code ? updated : c) },
+      guestRates: { ...rates, [ip]: { count: rate.count + 1, resetAt: rate.resetAt } }
+    });
+    return { guestCode: updated };
+  }
+
+  // 손님 초대 코드 취소 (removeTrees면 그 코드로 심은 나무를 모두 휴지통으로)
+  async revokeGuestCode(landId, code, removeTrees) {
+    await this.importFromKv(landId);
+
+    const meta = await this.ctx.storage.get('meta');
+    if (!meta) return { error: 'Land not found', status: 404 };
+
+    const guestCodes = meta.guestCodes || [];
+    if (!guestCodes.some(c => c.code === code)) return { error: 'Guest code not found', status: 404 };
+    await this.ctx.storage.put('meta', { ...meta, guestCodes: guestCodes.filter(c => c.code !== code) });
+
+    let removed = 0;
+    if (removeTrees) {
+      const deletedAt = new Date().toISOString();
+      const trees = Array.from((await this.ctx.storage.list({ prefix: 'tree:' })).values());
+      for (const tree of trees) {
+        if (tree.guestCode !== code || tree.deletedAt) continue;
+        const updated = { ...tree, deletedAt };
+        await this.ctx.storage.put('tree:' + tree.id, updated);
+        this.broadcastTree(landId, 'update', updated);
+        removed++;
+      }
+    }
+    return { removed };
+  }
+
+  // 특정 사용자의 실시간 연결 끊기
+  closeViewerSockets(userId, reason) {
+    for (const ws of this.ctx.getWebSockets()) {
+      if (ws.deserializeAttachment().viewerId === userId) {
+        ws.close(1012, reason);
+      }
+    }
+  }
+
+  // 나무 하나 가져오기
+  async getTree(landId, treeId) {
+    await this.importFromKv(landId);
+    return (await this.ctx.storage.get('tree:' + treeId)) || null;
+  }
+
+  // 나무 심기 (토지가 없으면 null)
+  async plantTree(landId, tree) {
+    await this.importFromKv(landId);
+
+    const meta = await this.ctx.storage.get('meta');
+    if (!meta) return null;
+
+    await this.ctx.storage.put('tree:' + tree.id, tree);
+    this.broadcastTree(landId, 'plant', tree);
+
+    // 타임캡슐이면 열리는 시각에 알람
+    if (tree.unlockAt) {
+      if (!meta.landId) {
+        meta.landId = landId;
+        await this.ctx.storage.put('meta', meta);
+      }
+      await this.scheduleUnlockAlarm(Array.from((await this.ctx.storage.list({ prefix: 'tree:' })).values()));
+    }
+    return tree;
+  }
+
+  // 나무 정보 수정 (나무가 없으면 null)
+  async updateTree(landId, treeId, changes) {
+    await this.importFromKv(landId);
+
+    const tree = await this.ctx.storage.get('tree:' + treeId);
+    if (!tree) return null;
+
+    const updated = { ...tree, ...changes };
+    await this.ctx.storage.put('tree:' + treeId, updated);
+    this.broadcastTree(landId, 'update', updated);
+    return updated;
+  }
+
+  // 토지 주인이 팻말을 처음 열어본 시각 기록 (이후로는 심은 사람이 고칠 수 없음)
+  async openTree(landId, treeId) {
+    await this.importFromKv(landId);
+
+    const tree = await this.ctx.storage.get('tree:' + treeId);
+    if (!tree) return null;
+
+    if (!tree.openedAt && !isTreeLocked(tree)) {
+      tree.openedAt = new Date().toISOString();
+      await this.ctx.storage.put('tree:' + treeId, tree);
+      this.broadcastTree(landId, 'update', tree);
+    }
+    return tree;
+  }
+
+  // 토지 주인의 답장 저장/삭제 (reply가 null이면 삭제)
+  async replyToTree(landId, treeId, reply) {
+    await this.importFromKv(landId);
+
+    const tree = await this.ctx.storage.get('tree:' + treeId);
+    if (!tree || tree.deletedAt) return { error: 'Tree not found', status: 404 };
+    if (isTreeLocked(tree)) return { error: 'Sign is locked', status: 409 };
+
+    // 답장을 남겼다면 팻말을 읽은 것으로 봄
+    const updated = { ...tree, reply, openedAt: tree.openedAt || new Date().toISOString() };
+    await this.ctx.storage.put('tree:' + treeId, updated);
+    this.broadcastTree(landId, 'update', updated);
+    return { tree: updated, previous: tree };
+  }
+
+  // 물 주기 (한 사람당 하루 한 번, 숨긴 나무는 토지 주인만)
+  async waterTree(landId, treeId, userId, isOwner) {
+    await this.importFromKv(landId);
+
+    const tree = await this.ctx.storage.get('tree:' + treeId);
+    if (!tree || !isTreeVisible(tree, isOwner)) return { error: 'Tree not found', status: 404 };
+    if (hasWateredToday(tree, userId)) return { error: 'Already watered today', status: 429 };
+
+    const today = getToday();
+    const userIds = tree.wateredToday && tree.wateredToday.date === today ? tree.wateredToday.userIds : [];
+
+    const updated = {
+      ...tree,
+      vitality: Math.min(VITALITY.max, getVitality(tree) + VITALITY.perWatering),
+      vitalityAt: new Date().toISOString(),
+      wateredToday: { date: today, userIds: [...userIds, userId] }
+    };
+    await this.ctx.storage.put('tree:' + treeId, updated);
+    this.broadcastTree(landId, 'water', updated);
+    return { tree: updated };
+  }
+
+  // 심은 사람이 팻말 수정
+  async editTree(landId, treeId, planterId, changes) {
+    await this.importFromKv(landId);
+
+    const tree = await this.ctx.storage.get('tree:' + treeId);
+    const denied = checkPlanterAccess(tree, planterId);
+    if (denied) return denied;
+
+    const updated = { ...tree, ...changes, editedAt: new Date().toISOString() };
+    await this.ctx.storage.put('tree:' + treeId, updated);
+    this.broadcastTree(landId, 'update', updated);
+    return { tree: updated, previous: tree };
+  }
+
+  // 심은 사람이 나무 거두기 (영구 삭제)
+  async withdrawTree(landId, treeId, planterId) {
+    await this.importFromKv(landId);
+
+    const tree = await this.ctx.storage.get('tree:' + treeId);
+    const denied = checkPlanterAccess(tree, planterId);
+    if (denied) return denied;
+
+    await this.ctx.storage.delete('tree:' + treeId);
+    this.broadcastRemoval(treeId);
+    return { tree };
+  }
+}
+
+// 현재 사용자 가져오기
+// 요청마다 사용 기록을 남긴 세션 ({ sessionId, session }, 세션 ID가 바뀌면 응답에 새 쿠키를 붙임)
+const refreshedSessions = new WeakMap();
+
+async function getCurrentUser(request, env) {
+  const current = await getCurrentSession(request, env);
+  if (!current) return null;
+  
+  const user = await env.USERS.get('user:' + current.session.userId, { type: 'json' });
+  if (user && !refreshedSessions.has(request)) {
+    refreshedSessions.set(request, await refreshSession(env, request, current.sessionId, current.session));
+  }
+  return user;
+}
+
+const worker = {
+  async fetch(request, env, ctx) {
+    const url = new URL(request.url);
+    const origin = request.headers.get('Origin');
+
+    // 허용한 다른 사이트에서 온 요청에만 CORS 헤더를 붙임
+    const corsHeaders = origin && origin !== url.origin && isAllowedOrigin(env, url, origin) ? {
+      'Access-Control-Allow-Origin': origin,
+      'Access-Control-Allow-Credentials': 'true',
+      'Access-Control-Allow-Methods': 'GET, POST, PUT, DELETE, OPTIONS',
+      'Access-Control-Allow-Headers': 'Content-Type, X-Share-Key, X-CSRF-Token',
+      'Vary': 'Origin'
+    } : null;
+
+    // OPTIONS 요청 처리
+    if (request.method === 'OPTIONS') {
+      return new Response(null, { status: 204, headers: corsHeaders || {} });
+    }
+
+    let response;
+    const csrfError = url.pathname.startsWith('/api/') && !SAFE_METHODS.includes(request.method)
+      ? await checkCsrf(request, env, url)
+      : null;
+    if (csrfError) {
+      response = errorResponse(csrfError, 403);
+    } else {
+      response = await worker.route(request, env, ctx, url);
+    }
+
+    // 요청 중에 세션 ID가 바뀌었으면 새 쿠키를 보냄 (응답이 쿠키를 직접 정했으면 그대로)
+    const headers = { ...corsHeaders };
+    const refreshed = refreshedSessions.get(request);
+    if (refreshed && refreshed.sessionId !== parseCookies(request.headers.get('Cookie')).session && !response.headers.has('Set-Cookie')) {
+      headers['Set-Cookie'] = getSessionCookie(refreshed.sessionId);
+    }
+
+    if (Object.keys(headers).length === 0 || response.status === 101) {
+      return response;
+    }
+    response = new Response(response.body, response);
+    for (const [name, value] of Object.entries(headers)) {
+      response.headers.set(name, value);
+    }
+    return response;
+  },
+
+  async route(request, env, ctx, url) {
+    const path = url.pathname;
+    
+    try {
+      // API 라우팅
+      if (path.startsWith('/api/')) {
+        let apiPath = path.slice(4); // '/api' 제거
+
+        // 토지 주소로 온 요청은 토지 ID로 바꿔서 처리
+        const landPathMatch = apiPath.match(/^\/land\/([a-zA-Z0-9_-]+)(\/.*)?$/);
+        if (landPathMatch) {
+          apiPath = '/land/' + await resolveLandId(env, landPathMatch[1]) + (landPathMatch[2] || '');
+        }
+
+        // OAuth 로그인 시작 (Google, 카카오, GitHub)
+        if (apiPath.match(/^\/auth\/(google|kakao|github)$/) && request.method === 'GET') {
+          const providerId = apiPath.split('/')[2];
+          const provider = OAUTH_PROVIDERS[providerId];
+          if (!env[provider.clientIdVar]) {
+            return errorResponse('Login provider not configured', 404);
+          }
+
+          // ?link=1이면 로그인한 사용자에게 이 계정을 연결
+          let linkUserId = null;
+          if (url.searchParams.get('link') === '1') {
+            const currentUser = await getCurrentUser(request, env);
+            if (!currentUser) {
+              return errorResponse('Login required', 401);
+            }
+            linkUserId = currentUser.id;
+          }
+
+          const state = generateSessionId();
+          
+          // state 저장 (CSRF 방지)
+          await env.SESSIONS.put('oauth_state:' + state, JSON.stringify({ provider: providerId, linkUserId }), { expirationTtl: 600 });
+          
+          const authUrl = getProviderUrl(env, providerId, provider.authorizeUrl) + '?' + new URLSearchParams({
+            client_id: env[provider.clientIdVar],
+            redirect_uri: url.origin + provider.callbackPath,
+            response_type: 'code',
+            scope: provider.scope,
+            state: state,
+            ...provider.authorizeParams
+          });
+          
+          return Response.redirect(authUrl, 302);
+        }
+        
+        // OAuth 콜백 (Google은 예전 주소 /auth/callback을 그대로 씀)
+        if (apiPath.match(/^\/auth\/(callback|kakao\/callback|github\/callback)$/) && request.method === 'GET') {
+          const providerId = apiPath === '/auth/callback' ? 'google' : apiPath.split('/')[2];
+          const provider = OAUTH_PROVIDERS[providerId];
+          const code = url.searchParams.get('code');
+          const state = url.searchParams.get('state');
+          const error = url.searchParams.get('error');
+          
+          if (error) {
+            return Response.redirect(url.origin + '/?error=auth_denied', 302);
+          }
+          
+          if (!code || !state) {
+            return Response.redirect(url.origin + '/?error=invalid_request', 302);
+          }
+          
+          // state 확인 (다른 제공자에서 만든 state는 쓸 수 없음)
+          const storedState = await env.SESSIONS.get('oauth_state:' + state, { type: 'json' });
+          if (!storedState || storedState.provider !== providerId) {
+            return Response.redirect(url.origin + '/?error=invalid_state', 302);
+          }
+          await env.SESSIONS.delete('oauth_state:' + state);
+          
+          // 토큰 교환
+          const accessToken = await exchangeOAuthCode(env, providerId, code, url.origin + provider.callbackPath);
+          if (!accessToken) {
+            return Response.redirect(url.origin + '/?error=token_error', 302);
+          }
+          
+          // 사용자 정보 가져오기
+          const profile = await provider.getProfile(env, accessToken);
+          if (!profile.id || profile.id === 'undefined') {
+            return Response.redirect(url.origin + '/?error=token_error', 302);
+          }
+
+          return loginRedirect(await completeLogin(env, request, url, { provider: providerId, ...profile }, storedState.linkUserId));
+        }
+
+        // 사용할 수 있는 로그인 방법
+        if (apiPath === '/auth/providers' && request.method === 'GET') {
+          return jsonResponse({ providers: getEnabledAuthProviders(env) });
+        }
+
+        // 이메일 로그인 링크 보내기 (가입 여부를 알 수 없도록 항상 성공으로 응답)
+        if (apiPath === '/auth/email' && request.method === 'POST') {
+          if (!isEmailLoginEnabled(env)) {
+            return errorResponse('Login provider not configured', 404);
+          }
+
+          const { body, error } = await readBody(request, BODY_SCHEMAS.emailLogin);
+          if (error) {
+            return fieldErrorResponse(error);
+          }
+          const { email } = body;
+
+          let linkUserId = null;
+          if (body.link) {
+            const currentUser = await getCurrentUser(request, env);
+            if (!currentUser) {
+              return errorResponse('Login required', 401);
+            }
+            linkUserId = currentUser.id;
+          }
+
+          // 같은 주소로 너무 자주 보내지 않음
+          if (await env.SESSIONS.get('magic_link_sent:' + email)) {
+            return errorResponse('Email recently sent', 429);
+          }
+          await env.SESSIONS.put('magic_link_sent:' + email, '1', { expirationTtl: MAGIC_LINK_RESEND_SECONDS });
+
+          const token = generateSessionId();
+          await env.SESSIONS.put('magic_link:' + token, JSON.stringify({ email, linkUserId }), {
+            expirationTtl: MAGIC_LINK_TTL_SECONDS
+          });
+
+          // 링크는 첫 화면으로 열고, 사용자가 확인하면 그때 토큰을 씀 (메일 검사기가 링크를 열어도 쓰이지 않도록)
+          const link = url.origin + '/?email_token=' + token;
+          if (!(await sendLoginEmail(env, email, link))) {
+            return errorResponse('Failed to send email', 502);
+          }
+
+          return jsonResponse({ success: true });
+        }
+
+        // 예전 이메일 로그인 링크 (토큰을 쓰지 않고 첫 화면의 확인 단계로 보냄)
+        if (apiPath === '/auth/email/callback' && request.method === 'GET') {
+          const token = url.searchParams.get('token');
+          if (!token) {
+            return Response.redirect(url.origin + '/?error=link_expired', 302);
+          }
+          return Response.redirect(url.origin + '/?email_token=' + encodeURIComponent(token), 302);
+        }
+
+        // 이메일 로그인 링크 확인 (첫 화면에서 사용자가 확인하면 보냄, 토큰은 한 번만 쓸 수 있음)
+        if (apiPath === '/auth/email/callback' && request.method === 'POST') {
+          const { body, error } = await readBody(request, BODY_SCHEMAS.emailLoginConfirm);
+          if (error) {
+            return fieldErrorResponse(error);
+          }
+          const magicLink = await env.SESSIONS.get('magic_link:' + body.token, { type: 'json' });
+          if (!magicLink) {
+            return errorResponse('Login link expired', 404);
+          }
+          await env.SESSIONS.delete('magic_link:' + body.token);
+
+          const { location, sessionId } = await completeLogin(env, request, url, {
+            provider: 'email',
+            id: magicLink.email,
+            email: magicLink.email,
+            name: null,
+            picture: null
+          }, magicLink.linkUserId);
+          return jsonResponse({ success: true, redirect: location }, 200,
+            sessionId ? { 'Set-Cookie': getSessionCookie(sessionId) } : {});
+        }
+
+        // 로그인한 기기 목록 (최근에 쓴 순서)
+        if (apiPath === '/me/sessions' && request.method === 'GET') {
+          const current = await getCurrentSession(request, env);
+          if (!current) {
+            return errorResponse('Login required', 401);
+          }
+
+          const sessions = (await getUserSessions(env, current.session.userId))
+            .map(({ session }) => ({
+              id: session.id || null,
+              createdAt: session.createdAt,
+              lastSeenAt: session.lastSeenAt || session.createdAt || null,
+              userAgent: session.userAgent || null,
+              current: !!session.id && session.id === current.session.id
+            }))
+            .sort((a, b) => (b.lastSeenAt || '').localeCompare(a.lastSeenAt || ''));
+
+          return jsonResponse({ sessions });
+        }
+
+        // 기기 하나 로그아웃 (지금 기기면 쿠키도 지움)
+        if (apiPath.match(/^\/me\/sessions\/[a-f0-9]+$/) && request.method === 'DELETE') {
+          const id = apiPath.split('/')[3];
+
+          const current = await getCurrentSession(request, env);
+          if (!current) {
+            return errorResponse('Login required', 401);
+          }
+
+          const target = (await getUserSessions(env, current.session.userId))
+            .find(({ session }) => session.id === id);
+          if (!target) {
+            return errorResponse('Session not found', 404);
+          }
+          await deleteSession(env, target.sessionId, target.session);
+
+          const headers = id === current.session.id
+            ? { 'Set-Cookie': setCookie('session', '', { maxAge: 0, path: '/' }) }
+            : {};
+          return jsonResponse({ success: true }, 200, headers);
+        }
+
+        // 모든 기기에서 로그아웃
+        if (apiPath === '/me/sessions' && request.method === 'DELETE') {
+          const current = await getCurrentSession(request, env);
+          if (!current) {
+            return errorResponse('Login required', 401);
+          }
+
+          for (const { sessionId, session } of await getUserSessions(env, current.session.userId)) {
+            await deleteSession(env, sessionId, session);
+          }
+          // 세션 목록이 생기기 전의 세션일 수도 있으므로 지금 세션도 지움
+          await deleteSession(env, current.sessionId, current.session);
+
+          const cookie = setCookie('session', '', { maxAge: 0, path: '/' });
+          return jsonResponse({ success: true }, 200, { 'Set-Cookie': cookie });
+        }
+
+        // 연결된 로그인 목록
+        if (apiPath === '/me/identities' && request.method === 'GET') {
+          const currentUser = await getCurrentUser(request, env);
+          if (!currentUser) {
+            return errorResponse('Login required', 401);
+          }
+
+          return jsonResponse({
+            identities: currentUser.identities || [],
+            providers: getEnabledAuthProviders(env)
+          });
+        }
+
+        // 로그인 연결 끊기 (마지막 하나는 끊을 수 없음)
+        if (apiPath.match(/^\/me\/identities\/[a-z]+\/[^/]+$/) && request.method === 'DELETE') {
+          const [, , , provider, encodedId] = apiPath.split('/');
+          const providerUserId = decodeURIComponent(encodedId);
+
+          const currentUser = await getCurrentUser(request, env);
+          if (!currentUser) {
+            return errorResponse('Login required', 401);
+          }
+
+          const identities = currentUser.identities || [];
+          if (!identities.some(i => i.provider === provider && i.id === providerUserId)) {
+            return errorResponse('Identity not found', 404);
+          }
+          if (identities.length <= 1) {
+            return errorResponse('Cannot remove last login method', 400);
+          }
+
+          await env.USERS.delete(getIdentityKey(provider, providerUserId));
+          currentUser.identities = identities.filter(i => !(i.provider === provider && i.id === providerUserId));
+          await env.USERS.put('user:' + currentUser.id, JSON.stringify(currentUser));
+
+          return jsonResponse({ success: true, identities: currentUser.identities });
+        }
+        
+        // 현재 사용자 정보 (CSRF 토큰도 함께)
+        if (apiPath === '/auth/me' && request.method === 'GET') {
+          const user = await getCurrentUser(request, env);
+          if (!user) {
+            return jsonResponse({ user: null });
+          }
+
+          return jsonResponse({ user, csrfToken: refreshedSessions.get(request).session.csrfToken });
+        }
+        
+        // 로그아웃
+        if (apiPath === '/auth/logout' && request.method === 'POST') {
+          const current = await getCurrentSession(request, env);
+          if (current) {
+            await deleteSession(env, current.sessionId, current.session);
+          }
+          
+          const cookie = setCookie('session', '', {
+            maxAge: 0,
+            path: '/'
+          });
+          
+          return jsonResponse({ success: true }, 200, { 'Set-Cookie': cookie });
+        }
+        
+        // 토지 정보 가져오기
+        if (apiPath.match(/^\/land\/[a-zA-Z0-9_-]+$/) && request.method === 'GET') {
+          const landId = apiPath.split('/')[2];
+          
+          // 토지 데이터
+          const landStub = getLandStub(env, landId);
+          let land = await landStub.getLand(landId);
+          if (!land) {
+            // 기본 토지가 아직 없으면 생성 (사용자 ID와 같은 토지 ID일 때만)
+            if (!(await env.USERS.get('user:' + landId))) {
+              return errorResponse('Land not found', 404);
+            }
+            await landStub.createLand(landId);
+            land = await landStub.getLand(landId);
+          }
+
+          // 토지 소유자 정보
+          const owner = await env.USERS.get('user:' + land.ownerId, { type: 'json' });
+          if (!owner) {
+            return errorResponse('Land not found', 404);
+          }
+          
+          // 현재 사용자 확인 (토지 주인인지)
+          const currentUser = await getCurrentUser(request, env);
+          const role = getLandRole(land, currentUser);
+          const isOwner = role !== null;
+
+          // 공개 범위 확인
+          const privacy = getLandPrivacy(land);
+          const denied = checkLandAccess(land, currentUser, getShareKey(request, url));
+          if (denied) {
+            return errorResponse(denied.error, denied.status);
+          }
+          
+          // 삭제된 나무는 제외, 숨긴 나무는 소유자에게만 표시
+          const trees = land.trees
+            .filter(tree => isTreeVisible(tree, isOwner))
+            .map(tree => projectTree(landId, tree, isOwner, currentUser && currentUser.id));
+          
+          return jsonResponse({
+            owner: {
+              id: owner.id,
+              nickname: owner.nickname || owner.name,
+              profileImage: owner.profileImage,
+              slug: owner.slug || null,
+              settings: owner.settings
+            },
+            land: {
+              id: landId,
+              name: land.name || null,
+              isDefault: landId === land.ownerId,
+              archivedAt: land.archivedAt || null,
+              // 색상을 정하지 않은 토지는 주인의 기본 색상을 씀
+              theme: land.theme || {
+                skyColor: owner.settings?.skyColor,
+                landColor: owner.settings?.landColor
+              }
+            },
+            trees: trees,
+            isOwner: isOwner,
+            role: role,
+            plantingClosed: privacy.mode === 'closed' || !!land.archivedAt,
+            // 공유 링크를 만들 수 있도록 토지 주인에게만 알려줌
+            privacy: isOwner ? privacy : undefined
+          });
+        }
+        
+        // 실시간 업데이트 (WebSocket, 토지 Durable Object에 연결)
+        if (apiPath.match(/^\/land\/[a-zA-Z0-9_-]+\/live$/) && request.method === 'GET') {
+          const landId = apiPath.split('/')[2];
+
+          if (request.headers.get('Upgrade') !== 'websocket') {
+            return errorResponse('Expected WebSocket', 426);
+          }
+
+          // 다른 사이트에서 로그인 쿠키로 연결해 주인의 팻말을 엿보지 못하게 함
+          if (!isAllowedOrigin(env, url, request.headers.get('Origin'))) {
+            return errorResponse('Forbidden', 403);
+          }
+
+          const currentUser = await getCurrentUser(request, env);
+          const landStub = getLandStub(env, landId);
+          const meta = await landStub.getMeta(landId);
+          if (!meta) {
+            return errorResponse('Land not found', 404);
+          }
+          const denied = checkLandAccess(meta, currentUser, getShareKey(request, url));
+          if (denied) {
+            return errorResponse(denied.error, denied.status);
+          }
+
+          const headers = new Headers(request.headers);
+          headers.delete('X-Viewer-Id');
+          if (currentUser) {
+            headers.set('X-Viewer-Id', currentUser.id);
+          }
+          headers.set('X-Viewer-Owner', isLandOwner(meta, currentUser) ? '1' : '0');
+
+          return landStub.fetch(new Request(request, { headers }));
+        }
+
+        // 나무 심기
+        if (apiPath.match(/^\/land\/[a-zA-Z0-9_-]+\/plant$/) && request.method === 'POST') {
+          const landId = apiPath.split('/')[2];
+          
+          // 요청 데이터
+          const { body, error } = await readBody(request, BODY_SCHEMAS.plant);
+          if (error) {
+            return fieldErrorResponse(error);
+          }
+          const { audio, audioDuration, treeType, unlockAt, guestCode, guestName } = body;
+          const message = sanitizeSignMessage(body.message);
+          const images = body.images || [];
+
+          // 로그인 확인 (로그인하지 않았으면 손님 초대 코드와 이름이 있어야 함)
+          const currentUser = await getCurrentUser(request, env);
+          if (!currentUser) {
+            if (!guestCode) {
+              return errorResponse('Login required', 401);
+            }
+            if (!guestName) {
+              return fieldErrorResponse({ code: 'required', field: 'guestName', message: 'Invalid guest name' });
+            }
+          }
+          
+          const meta = await getLandStub(env, landId).getMeta(landId);
+          if (!meta) {
+            return errorResponse('Land not found', 404);
+          }
+
+          // 자신의 토지에는 심을 수 없음
+          if (isLandOwner(meta, currentUser)) {
+            return errorResponse('Cannot plant on your own land', 400);
+          }
+
+          // 공개 범위 확인 (보관한 토지는 새 나무를 받지 않음)
+          const denied = checkLandAccess(meta, currentUser, getShareKey(request, url));
+          if (denied) {
+            return errorResponse(denied.error, denied.status);
+          }
+          if (getLandPrivacy(meta).mode === 'closed') {
+            return errorResponse('Land is closed to new trees', 403);
+          }
+          if (meta.archivedAt) {
+            return errorResponse('Land is archived', 403);
+          }
+          
+          // 글, 사진, 음성 메시지 중 하나만 있어도 됨
+          if (!message && images.length === 0 && !audio) {
+            return fieldErrorResponse({ code: 'required', field: 'message', message: 'Message or image required' });
+          }
+          
+          // 타임캡슐 날짜 검증 (미래, 최대 5년 뒤까지)
+          if (unlockAt) {
+            const unlockTime = Date.parse(unlockAt);
+            if (unlockTime <= Date.now() || unlockTime > Date.now() + MAX_UNLOCK_DELAY_MS) {
+              return fieldErrorResponse({ code: 'out_of_range', field: 'unlockAt', message: 'Invalid unlock date' });
+            }
+          }
+          
+          // 손님은 파일을 올리기 전에 초대 코드부터 확인 (아무나 R2에 파일을 쌓지 못하도록)
+          const ip = request.headers.get('CF-Connecting-IP') || 'unknown';
+          if (!currentUser) {
+            const checked = await getLandStub(env, landId).checkGuestCode(landId, guestCode, ip);
+            if (checked.error) {
+              return errorResponse(checked.error, checked.status);
+            }
+          }
+          
+          // 나무 생성
+          const treeId = generateTreeId();
+
+          // 이미지와 녹음은 토지 기록이 아닌 R2에 별도로 저장 (형식을 확인하고 이미지의 메타데이터를 지움)
+          const version = Date.now();
+          const imageKeys = await storeTreeImages(env, landId, treeId, images, version);
+          if (!imageKeys) {
+            return fieldErrorResponse({ code: 'invalid_format', field: 'images', message: 'Invalid image' });
+          }
+          const audioKey = audio ? await storeTreeAudio(env, landId, treeId, audio, version) : null;
+          if (audio && !audioKey) {
+            await deleteTreeFiles(env, imageKeys);
+            return fieldErrorResponse({ code: 'invalid_format', field: 'audio', message: 'Invalid voice message (max 60 seconds)' });
+          }
+          const fileKeys = [...imageKeys, ...(audioKey ? [audioKey] : [])];
+
+          // 손님 초대 코드는 파일을 올린 뒤 심기 직전에 사용 (그 사이 코드를 다 썼거나 제한에 걸렸으면 올린 파일도 지움)
+          if (!currentUser) {
+            const redeemed = await getLandStub(env, landId).redeemGuestCode(landId, guestCode, ip);
+            if (redeemed.error) {
+              await deleteTreeFiles(env, fileKeys);
+              return errorResponse(redeemed.error, redeemed.status);
+            }
+          }
+
+          const tree = {
+            id: treeId,
+            type: treeType || SPECIES.default,
+            planterId: currentUser ? currentUser.id : null,
+            planterName: currentUser ? currentUser.nickname || currentUser.name : guestName,
+            message: message,
+            sign: normalizeSignStyle(body.sign),
+            imageKeys: imageKeys,
+            audioKey: audioKey,
+            audioDuration: audioKey ? audioDuration || null : null,
+            unlockAt: unlockAt ? new Date(unlockAt).toISOString() : null,
+            plantedAt: new Date().toISOString()
+          };
+          if (!currentUser) {
+            tree.guest = true;
+            tree.guestCode = guestCode;
+          }
+          
+          // 토지에 나무 추가 (토지 Durable Object에서 직렬화됨)
+          const planted = await getLandStub(env, landId).plantTree(landId, tree);
+          if (!planted) {
+            await deleteTreeFiles(env, fileKeys);
+            return errorResponse('Land not found', 404);
+          }
+          
+          // 심은 사람의 심은 나무 목록에 기록 (손님은 목록이 없음)
+          if (currentUser) {
+            await putPlantedIndex(env, landId, tree);
+          }
+
+          // 토지 주인들에게 알림 (응답을 기다리게 하지 않음)
+          ctx.waitUntil(Promise.all(getLandOwnerIds(meta).map(ownerId => createNotification(env, ownerId, {
+            type: 'planted',
+            landId: landId,
+            treeId: tree.id,
+            actorName: tree.planterName
+          }))));
+          
+          return jsonResponse({ success: true, tree: { id: tree.id } });
+        }
+        
+        // 팻말 이미지와 녹음 (토지 소유자와 심은 사람만, 이미지는 몇 번째인지 경로로 받음)
+        // 예전 주소 /image는 첫 번째 이미지, 녹음은 브라우저가 나눠서 받을 수 있도록 Range 요청을 지원
+        if (apiPath.match(/^\/land\/[a-zA-Z0-9_-]+\/trees\/[a-zA-Z0-9_-]+\/(images\/[0-9]+|image|audio)$/) && request.method === 'GET') {
+          const [, , landId, , treeId, kind, index = '0'] = apiPath.split('/');
+
+          const currentUser = await getCurrentUser(request, env);
+          if (!currentUser) {
+            return errorResponse('Login required', 401);
+          }
+
+          const landStub = getLandStub(env, landId);
+          const [meta, tree] = await Promise.all([landStub.getMeta(landId), landStub.getTree(landId, treeId)]);
+          if (tree && !isLandOwner(meta, currentUser) && currentUser.id !== tree.planterId) {
+            return errorResponse('Forbidden', 403);
+          }
+          if (tree && currentUser.id !== tree.planterId && isTreeLocked(tree)) {
+            return errorResponse('Sign is locked', 403);
+          }
+          const fileKey = tree && (kind === 'audio' ? tree.audioKey : getTreeImageKeys(tree)[Number(index)]);
+          const notFound = kind === 'audio' ? 'Audio not found' : 'Image not found';
+          if (!fileKey) {
+            return errorResponse(notFound, 404);
+          }
+
+          const object = await env.IMAGES.get(fileKey, request.headers.has('Range') ? { range: request.headers } : {});
+          if (!object) {
+            return errorResponse(notFound, 404);
+          }
+
+          const headers = {
+            'Content-Type': object.httpMetadata?.contentType || 'application/octet-stream',
+            'Cache-Control': 'private, max-age=86400',
+            'X-Content-Type-Options': 'nosniff',
+            'Accept-Ranges': 'bytes'
+          };
+          if (object.range && request.headers.has('Range')) {
+            // 끝에서부터 요청한 범위(bytes=-N)는 suffix만 있음
+            const offset = object.range.suffix !== undefined
+              ? Math.max(0, object.size - object.range.suffix)
+              : object.range.offset || 0;
+            const length = object.range.length ?? object.size - offset;
+            headers['Content-Range'] = `bytes ${offset}-${offset + length - 1}/${object.size}`;
+            return new Response(object.body, { status: 206, headers });
+          }
+
+          return new Response(object.body, { headers });
+        }
+
+        // 나무 수정 (심은 사람, 토지 주인이 팻말을 열어보기 전까지)
+        if (apiPath.match(/^\/land\/[a-zA-Z0-9_-]+\/trees\/[a-zA-Z0-9_-]+$/) && request.method === 'PUT') {
+          const [, , landId, , treeId] = apiPath.split('/');
+
+          const currentUser = await getCurrentUser(request, env);
+          if (!currentUser) {
+            return errorResponse('Login required', 401);
+          }
+
+          // 파일을 올리기 전에 심은 사람인지, 아직 열어보지 않았는지 확인 (수정할 때 Durable Object에서 한 번 더 확인)
+          const landStub = getLandStub(env, landId);
+          const current = await landStub.getTree(landId, treeId);
+          const denied = checkPlanterAccess(current, currentUser.id);
+          if (denied) {
+            return errorResponse(denied.error, denied.status);
+          }
+
+          // 요청 데이터 (images가 없으면 기존 이미지 유지, 있으면 모두 바꾸고, removeImages면 이미지 제거,
+          // message나 sign이 없으면 글과 팻말 모양 유지)
+          const { body, error } = await readBody(request, BODY_SCHEMAS.editTree);
+          if (error) {
+            return fieldErrorResponse(error);
+          }
+          const { removeImages, audio, audioDuration, removeAudio } = body;
+          const message = body.message !== undefined ? sanitizeSignMessage(body.message) : current.message;
+          const images = body.images || [];
+
+          const hasImage = images.length > 0 || (!removeImages && getTreeImageKeys(current).length > 0);
+          const hasAudio = !!audio || (!removeAudio && !!current.audioKey);
+          if (!message && !hasImage && !hasAudio) {
+            return fieldErrorResponse({ code: 'required', field: 'message', message: 'Message or image required' });
+          }
+
+          const version = Date.now();
+          const changes = {};
+          if (body.message !== undefined) {
+            changes.message = message;
+          }
+          if (body.sign !== undefined) {
+            changes.sign = normalizeSignStyle(body.sign);
+          }
+          if (images.length > 0) {
+            changes.imageKeys = await storeTreeImages(env, landId, treeId, images, version);
+            if (!changes.imageKeys) {
+              return fieldErrorResponse({ code: 'invalid_format', field: 'images', message: 'Invalid image' });
+            }
+          } else if (removeImages) {
+            changes.imageKeys = [];
+          }
+          if (audio) {
+            changes.audioKey = await storeTreeAudio(env, landId, treeId, audio, version);
+            if (!changes.audioKey) {
+              await deleteTreeFiles(env, changes.imageKeys || []);
+              return fieldErrorResponse({ code: 'invalid_format', field: 'audio', message: 'Invalid voice message (max 60 seconds)' });
+            }
+            changes.audioDuration = audioDuration || null;
+          } else if (removeAudio) {
+            changes.audioKey = null;
+            changes.audioDuration = null;
+          }
+
+          // 새로 올린 파일 (수정하지 못하면 지움)
+          const newFileKeys = [...(images.length > 0 ? changes.imageKeys : []), ...(audio ? [changes.audioKey] : [])];
+
+          const result = await landStub.editTree(landId, treeId, currentUser.id, changes);
+          if (result.error) {
+            await deleteTreeFiles(env, newFileKeys);
+            return errorResponse(result.error, result.status);
+          }
+
+          // 바뀐 이미지와 녹음은 이전 것을 지움
+          if (changes.imageKeys) {
+            await deleteTreeFiles(env, getTreeImageKeys(result.previous));
+          }
+          if ('audioKey' in changes && result.previous.audioKey) {
+            await deleteTreeFiles(env, [result.previous.audioKey]);
+          }
+
+          await putPlantedIndex(env, landId, result.tree);
+
+          return jsonResponse({ success: true, tree: projectTree(landId, result.tree, false, currentUser.id) });
+        }
+
+        // 나무 삭제
+        // 토지 소유자: 휴지통으로 이동 / 심은 사람: 토지 주인이 열어보기 전이면 거두기
+        if (apiPath.match(/^\/land\/[a-zA-Z0-9_-]+\/trees\/[a-zA-Z0-9_-]+$/) && request.method === 'DELETE') {
+          const [, , landId, , treeId] = apiPath.split('/');
+
+          const currentUser = await getCurrentUser(request, env);
+          if (!currentUser) {
+            return errorResponse('Login required', 401);
+          }
+
+          const landStub = getLandStub(env, landId);
+          if (!isLandOwner(await landStub.getMeta(landId), currentUser)) {
+            const result = await landStub.withdrawTree(landId, treeId, currentUser.id);
+            if (result.error) {
+              return errorResponse(result.error, result.status);
+            }
+            await deleteTreeFiles(env, getTreeFileKeys(result.tree));
+            await deletePlantedIndex(env, landId, result.tree);
+            return jsonResponse({ success: true });
+          }
+
+          const tree = await landStub.updateTree(landId, treeId, {
+            deletedAt: new Date().toISOString()
+          });
+          if (!tree) {
+            return errorResponse('Tree not found', 404);
+          }
+
+          return jsonResponse({ success: true });
+        }
+
+        // 나무 숨기기/보이기/복원 (토지 소유자)
+        if (apiPath.match(/^\/land\/[a-zA-Z0-9_-]+\/trees\/[a-zA-Z0-9_-]+\/(hide|unhide|restore)$/) && request.method === 'POST') {
+          const [, , landId, , treeId, action] = apiPath.split('/');
+
+          const currentUser = await getCurrentUser(request, env);
+          if (!currentUser) {
+            return errorResponse('Login required', 401);
+          }
+          const landStub = getLandStub(env, landId);
+          if (!isLandOwner(await landStub.getMeta(landId), currentUser)) {
+            return errorResponse('Forbidden', 403);
+          }
+
+          const changes = {
+            hide: { hidden: true },
+            unhide: { hidden: false },
+            restore: { deletedAt: null }
+          }[action];
+
+          const tree = await landStub.updateTree(landId, treeId, changes);
+          if (!tree) {
+            return errorResponse('Tree not found', 404);
+          }
+
+          return jsonResponse({ success: true, tree: projectTree(landId, tree, true) });
+        }
+
+        // 답장 남기기/지우기 (토지 소유자, 심은 사람만 볼 수 있음)
+        if (apiPath.match(/^\/land\/[a-zA-Z0-9_-]+\/trees\/[a-zA-Z0-9_-]+\/reply$/) && (request.method === 'PUT' || request.method === 'DELETE')) {
+          const [, , landId, , treeId] = apiPath.split('/');
+
+          const currentUser = await getCurrentUser(request, env);
+          if (!currentUser) {
+            return errorResponse('Login required', 401);
+          }
+          const landStub = getLandStub(env, landId);
+          if (!isLandOwner(await landStub.getMeta(landId), currentUser)) {
+            return errorResponse('Forbidden', 403);
+          }
+
+          let reply = null;
+          if (request.method === 'PUT') {
+            const { body, error } = await readBody(request, BODY_SCHEMAS.reply);
+            if (error) {
+              return fieldErrorResponse(error);
+            }
+            reply = { message: body.message, repliedAt: new Date().toISOString() };
+          }
+
+          const result = await landStub.replyToTree(landId, treeId, reply);
+          if (result.error) {
+            return errorResponse(result.error, result.status);
+          }
+
+          // 심은 사람의 답장 목록 갱신 (손님이나 탈퇴한 사람의 나무는 팻말에서만 볼 수 있음)
+          if (result.tree.planterId) {
+            const indexKey = getReplyIndexKey(result.tree.planterId, landId, treeId);
+            if (reply) {
+              await env.LANDS.put(indexKey, JSON.stringify({
+                landId: landId,
+                treeId: treeId,
+                ownerName: currentUser.nickname || currentUser.name,
+                message: reply.message,
+                repliedAt: reply.repliedAt
+              }));
+
+              // 처음 답장했을 때만 심은 사람에게 알림 (수정할 때마다 알리지 않음)
+              if (!result.previous.reply) {
+                ctx.waitUntil(createNotification(env, result.tree.planterId, {
+                  type: 'reply',
+                  landId: landId,
+                  treeId: treeId,
+                  actorName: currentUser.nickname || currentUser.name
+                }));
+              }
+            } else {
+              await env.LANDS.delete(indexKey);
+            }
+          }
+
+          return jsonResponse({ success: true, reply });
+        }
+
+        // 물 주기 (로그인한 방문자, 하루 한 번)
+        if (apiPath.match(/^\/land\/[a-zA-Z0-9_-]+\/trees\/[a-zA-Z0-9_-]+\/water$/) && request.method === 'POST') {
+          const [, , landId, , treeId] = apiPath.split('/');
+
+          const currentUser = await getCurrentUser(request, env);
+          if (!currentUser) {
+            return errorResponse('Login required', 401);
+          }
+
+          const landStub = getLandStub(env, landId);
+          const meta = await landStub.getMeta(landId);
+          const denied = checkLandAccess(meta, currentUser, getShareKey(request, url));
+          if (denied) {
+            return errorResponse(denied.error, denied.status);
+          }
+
+          const result = await landStub.waterTree(landId, treeId, currentUser.id, isLandOwner(meta, currentUser));
+          if (result.error) {
+            return errorResponse(result.error, result.status);
+          }
+
+          return jsonResponse({
+            success: true,
+            vitality: getVitality(result.tree),
+            wateredByMe: true
+          });
+        }
+
+        // 팻말 열어봄 표시 (토지 소유자)
+        if (apiPath.match(/^\/land\/[a-zA-Z0-9_-]+\/trees\/[a-zA-Z0-9_-]+\/open$/) && request.method === 'POST') {
+          const [, , landId, , treeId] = apiPath.split('/');
+
+          const currentUser = await getCurrentUser(request, env);
+          if (!currentUser) {
+            return errorResponse('Login required', 401);
+          }
+          const landStub = getLandStub(env, landId);
+          if (!isLandOwner(await landStub.getMeta(landId), currentUser)) {
+            return errorResponse('Forbidden', 403);
+          }
+
+          const tree = await landStub.openTree(landId, treeId);
+          if (!tree) {
+            return errorResponse('Tree not found', 404);
+          }
+
+          return jsonResponse({ success: true, openedAt: tree.openedAt || null });
+        }
+
+        // 토지 공개 범위 가져오기/바꾸기 (토지 소유자)
+        if (apiPath.match(/^\/land\/[a-zA-Z0-9_-]+\/privacy$/) && (request.method === 'GET' || request.method === 'PUT')) {
+          const landId = apiPath.split('/')[2];
+
+          const currentUser = await getCurrentUser(request, env);
+          if (!currentUser) {
+            return errorResponse('Login required', 401);
+          }
+          const landStub = getLandStub(env, landId);
+          if (!isLandOwner(await landStub.getMeta(landId), currentUser)) {
+            return errorResponse('Forbidden', 403);
+          }
+
+          const current = getLandPrivacy(await landStub.getMeta(landId));
+
+          if (request.method === 'GET') {
+            return jsonResponse({ privacy: current });
+          }
+
+          const { body, error } = await readBody(request, BODY_SCHEMAS.privacy);
+          if (error) {
+            return fieldErrorResponse(error);
+          }
+          const { mode, allowlist, regenerateToken } = body;
+
+          // 허락한 사용자 이메일 (검사에서 소문자로 맞춤, 중복 제거)
+          let emails = current.allowlist || [];
+          if (allowlist) {
+            emails = [...new Set(allowlist)];
+          }
+
+          // 공유 링크 토큰은 처음 필요할 때 만들고, 요청하면 새로 만들어 예전 링크를 막음
+          let shareToken = current.shareToken || null;
+          if ((mode === 'unlisted' && !shareToken) || regenerateToken) {
+            shareToken = generateSessionId().slice(0, 32);
+          }
+
+          const meta = await landStub.updateMeta(landId, { privacy: { mode, allowlist: emails, shareToken } });
+          if (!meta) {
+            return errorResponse('Land not found', 404);
+          }
+
+          return jsonResponse({ success: true, privacy: meta.privacy });
+        }
+
+        // 토지 이름/색상 바꾸기 (토지 소유자)
+        if (apiPath.match(/^\/land\/[a-zA-Z0-9_-]+$/) && request.method === 'PUT') {
+          const landId = apiPath.split('/')[2];
+
+          const currentUser = await getCurrentUser(request, env);
+          if (!currentUser) {
+            return errorResponse('Login required', 401);
+          }
+          const landStub = getLandStub(env, landId);
+          if (!isLandOwner(await landStub.getMeta(landId), currentUser)) {
+            return errorResponse('Forbidden', 403);
+          }
+
+          const { body, error } = await readBody(request, BODY_SCHEMAS.landSettings);
+          if (error) {
+            return fieldErrorResponse(error);
+          }
+          const { name, theme } = body;
+          const changes = {};
+
+          if (name !== undefined) {
+            changes.name = name || null;
+          }
+          if (theme) {
+            changes.theme = theme;
+          }
+
+          const meta = await landStub.updateMeta(landId, changes);
+          await putOwnedLandIndex(env, meta);
+
+          return jsonResponse({ success: true, land: { id: landId, name: meta.name || null, theme: meta.theme || null } });
+        }
+
+        // 토지 보관/보관 해제 (토지 소유자, 보관한 토지는 새 나무를 받지 않음)
+        if (apiPath.match(/^\/land\/[a-zA-Z0-9_-]+\/(archive|unarchive)$/) && request.method === 'POST') {
+          const [, , landId, action] = apiPath.split('/');
+
+          const currentUser = await getCurrentUser(request, env);
+          if (!currentUser) {
+            return errorResponse('Login required', 401);
+          }
+          const landStub = getLandStub(env, landId);
+          const current = await landStub.getMeta(landId);
+          if (!isLandOwner(current, currentUser)) {
+            return errorResponse('Forbidden', 403);
+          }
+          if (landId === current.ownerId) {
+            return errorResponse('Cannot archive default land', 400);
+          }
+
+          const meta = await landStub.updateMeta(landId, {
+            archivedAt: action === 'archive' ? new Date().toISOString() : null
+          });
+          await putOwnedLandIndex(env, meta);
+
+          return jsonResponse({ success: true, archivedAt: meta.archivedAt });
+        }
+
+        // 손님 초대 코드 목록 (토지 주인)
+        if (apiPath.match(/^\/land\/[a-zA-Z0-9_-]+\/guest-codes$/) && request.method === 'GET') {
+          const landId = apiPath.split('/')[2];
+
+          const currentUser = await getCurrentUser(request, env);
+          if (!currentUser) {
+            return errorResponse('Login required', 401);
+          }
+          const meta = await getLandStub(env, landId).getMeta(landId);
+          if (!isLandOwner(meta, currentUser)) {
+            return errorResponse('Forbidden', 403);
+          }
+
+          return jsonResponse({ guestCodes: meta.guestCodes || [] });
+        }
+
+        // 손님 초대 코드 만들기 (토지 주인, maxUses번까지 쓸 수 있음)
+        if (apiPath.match(/^\/land\/[a-zA-Z0-9_-]+\/guest-codes$/) && request.method === 'POST') {
+          const landId = apiPath.split('/')[2];
+
+          const currentUser = await getCurrentUser(request, env);
+          if (!currentUser) {
+            return errorResponse('Login required', 401);
+          }
+          const landStub = getLandStub(env, landId);
+          if (!isLandOwner(await landStub.getMeta(landId), currentUser)) {
+            return errorResponse('Forbidden', 403);
+          }
+
+          const { body, error } = await readBody(request, BODY_SCHEMAS.guestCode);
+          if (error) {
+            return fieldErrorResponse(error);
+          }
+          const maxUses = body.maxUses === undefined ? 1 : body.maxUses;
+
+          const result = await landStub.createGuestCode(landId, currentUser.id, maxUses);
+          if (result.error) {
+            return errorResponse(result.error, result.status);
+          }
+
+          return jsonResponse({ success: true, guestCode: result.guestCode });
+        }
+
+        // 손님 초대 코드 취소 (토지 주인, ?removeTrees=1이면 그 코드로 심은 나무도 휴지통으로)
+        if (apiPath.match(/^\/land\/[a-zA-Z0-9_-]+\/guest-codes\/[a-zA-Z0-9_-]+$/) && request.method === 'DELETE') {
+          const [, , landId, , code] = apiPath.split('/');
+
+          const currentUser = await getCurrentUser(request, env);
+          if (!currentUser) {
+            return errorResponse('Login required', 401);
+          }
+          const landStub = getLandStub(env, landId);
+          if (!isLandOwner(await landStub.getMeta(landId), currentUser)) {
+            return errorResponse('Forbidden', 403);
+          }
+
+          const result = await landStub.revokeGuestCode(landId, code, url.searchParams.get('removeTrees') === '1');
+          if (result.error) {
+            return errorResponse(result.error, result.status);
+          }
+
+          return jsonResponse({ success: true, removed: result.removed });
+        }
+
+        // 공동 주인 목록 (토지 주인, 초대 링크는 만든 사람에게만)
+        if (apiPath.match(/^\/land\/[a-zA-Z0-9_-]+\/co-owners$/) && request.method === 'GET') {
+          const landId = apiPath.split('/')[2];
+
+          const currentUser = await getCurrentUser(request, env);
+          if (!currentUser) {
+            return errorResponse('Login required', 401);
+          }
+          const meta = await getLandStub(env, landId).getMeta(landId);
+          const role = getLandRole(meta, currentUser);
+          if (!role) {
+            return errorResponse('Forbidden', 403);
+          }
+
+          const users = [];
+          for (const userId of getLandOwnerIds(meta)) {
+            const user = await env.USERS.get('user:' + userId, { type: 'json' });
+            const coOwner = (meta.coOwners || []).find(c => c.userId === userId);
+            users.push({
+              id: userId,
+              nickname: user ? user.nickname || user.name : DELETED_PLANTER_NAME,
+              profileImage: user ? user.profileImage : null,
+              role: userId === meta.ownerId ? 'owner' : 'co-owner',
+              addedAt: coOwner ? coOwner.addedAt : meta.createdAt
+            });
+          }
+
+          const now = Date.now();
+          return jsonResponse({
+            role: role,
+            owners: users,
+            invites: role === 'owner'
+              ? (meta.invites || []).filter(invite => Date.parse(invite.expiresAt) > now)
+              : undefined
+          });
+        }
+
+        // 공동 주인 초대 링크 만들기 (만든 사람만)
+        if (apiPath.match(/^\/land\/[a-zA-Z0-9_-]+\/invites$/) && request.method === 'POST') {
+          const landId = apiPath.split('/')[2];
+
+          const currentUser = await getCurrentUser(request, env);
+          if (!currentUser) {
+            return errorResponse('Login required', 401);
+          }
+          const landStub = getLandStub(env, landId);
+          if (getLandRole(await landStub.getMeta(landId), currentUser) !== 'owner') {
+            return errorResponse('Forbidden', 403);
+          }
+
+          const result = await landStub.createInvite(landId, currentUser.id);
+          if (result.error) {
+            return errorResponse(result.error, result.status);
+          }
+
+          return jsonResponse({ success: true, invite: result.invite });
+        }
+
+        // 초대 수락 (초대 링크를 받은 사람, 공개 범위와 상관없이 수락할 수 있음)
+        if (apiPath.match(/^\/land\/[a-zA-Z0-9_-]+\/invites\/accept$/) && request.method === 'POST') {
+          const landId = apiPath.split('/')[2];
+
+          const currentUser = await getCurrentUser(request, env);
+          if (!currentUser) {
+            return errorResponse('Login required', 401);
+          }
+
+          const { body, error } = await readBody(request, BODY_SCHEMAS.acceptInvite);
+          if (error) {
+            return fieldErrorResponse(error);
+          }
+
+          const result = await getLandStub(env, landId).acceptInvite(landId, body.token, currentUser.id);
+          if (result.error) {
+            return errorResponse(result.error, result.status);
+          }
+          await putOwnedLandIndex(env, result.meta);
+
+          // 토지를 만든 사람에게 알림
+          ctx.waitUntil(createNotification(env, result.meta.ownerId, {
+            type: 'joined',
+            landId: landId,
+            actorName: currentUser.nickname || currentUser.name
+          }));
+
+          return jsonResponse({ success: true, role: 'co-owner' });
+        }
+
+        // 초대 링크 취소 (만든 사람만)
+        if (apiPath.match(/^\/land\/[a-zA-Z0-9_-]+\/invites\/[a-zA-Z0-9_-]+$/) && request.method === 'DELETE') {
+          const [, , landId, , token] = apiPath.split('/');
+
+          const currentUser = await getCurrentUser(request, env);
+          if (!currentUser) {
+            return errorResponse('Login required', 401);
+          }
+          const landStub = getLandStub(env, landId);
+          if (getLandRole(await landStub.getMeta(landId), currentUser) !== 'owner') {
+            return errorResponse('Forbidden', 403);
+          }
+
+          const result = await landStub.revokeInvite(landId, token);
+          if (result.error) {
+            return errorResponse(result.error, result.status);
+          }
+
+          return jsonResponse({ success: true });
+        }
+
+        // 공동 주인 내보내기 (만든 사람) 또는 스스로 나가기 (공동 주인)
+        if (apiPath.match(/^\/land\/[a-zA-Z0-9_-]+\/co-owners\/[a-zA-Z0-9_-]+$/) && request.method === 'DELETE') {
+          const [, , landId, , userId] = apiPath.split('/');
+
+          const currentUser = await getCurrentUser(request, env);
+          if (!currentUser) {
+            return errorResponse('Login required', 401);
+          }
+          const landStub = getLandStub(env, landId);
+          const role = getLandRole(await landStub.getMeta(landId), currentUser);
+          if (role !== 'owner' && !(role === 'co-owner' && userId === currentUser.id)) {
+            return errorResponse('Forbidden', 403);
+          }
+
+          const result = await landStub.removeCoOwner(landId, userId);
+          if (result.error) {
+            return errorResponse(result.error, result.status);
+          }
+          await env.LANDS.delete(getOwnedLandKey(userId, landId));
+          await putOwnedLandIndex(env, result.meta);
+
+          return jsonResponse({ success: true });
+        }
+
+        // 내 토지 목록
+        if (apiPath === '/lands' && request.method === 'GET') {
+          const currentUser = await getCurrentUser(request, env);
+          if (!currentUser) {
+            return errorResponse('Login required', 401);
+          }
+
+          return jsonResponse({ lands: await getOwnedLands(env, currentUser) });
+        }
+
+        // 새 토지 만들기
+        if (apiPath === '/lands' && request.method === 'POST') {
+          const currentUser = await getCurrentUser(request, env);
+          if (!currentUser) {
+            return errorResponse('Login required', 401);
+          }
+
+          const { body, error } = await readBody(request, BODY_SCHEMAS.newLand);
+          if (error) {
+            return fieldErrorResponse(error);
+          }
+          const { name } = body;
+
+          const lands = await getOwnedLands(env, currentUser);
+          if (lands.filter(land => land.role === 'owner' && !land.archivedAt).length >= MAX_LANDS_PER_USER) {
+            return errorResponse('Too many lands', 400);
+          }
+
+          const landId = generateLandId();
+          const meta = await getLandStub(env, landId).createLand(landId, currentUser.id, name);
+          await putOwnedLandIndex(env, meta);
+
+          return jsonResponse({ success: true, land: { id: landId, name: meta.name, isDefault: false, role: 'owner', createdAt: meta.createdAt, archivedAt: null } });
+        }
+
+        // 휴지통 (토지 소유자)
+        if (apiPath.match(/^\/land\/[a-zA-Z0-9_-]+\/trash$/) && request.method === 'GET') {
+          const landId = apiPath.split('/')[2];
+
+          const currentUser = await getCurrentUser(request, env);
+          if (!currentUser) {
+            return errorResponse('Login required', 401);
+          }
+          const landStub = getLandStub(env, landId);
+          if (!isLandOwner(await landStub.getMeta(landId), currentUser)) {
+            return errorResponse('Forbidden', 403);
+          }
+
+          const land = await landStub.getLand(landId);
+          const trees = (land ? land.trees : [])
+            .filter(tree => tree.deletedAt)
+            .map(tree => ({
+              ...projectTree(landId, tree, true),
+              purgeAt: new Date(new Date(tree.deletedAt).getTime() + TRASH_RETENTION_MS).toISOString()
+            }));
+
+          return jsonResponse({ trees });
+        }
+
+        // 내가 심은 나무 목록 (최신순)
+        if (apiPath === '/me/planted' && request.method === 'GET') {
+          const currentUser = await getCurrentUser(request, env);
+          if (!currentUser) {
+            return errorResponse('Login required', 401);
+          }
+
+          const limit = Math.min(50, Math.max(1, parseInt(url.searchParams.get('limit'), 10) || 20));
+          const list = await env.LANDS.list({
+            prefix: `planted:${currentUser.id}:`,
+            cursor: url.searchParams.get('cursor') || undefined,
+            limit: limit
+          });
+
+          const entries = (await Promise.all(
+            list.keys.map(key => env.LANDS.get(key.name, { type: 'json' }))
+          )).filter(Boolean);
+
+          // 토지 이름과 주인 정보 (같은 토지는 한 번만 조회)
+          const landIds = [...new Set(entries.map(entry => entry.landId))];
+          const lands = {};
+          await Promise.all(landIds.map(async landId => {
+            const meta = await getLandStub(env, landId).getMeta(landId);
+            const owner = meta && await env.USERS.get('user:' + meta.ownerId, { type: 'json' });
+            lands[landId] = {
+              ownerName: owner ? (owner.nickname || owner.name) : null,
+              landName: meta ? meta.name || null : null
+            };
+          }));
 
-// 세션 ID 생성
-function generateSessionId() {
-  const array = new Uint8Array(32);
-  crypto.getRandomValues(array);
-  return Array.from(array, b => b.toString(16).padStart(2, '0')).join('');
-}
+          return jsonResponse({
+            trees: entries.map(entry => ({
+              ...entry,
+              ...lands[entry.landId]
+            })),
+            cursor: list.list_complete ? null : list.cursor
+          });
+        }
 
-// 나무 ID 생성
-function generateTreeId() {
-  return 'tree_' + Date.now() + '_' + Math.random().toString(36).substr(2, 9);
-}
+        // 내가 받은 답장 목록
+        if (apiPath === '/me/replies' && request.method === 'GET') {
+          const currentUser = await getCurrentUser(request, env);
+          if (!currentUser) {
+            return errorResponse('Login required', 401);
+          }
 
-// JSON 응답
-function jsonResponse(data, status = 200, headers = {}) {
-  return new Response(JSON.stringify(data), {
-    status,
-    headers: {
-      'Content-Type': 'application/json',
-      ...headers
-    }
-  });
-}
+          const list = await env.LANDS.list({
+            prefix: `reply:${currentUser.id}:`,
+            cursor: url.searchParams.get('cursor') || undefined,
+            limit: 50
+          });
 
-// 에러 응답
-function errorResponse(message, status = 400) {
-  return jsonResponse({ error: message }, status);
-}
+          const replies = (await Promise.all(
+            list.keys.map(key => env.LANDS.get(key.name, { type: 'json' }))
+          )).filter(Boolean);
+          replies.sort((a, b) => b.repliedAt.localeCompare(a.repliedAt));
 
-// 현재 사용자 가져오기
-async function getCurrentUser(request, env) {
-  const cookies = parseCookies(request.headers.get('Cookie'));
-  const sessionId = cookies.session;
-  
-  if (!sessionId) return null;
-  
-  const session = await env.SESSIONS.get(sessionId, { type: 'json' });
-  if (!session) return null;
-  
-  const user = await env.USERS.get('user:' + session.userId, { type: 'json' });
-  return user;
-}
+          return jsonResponse({
+            replies,
+            cursor: list.list_complete ? null : list.cursor
+          });
+        }
 
-export default {
-  async fetch(request, env, ctx) {
-    const url = new URL(request.url);
-    const path = url.pathname;
-    
-    // CORS 헤더
-    const corsHeaders = {
-      'Access-Control-Allow-Origin': '*',
-      'Access-Control-Allow-Methods': 'GET, POST, PUT, DELETE, OPTIONS',
-      'Access-Control-Allow-Headers': 'Content-Type'
-    };
-    
-    // OPTIONS 요청 처리
-    if (request.method === 'OPTIONS') {
-      return new Response(null, { headers: corsHeaders });
-    }
-    
-    // API 라우팅
-    if (path.startsWith('/api/')) {
-      const apiPath = path.slice(4); // '/api' 제거
-      
-      try {
-        // Google OAuth 시작
-        if (apiPath === '/auth/google' && request.method === 'GET') {
-          const redirectUri = url.origin + '/api/auth/callback';
-          const state = generateSessionId();
-          
-          // state 저장 (CSRF 방지)
-          await env.SESSIONS.put('oauth_state:' + state, 'pending', { expirationTtl: 600 });
-          
-          const authUrl = 'https://accounts.google.com/o/oauth2/v2/auth?' + new URLSearchParams({
-            client_id: env.GOOGLE_CLIENT_ID,
-            redirect_uri: redirectUri,
-            response_type: 'code',
-            scope: 'openid email profile',
-            state: state,
-            access_type: 'offline',
-            prompt: 'consent'
+        // 알림 목록 (최신순) + 읽지 않은 알림 개수
+        if (apiPath === '/notifications' && request.method === 'GET') {
+          const currentUser = await getCurrentUser(request, env);
+          if (!currentUser) {
+            return errorResponse('Login required', 401);
+          }
+
+          const prefix = `notification:${currentUser.id}:`;
+          const [page, all] = await Promise.all([
+            env.USERS.list({
+              prefix: prefix,
+              cursor: url.searchParams.get('cursor') || undefined,
+              limit: 20
+            }),
+            getKvPrefixMetadata(env.USERS, prefix)
+          ]);
+
+          return jsonResponse({
+            notifications: page.keys.map(key => key.metadata).filter(Boolean),
+            unreadCount: all.filter(record => !record.readAt).length,
+            cursor: page.list_complete ? null : page.cursor,
+            pushPublicKey: env.VAPID_PUBLIC_KEY || null
           });
-          
-          return Response.redirect(authUrl, 302);
         }
-        
-        // Google OAuth 콜백
-        if (apiPath === '/auth/callback' && request.method === 'GET') {
-          const code = url.searchParams.get('code');
-          const state = url.searchParams.get('state');
-          const error = url.searchParams.get('error');
-          
+
+        // 알림 읽음 처리 (ids가 없으면 전부)
+        if (apiPath === '/notifications/read' && request.method === 'POST') {
+          const currentUser = await getCurrentUser(request, env);
+          if (!currentUser) {
+            return errorResponse('Login required', 401);
+          }
+
+          const { body, error } = await readBody(request, BODY_SCHEMAS.notificationsRead);
           if (error) {
-            return Response.redirect(url.origin + '/?error=auth_denied', 302);
+            return fieldErrorResponse(error);
           }
-          
-          if (!code || !state) {
-            return Response.redirect(url.origin + '/?error=invalid_request', 302);
+          const { ids } = body;
+
+          let records;
+          if (ids) {
+            records = (await Promise.all(ids.map(async id => {
+              const { metadata } = await env.USERS.getWithMetadata(getNotificationKey(currentUser.id, id));
+              return metadata;
+            }))).filter(Boolean);
+          } else {
+            records = await getKvPrefixMetadata(env.USERS, `notification:${currentUser.id}:`);
           }
-          
-          // state 확인
-          const storedState = await env.SESSIONS.get('oauth_state:' + state);
-          if (!storedState) {
-            return Response.redirect(url.origin + '/?error=invalid_state', 302);
+
+          await Promise.all(records.map(record => markNotificationRead(env, currentUser.id, record)));
+
+          return jsonResponse({ success: true });
+        }
+
+        // 웹 푸시 구독 등록/해제
+        if (apiPath === '/notifications/push' && (request.method === 'POST' || request.method === 'DELETE')) {
+          const currentUser = await getCurrentUser(request, env);
+          if (!currentUser) {
+            return errorResponse('Login required', 401);
           }
-          await env.SESSIONS.delete('oauth_state:' + state);
-          
-          // 토큰 교환
-          const tokenResponse = await fetch('https://oauth2.googleapis.com/token', {
-            method: 'POST',
-            headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
-            body: new URLSearchParams({
-              client_id: env.GOOGLE_CLIENT_ID,
-              client_secret: env.GOOGLE_CLIENT_SECRET,
-              redirect_uri: url.origin + '/api/auth/callback',
-              code: code,
-              grant_type: 'authorization_code'
-            })
-          });
-          
-          const tokens = await tokenResponse.json();
-          
-          if (tokens.error) {
-            console.error('Token error:', tokens);
-            return Response.redirect(url.origin + '/?error=token_error', 302);
+
+          const { body, error } = await readBody(request, BODY_SCHEMAS.pushSubscription);
+          if (error) {
+            return fieldErrorResponse(error);
           }
-          
-          // 사용자 정보 가져오기
-          const userInfoResponse = await fetch('https://www.googleapis.com/oauth2/v2/userinfo', {
-            headers: { Authorization: `Bearer ${tokens.access_token}` }
-          });
-          
-          const googleUser = await userInfoResponse.json();
-          
-          // 사용자 저장/업데이트
-          const userId = googleUser.id;
-          let user = await env.USERS.get('user:' + userId, { type: 'json' });
-          
-          if (!user) {
-            // 새 사용자
-            user = {
-              id: userId,
-              email: googleUser.email,
-              name: googleUser.name,
-              nickname: googleUser.name,
-              profileImage: googleUser.picture,
-              settings: {
-                skyColor: '#87CEEB',
-                landColor: '#8B4513'
-              },
-              createdAt: new Date().toISOString()
-            };
-            
-            // 토지 생성
-            await env.LANDS.put('land:' + userId, JSON.stringify({
-              ownerId: userId,
-              trees: [],
-              createdAt: new Date().toISOString()
-            }));
-          } else {
-            // 기존 사용자 - 구글 정보 업데이트 (프로필 이미지가 기본값이면)
-            if (user.profileImage === googleUser.picture || !user.profileImage) {
-              user.profileImage = googleUser.picture;
+          const { endpoint } = body;
+
+          const subscriptions = (await env.USERS.get('push:' + currentUser.id, { type: 'json' })) || [];
+          const others = subscriptions.filter(subscription => subscription.endpoint !== endpoint);
+
+          if (request.method === 'POST') {
+            if (!env.VAPID_PUBLIC_KEY) {
+              return errorResponse('Push not configured', 501);
             }
+            // 가장 오래된 구독부터 밀려남
+            others.push({ endpoint, createdAt: new Date().toISOString() });
           }
-          
-          await env.USERS.put('user:' + userId, JSON.stringify(user));
-          
-          // 세션 생성
-          const sessionId = generateSessionId();
-          await env.SESSIONS.put(sessionId, JSON.stringify({
-            userId: userId,
-            createdAt: new Date().toISOString()
-          }), { expirationTtl: 60 * 60 * 24 * 30 }); // 30일
-          
-          // 쿠키 설정하고 토지로 리다이렉트
-          const cookie = setCookie('session', sessionId, {
-            maxAge: 60 * 60 * 24 * 30,
-            path: '/',
-            httpOnly: true,
-            secure: true,
-            sameSite: 'Lax'
-          });
-          
-          return new Response(null, {
-            status: 302,
+
+          await env.USERS.put('push:' + currentUser.id, JSON.stringify(others.slice(-MAX_PUSH_SUBSCRIPTIONS)));
+
+          return jsonResponse({ success: true });
+        }
+
+        // 내 데이터 내보내기 (JSON, 이미지와 녹음은 data URL로 포함, 만들면서 스트림으로 보냄)
+        if (apiPath === '/me/export' && request.method === 'GET') {
+          const currentUser = await getCurrentUser(request, env);
+          if (!currentUser) {
+            return errorResponse('Login required', 401);
+          }
+
+          const notifications = await getKvPrefixMetadata(env.USERS, `notification:${currentUser.id}:`);
+
+          // 토지와 나무는 읽는 대로 보냄
+          const archive = {
+            exportedAt: new Date().toISOString(),
+            user: currentUser,
+            lands: exportOwnedLands(env, currentUser),
+            plantedTrees: exportPlantedTrees(env, currentUser),
+            notifications: notifications
+          };
+
+          const { readable, writable } = new TransformStream();
+          const writer = writable.getWriter();
+          const encoder = new TextEncoder();
+          ctx.waitUntil(writeJson(text => writer.write(encoder.encode(text)), archive)
+            .then(() => writer.close())
+            .catch(error => {
+              // 중간에 실패하면 잘린 파일이 정상 파일처럼 받아지지 않도록 스트림을 끊음
+              console.error('Export error:', error);
+              return writer.abort(error);
+            }));
+
+          return new Response(readable, {
             headers: {
-              'Location': url.origin + '/land/' + userId,
-              'Set-Cookie': cookie
+              'Content-Type': 'application/json',
+              'Content-Disposition': `attachment; filename="giftree-export-${getToday()}.json"`
             }
           });
         }
-        
-        // 현재 사용자 정보
-        if (apiPath === '/auth/me' && request.method === 'GET') {
-          const user = await getCurrentUser(request, env);
-          if (!user) {
-            return jsonResponse({ user: null });
+
+        // 탈퇴
+        // 정책: 내 정보, 내 토지들(받은 나무와 이미지 포함), 세션, 알림, 답장함은 모두 지움
+        // 다른 토지에 심은 나무는 토지 주인에게 준 선물이므로 지우지 않고,
+        // 심은 사람 정보만 지워 '탈퇴한 사용자'로 표시함
+        if (apiPath === '/me' && request.method === 'DELETE') {
+          const currentUser = await getCurrentUser(request, env);
+          if (!currentUser) {
+            return errorResponse('Login required', 401);
           }
-          return jsonResponse({ user });
-        }
-        
-        // 로그아웃
-        if (apiPath === '/auth/logout' && request.method === 'POST') {
-          const cookies = parseCookies(request.headers.get('Cookie'));
-          const sessionId = cookies.session;
-          
-          if (sessionId) {
-            await env.SESSIONS.delete(sessionId);
+          const userId = currentUser.id;
+
+          // 다른 토지에 심은 나무 익명화
+          for (const entry of await getKvPrefix(env.LANDS, `planted:${userId}:`)) {
+            await getLandStub(env, entry.landId).anonymizePlanter(entry.landId, entry.treeId, userId);
           }
-          
+          await deleteKvPrefix(env.LANDS, `planted:${userId}:`);
+          await deleteKvPrefix(env.LANDS, `reply:${userId}:`);
+
+          // 내 토지들 (공동 주인이 있으면 넘기고, 공동 주인으로 있던 토지에서는 나감)
+          for (const land of await findOwnedLands(env, currentUser)) {
+            const landStub = getLandStub(env, land.id);
+            if (land.role === 'co-owner') {
+              await landStub.removeCoOwner(land.id, userId);
+              continue;
+            }
+            const transferred = await landStub.transferOwnership(land.id);
+            if (transferred) {
+              await putOwnedLandIndex(env, transferred);
+            } else {
+              await landStub.deleteLand(land.id);
+            }
+          }
+          await deleteKvPrefix(env.LANDS, `owned:${userId}:`);
+
+          // 알림, 푸시 구독
+          await deleteKvPrefix(env.USERS, `notification:${userId}:`);
+          await env.USERS.delete('push:' + userId);
+
+          // 세션 (세션 목록이 생기기 전의 세션은 사용자 정보가 없으므로 더 이상 쓸 수 없음)
+          for (const { sessionId, session } of await getUserSessions(env, userId)) {
+            await deleteSession(env, sessionId, session);
+          }
+          const current = await getCurrentSession(request, env);
+          if (current) {
+            await deleteSession(env, current.sessionId, current.session);
+          }
+
+          // 토지 주소 (예전 주소 포함)
+          for (const slug of [currentUser.slug, ...(currentUser.oldSlugs || [])].filter(Boolean)) {
+            await env.LANDS.delete(getSlugKey(slug));
+            await getSlugStub(env, slug).release(userId);
+          }
+
+          // 연결된 로그인 (연결 기록이 생기기 전의 Google 사용자는 Google ID가 사용자 ID)
+          for (const identity of currentUser.identities || []) {
+            await env.USERS.delete(getIdentityKey(identity.provider, identity.id));
+          }
+          await env.USERS.delete(getIdentityKey('google', userId));
+
+          await env.USERS.delete('user:' + userId);
+
           const cookie = setCookie('session', '', {
             maxAge: 0,
             path: '/'
           });
-          
+
           return jsonResponse({ success: true }, 200, { 'Set-Cookie': cookie });
         }
-        
-        // 토지 정보 가져오기
-        if (apiPath.match(/^\/land\/[a-zA-Z0-9_-]+$/) && request.method === 'GET') {
-          const landId = apiPath.split('/')[2];
-          
-          // 토지 소유자 정보
-          const owner = await env.USERS.get('user:' + landId, { type: 'json' });
-          if (!owner) {
-            return errorResponse('Land not found', 404);
-          }
-          
-          // 토지 데이터
-          let land = await env.LANDS.get('land:' + landId, { type: 'json' });
-          if (!land) {
-            // 토지가 없으면 생성
-            land = {
-              ownerId: landId,
-              trees: [],
-              createdAt: new Date().toISOString()
-            };
-            await env.LANDS.put('land:' + landId, JSON.stringify(land));
-          }
-          
-          // 현재 사용자 확인 (토지 주인인지)
-          const currentUser = await getCurrentUser(request, env);
-          const isOwner = currentUser && currentUser.id === landId;
-          
-          // 나무 정보에서 메시지/이미지는 소유자만 볼 수 있음
-          const trees = land.trees.map(tree => {
-            if (isOwner) {
-              return tree;
-            } else {
-              return {
-                id: tree.id,
-                type: tree.type,
-                planterName: tree.planterName,
-                plantedAt: tree.plantedAt
-                // message와 imageUrl은 제외
-              };
-            }
-          });
-          
-          return jsonResponse({
-            owner: {
-              id: owner.id,
-              nickname: owner.nickname || owner.name,
-              profileImage: owner.profileImage,
-              settings: owner.settings
-            },
-            trees: trees,
-            isOwner: isOwner
-          });
-        }
-        
-        // 나무 심기
-        if (apiPath.match(/^\/land\/[a-zA-Z0-9_-]+\/plant$/) && request.method === 'POST') {
-          const landId = apiPath.split('/')[2];
-          
-          // 로그인 확인
+
+        // 토지 주소 정하기/바꾸기 (예전 주소는 새 주소로 이동하도록 남겨 둠)
+        if (apiPath === '/me/slug' && request.method === 'PUT') {
           const currentUser = await getCurrentUser(request, env);
           if (!currentUser) {
             return errorResponse('Login required', 401);
           }
-          
-          // 자신의 토지에는 심을 수 없음
-          if (currentUser.id === landId) {
-            return errorResponse('Cannot plant on your own land', 400);
+
+          const { body, error } = await readBody(request, BODY_SCHEMAS.slug);
+          if (error) {
+            return fieldErrorResponse(error);
           }
-          
-          // 토지 확인
-          let land = await env.LANDS.get('land:' + landId, { type: 'json' });
-          if (!land) {
-            return errorResponse('Land not found', 404);
+          const { slug } = body;
+
+          if (slug.includes('--') || RESERVED_SLUGS.includes(slug)) {
+            return fieldErrorResponse({ code: 'invalid_value', field: 'slug', message: 'Invalid slug' });
           }
-          
-          // 요청 데이터
-          const body = await request.json();
-          const { message, imageData, treeType } = body;
-          
-          if (!message && !imageData) {
-            return errorResponse('Message or image required', 400);
+          if (slug === currentUser.slug) {
+            return jsonResponse({ success: true, slug });
           }
-          
-          // 나무 타입 검증
-          const validTreeTypes = ['cherry', 'pine', 'maple', 'christmas'];
-          if (treeType && !validTreeTypes.includes(treeType)) {
-            return errorResponse('Invalid tree type', 400);
+
+          // 다른 사람이 쓰고 있거나 썼던 주소는 쓸 수 없음 (내 예전 주소는 다시 쓸 수 있음)
+          const claimed = await getSlugStub(env, slug).claim(slug, currentUser.id);
+          if (claimed.error) {
+            return fieldErrorResponse({ code: 'already_taken', field: 'slug', message: claimed.error }, claimed.status);
           }
-          
-          // 이미지 데이터 검증 (Base64는 ~33% 더 크므로 ~667KB 문자열 = ~500KB 바이너리)
-          if (imageData && imageData.length > 667 * 1024) {
-            return errorResponse('Image too large (max 500KB)', 400);
+
+          await env.LANDS.put(getSlugKey(slug), JSON.stringify({ landId: currentUser.id }));
+
+          const oldSlugs = (currentUser.oldSlugs || []).filter(oldSlug => oldSlug !== slug);
+          if (currentUser.slug) {
+            oldSlugs.push(currentUser.slug);
           }
-          
-          // 나무 생성
-          const tree = {
-            id: generateTreeId(),
-            type: treeType || 'pine',
-            planterId: currentUser.id,
-            planterName: currentUser.nickname || currentUser.name,
-            message: message || '',
-            imageUrl: imageData || null,
-            plantedAt: new Date().toISOString()
-          };
-          
-          // 토지에 나무 추가
-          land.trees.push(tree);
-          await env.LANDS.put('land:' + landId, JSON.stringify(land));
-          
-          return jsonResponse({ success: true, tree: { id: tree.id } });
+          currentUser.slug = slug;
+          currentUser.oldSlugs = oldSlugs;
+          await env.USERS.put('user:' + currentUser.id, JSON.stringify(currentUser));
+
+          return jsonResponse({ success: true, slug });
         }
-        
+
         // 사용자 설정 저장
         if (apiPath === '/user/settings' && request.method === 'POST') {
           const currentUser = await getCurrentUser(request, env);
@@ -361,29 +3758,32 @@ export default {
             return errorResponse('Login required', 401);
           }
           
-          const body = await request.json();
+          const { body, error } = await readBody(request, BODY_SCHEMAS.userSettings);
+          if (error) {
+            return fieldErrorResponse(error);
+          }
           const { nickname, profileImage, settings } = body;
           
-          // 닉네임 검증
           if (nickname !== undefined) {
-            if (typeof nickname !== 'string' || nickname.length > 20) {
-              return errorResponse('Invalid nickname', 400);
-            }
             currentUser.nickname = nickname;
           }
-          
-          // 프로필 이미지 검증 (최대 200KB)
-          if (profileImage !== undefined) {
-            if (profileImage && profileImage.length > 200 * 1024) {
-              return errorResponse('Profile image too large (max 200KB)', 400);
+          // 직접 올린 프로필 이미지는 형식을 확인하고 메타데이터를 지움 (로그인 제공자의 https 주소는 그대로)
+          if (profileImage && profileImage.startsWith('data:')) {
+            const image = readImageDataUrl(profileImage);
+            if (!image) {
+              return fieldErrorResponse({ code: 'invalid_format', field: 'profileImage', message: 'Invalid profile image (max 200KB)' });
             }
+            currentUser.profileImage = toDataUrl(image.contentType, image.bytes);
+          } else if (profileImage !== undefined) {
             currentUser.profileImage = profileImage;
           }
           
-          // 설정 업데이트
+          // 설정 업데이트 (예전에 검사 없이 저장된 값 중 규칙에 맞지 않는 것은 버림)
           if (settings) {
+            const stored = Object.fromEntries(Object.entries(currentUser.settings || {}).filter(([key, value]) =>
+              Object.hasOwn(USER_SETTINGS_FIELDS, key) && !checkField(USER_SETTINGS_FIELDS[key], value, key).error));
             currentUser.settings = {
-              ...currentUser.settings,
+              ...stored,
               ...settings
             };
           }
@@ -395,13 +3795,22 @@ export default {
         
         // API 경로를 찾을 수 없음
         return errorResponse('Not found', 404);
-        
-      } catch (error) {
-        console.error('API Error:', error);
-        return errorResponse('Internal server error: ' + error.message, 500);
       }
+
+      // 토지 페이지는 지금 주소로 이동 (구글 ID나 예전 주소로 들어온 경우)
+      const landPageMatch = path.match(/^\/land\/([a-zA-Z0-9_-]+)$/);
+      if (landPageMatch) {
+        const landId = await resolveLandId(env, landPageMatch[1]);
+        const owner = await env.USERS.get('user:' + landId, { type: 'json' });
+        if (owner && owner.slug && owner.slug !== landPageMatch[1]) {
+          return Response.redirect(url.origin + '/land/' + owner.slug + url.search, 302);
+        }
+      }
+    } catch (error) {
+      console.error('API Error:', error);
+      return errorResponse('Internal server error: ' + error.message, 500);
     }
-    
+
     // API가 아닌 요청은 정적 파일로 처리
     // run_worker_first = true 이므로 env.ASSETS.fetch()로 정적 파일 반환
     // not_found_handling = "single-page-application" 설정으로 SPA 라우팅 자동 처리
@@ -412,3 +3821,5 @@ export default {
     return new Response('Not found', { status: 404 });
   }
 };
+
+export default worker;
@@ -0,0 +1,55 @@
+import { describe, it, expect, beforeEach } from 'vitest';
+import { api, createUser, createSession } from './helpers.js';
+
+// WebM 머리 뒤에 size바이트를 붙인 녹음 (바이트마다 위치 값을 넣어 범위를 확인할 수 있게 함)
+function webm(size) {
+  const bytes = new Uint8Array(4 + size);
+  bytes.set([0x1a, 0x45, 0xdf, 0xa3]);
+  for (let i = 4; i < bytes.length; i++) bytes[i] = i % 256;
+  let binary = '';
+  for (let i = 0; i < bytes.length; i += 8192) {
+    binary += String.fromCharCode(...bytes.subarray(i, i + 8192));
+  }
+  return 'data:audio/webm;base64,' + btoa(binary);
+}
+
+describe('음성 메시지', () => {
+  let friend;
+  beforeEach(async () => {
+    await createUser('owner');
+    await createUser('friend');
+    friend = await createSession('friend');
+  });
+
+  it('앱이 보낸 길이와 상관없이 60초 분량보다 큰 녹음은 받지 않음', async () => {
+    const response = await api('/land/owner/plant', {
+      method: 'POST',
+      session: friend,
+      body: { message: '긴 녹음', audio: webm(400 * 1024), audioDuration: 5 }
+    });
+    expect(response.status).toBe(400);
+    expect((await response.json()).error.field).toBe('audio');
+  });
+
+  it('끝에서부터 요청한 범위는 파일 끝을 돌려줌', async () => {
+    const planted = await (await api('/land/owner/plant', {
+      method: 'POST',
+      session: friend,
+      body: { message: '짧은 녹음', audio: webm(60), audioDuration: 3 }
+    })).json();
+    const path = `/land/owner/trees/${planted.tree.id}/audio`;
+
+    const suffix = await api(path, { session: friend, headers: { Range: 'bytes=-10' } });
+    expect(suffix.status).toBe(206);
+    expect(suffix.headers.get('Content-Range')).toBe('bytes 54-63/64');
+    expect([...new Uint8Array(await suffix.arrayBuffer())]).toEqual([54, 55, 56, 57, 58, 59, 60, 61, 62, 63]);
+
+    const middle = await api(path, { session: friend, headers: { Range: 'bytes=10-14' } });
+    expect(middle.headers.get('Content-Range')).toBe('bytes 10-14/64');
+    expect([...new Uint8Array(await middle.arrayBuffer())]).toEqual([10, 11, 12, 13, 14]);
+
+    const open = await api(path, { session: friend, headers: { Range: 'bytes=60-' } });
+    expect(open.headers.get('Content-Range')).toBe('bytes 60-63/64');
+    expect([...new Uint8Array(await open.arrayBuffer())]).toEqual([60, 61, 62, 63]);
+  });
+});
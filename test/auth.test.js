@@ -0,0 +1,135 @@
+import { describe, it, expect, beforeEach } from 'vitest';
+import { env, createExecutionContext, waitOnExecutionContext } from 'cloudflare:test';
+import worker from '../src/worker.js';
+import { ORIGIN, api, getMockRequests, clearMockRequests } from './helpers.js';
+
+// 응답에서 새로 받은 세션 ID (없으면 null)
+function getSessionId(response) {
+  const match = (response.headers.get('Set-Cookie') || '').match(/session=([^;]+)/);
+  return match ? match[1] : null;
+}
+
+// 세션 쿠키로 지금 로그인한 사용자 확인
+async function getMe(sessionId) {
+  const data = await (await api('/auth/me', { headers: { Cookie: 'session=' + sessionId } })).json();
+  return data.user;
+}
+
+// 로그인 시작 → 가짜 OAuth 서버에서 code를 받아 콜백으로 돌아옴
+async function oauthLogin(providerId, callbackPath, code) {
+  const start = await api('/auth/' + providerId);
+  expect(start.status).toBe(302);
+  const authorizeUrl = new URL(start.headers.get('Location'));
+  expect(authorizeUrl.origin).toBe(env.MOCK_ORIGIN);
+  expect(authorizeUrl.searchParams.get('redirect_uri')).toBe(ORIGIN + '/api' + callbackPath);
+
+  return api(callbackPath + '?' + new URLSearchParams({ code, state: authorizeUrl.searchParams.get('state') }));
+}
+
+describe('OAuth 로그인', () => {
+  it('Google 로그인으로 사용자를 만들고 다시 로그인하면 같은 사용자', async () => {
+    const start = await api('/auth/google');
+    expect(new URL(start.headers.get('Location')).pathname).toBe('/google/o/oauth2/v2/auth');
+
+    const first = await oauthLogin('google', '/auth/callback', 'alice');
+    expect(first.status).toBe(302);
+    const user = await getMe(getSessionId(first));
+    expect(user.email).toBe('alice@gmail.example');
+    expect(first.headers.get('Location')).toBe(ORIGIN + '/land/' + user.id);
+
+    const second = await oauthLogin('google', '/auth/callback', 'alice');
+    expect((await getMe(getSessionId(second))).id).toBe(user.id);
+  });
+
+  it('카카오는 인증된 이메일만 씀', async () => {
+    const verified = await oauthLogin('kakao', '/auth/kakao/callback', 'k1');
+    expect((await getMe(getSessionId(verified))).email).toBe('k1@kakao.example');
+
+    const unverified = await oauthLogin('kakao', '/auth/kakao/callback', 'unverified2');
+    expect((await getMe(getSessionId(unverified))).email).toBeNull();
+  });
+
+  it('GitHub은 대표 이메일을 따로 가져옴', async () => {
+    const response = await oauthLogin('github', '/auth/github/callback', 'octo');
+    const user = await getMe(getSessionId(response));
+    expect(user.email).toBe('octo@github.example');
+    expect(user.nickname).toBe('octo');
+  });
+
+  it('state는 한 번만, 만든 제공자에서만 쓸 수 있음', async () => {
+    const start = await api('/auth/kakao');
+    const state = new URL(start.headers.get('Location')).searchParams.get('state');
+
+    const otherProvider = await api('/auth/callback?' + new URLSearchParams({ code: 'alice', state }));
+    expect(otherProvider.headers.get('Location')).toBe(ORIGIN + '/?error=invalid_state');
+
+    const used = await api('/auth/kakao/callback?' + new URLSearchParams({ code: 'k3', state }));
+    expect(getSessionId(used)).not.toBeNull();
+    const reused = await api('/auth/kakao/callback?' + new URLSearchParams({ code: 'k3', state }));
+    expect(reused.headers.get('Location')).toBe(ORIGIN + '/?error=invalid_state');
+  });
+
+  it('토큰 교환에 실패하면 로그인하지 않음', async () => {
+    const response = await oauthLogin('github', '/auth/github/callback', 'bad');
+    expect(response.headers.get('Location')).toBe(ORIGIN + '/?error=token_error');
+    expect(getSessionId(response)).toBeNull();
+  });
+});
+
+describe('이메일 로그인', () => {
+  beforeEach(clearMockRequests);
+
+  // 로그인 링크를 보내고 메일에 담긴 토큰을 꺼냄
+  async function requestLink(email) {
+    const response = await api('/auth/email', { method: 'POST', body: { email } });
+    expect(response.status).toBe(200);
+    const [sent] = await getMockRequests(request => request.path === '/email/emails');
+    expect(sent.headers.authorization).toBe('Bearer email-test');
+    const mail = JSON.parse(sent.body);
+    expect(mail.to).toBe(email);
+    const link = new URL(mail.text.match(/https?:\/\/\S+/)[0]);
+    expect(link.origin + link.pathname).toBe(ORIGIN + '/');
+    return link.searchParams.get('email_token');
+  }
+
+  it('링크를 열기만 해서는 토큰이 쓰이지 않고, 확인해야 로그인됨', async () => {
+    const token = await requestLink('mina@example.com');
+
+    // 메일 검사기처럼 링크를 미리 열어봄 (예전 콜백 주소도 확인 단계로만 보냄)
+    const scanned = await api('/auth/email/callback?token=' + token);
+    expect(scanned.status).toBe(302);
+    expect(scanned.headers.get('Location')).toBe(ORIGIN + '/?email_token=' + token);
+    expect(getSessionId(scanned)).toBeNull();
+
+    const confirmed = await api('/auth/email/callback', { method: 'POST', body: { token } });
+    expect(confirmed.status).toBe(200);
+    const data = await confirmed.json();
+    const user = await getMe(getSessionId(confirmed));
+    expect(user.email).toBe('mina@example.com');
+    expect(data.redirect).toBe(ORIGIN + '/land/' + user.id);
+
+    const reused = await api('/auth/email/callback', { method: 'POST', body: { token } });
+    expect(reused.status).toBe(404);
+  });
+
+  it('메일 API 키가 없으면 이메일 로그인을 끔', async () => {
+    const noKeyEnv = { ...env, EMAIL_API_KEY: undefined };
+    const call = async (path, init) => {
+      const ctx = createExecutionContext();
+      const response = await worker.fetch(new Request(ORIGIN + '/api' + path, init), noKeyEnv, ctx);
+      await waitOnExecutionContext(ctx);
+      return response;
+    };
+
+    const { providers } = await (await call('/auth/providers')).json();
+    expect(providers.map(provider => provider.id)).not.toContain('email');
+
+    const response = await call('/auth/email', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ email: 'mina@example.com' })
+    });
+    expect(response.status).toBe(404);
+    expect(await getMockRequests(request => request.path === '/email/emails', { wait: false })).toEqual([]);
+  });
+});
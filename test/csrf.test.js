@@ -0,0 +1,44 @@
+import { describe, it, expect, beforeEach } from 'vitest';
+import { ORIGIN, api, createUser, createSession } from './helpers.js';
+
+// 설정 바꾸기 (상태를 바꾸는 요청)
+function updateSettings(session, headers = {}) {
+  return api('/user/settings', { method: 'POST', session, headers, body: { settings: { skyColor: '#000000' } } });
+}
+
+describe('CSRF', () => {
+  let session;
+  beforeEach(async () => {
+    await createUser('u1');
+    session = await createSession('u1');
+  });
+
+  it('허용하지 않은 사이트에서 온 요청은 거절', async () => {
+    const response = await updateSettings(session, { Origin: 'https://evil.example' });
+    expect(response.status).toBe(403);
+    expect(await response.json()).toEqual({ error: { code: 'forbidden', message: 'Origin not allowed' } });
+  });
+
+  it('CSRF 토큰이 없으면 거절', async () => {
+    const response = await api('/user/settings', {
+      method: 'POST',
+      headers: { Cookie: 'session=' + session.sessionId },
+      body: { settings: { skyColor: '#000000' } }
+    });
+    expect(response.status).toBe(403);
+    expect(await response.json()).toEqual({ error: { code: 'forbidden', message: 'Invalid CSRF token' } });
+  });
+
+  it('CSRF 토큰이 틀리면 거절', async () => {
+    const response = await updateSettings({ ...session, csrfToken: 'wrong' });
+    expect(response.status).toBe(403);
+    expect(await response.json()).toEqual({ error: { code: 'forbidden', message: 'Invalid CSRF token' } });
+  });
+
+  it('같은 사이트에서 맞는 토큰으로 보내면 받아줌', async () => {
+    const response = await updateSettings(session, { Origin: ORIGIN });
+    expect(response.status).toBe(200);
+    const { user } = await (await api('/auth/me', { session })).json();
+    expect(user.settings.skyColor).toBe('#000000');
+  });
+});
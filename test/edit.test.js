@@ -0,0 +1,46 @@
+import { describe, it, expect, beforeEach } from 'vitest';
+import { env } from 'cloudflare:test';
+import { api, createUser, createSession } from './helpers.js';
+
+const PNG = 'data:image/png;base64,iVBORw0KGgoAAAANSUhEUgAAAAEAAAABCAYAAAAfFcSJAAAADUlEQVR42mNkYPhfDwAChwGA60e6kgAAAABJRU5ErkJggg==';
+
+describe('나무 수정', () => {
+  let owner, friend, treeId;
+  beforeEach(async () => {
+    await createUser('owner');
+    await createUser('friend');
+    await createUser('stranger');
+    owner = await createSession('owner');
+    friend = await createSession('friend');
+    const planted = await (await api('/land/owner/plant', { method: 'POST', session: friend, body: { message: '처음 글' } })).json();
+    treeId = planted.tree.id;
+  });
+
+  // 이 나무 아래에 저장된 파일
+  async function listTreeFiles() {
+    return (await env.IMAGES.list({ prefix: `trees/owner/${treeId}` })).objects;
+  }
+
+  it('심은 사람이 아니면 파일을 저장하기 전에 거절', async () => {
+    const stranger = await createSession('stranger');
+    const response = await api(`/land/owner/trees/${treeId}`, { method: 'PUT', session: stranger, body: { images: [PNG] } });
+    expect(response.status).toBe(403);
+    expect(await listTreeFiles()).toEqual([]);
+  });
+
+  it('주인이 열어본 팻말은 파일을 저장하기 전에 거절', async () => {
+    await api(`/land/owner/trees/${treeId}/open`, { method: 'POST', session: owner });
+    const response = await api(`/land/owner/trees/${treeId}`, { method: 'PUT', session: friend, body: { images: [PNG] } });
+    expect(response.status).toBe(409);
+    expect(await listTreeFiles()).toEqual([]);
+  });
+
+  it('사진만 바꾸면 글은 그대로', async () => {
+    const response = await api(`/land/owner/trees/${treeId}`, { method: 'PUT', session: friend, body: { images: [PNG] } });
+    expect(response.status).toBe(200);
+    const { tree } = await response.json();
+    expect(tree.message).toBe('처음 글');
+    expect(tree.imageUrls).toHaveLength(1);
+    expect(await listTreeFiles()).toHaveLength(1);
+  });
+});
@@ -0,0 +1,70 @@
+import { describe, it, expect } from 'vitest';
+import { env } from 'cloudflare:test';
+import { api, createUser, createSession, createNotifications } from './helpers.js';
+
+// 1x1 PNG와 WebM 머리만 있는 짧은 녹음
+const PNG = 'data:image/png;base64,iVBORw0KGgoAAAANSUhEUgAAAAEAAAABCAYAAAAfFcSJAAAADUlEQVR42mNkYPhfDwAChwGA60e6kgAAAABJRU5ErkJggg==';
+const WEBM = 'data:audio/webm;base64,' + btoa(String.fromCharCode(0x1a, 0x45, 0xdf, 0xa3, ...new Array(60).fill(0)));
+
+describe('내 데이터 내보내기', () => {
+  it('받은 나무와 심은 나무를 첨부 파일과 함께 JSON으로 내려받음', async () => {
+    await createUser('owner');
+    await createUser('friend');
+    const owner = await createSession('owner');
+    const friend = await createSession('friend');
+
+    for (let i = 0; i < 3; i++) {
+      const response = await api('/land/friend/plant', { method: 'POST', session: owner, body: { message: '보낸 나무 ' + i, images: [PNG] } });
+      expect(response.status).toBe(200);
+    }
+    const received = await api('/land/owner/plant', { method: 'POST', session: friend, body: { message: '받은 나무', images: [PNG], audio: WEBM, audioDuration: 3 } });
+    expect(received.status).toBe(200);
+
+    const response = await api('/me/export', { session: owner });
+    expect(response.status).toBe(200);
+    expect(response.headers.get('Content-Disposition')).toMatch(/^attachment; filename="giftree-export-/);
+
+    const archive = JSON.parse(await response.text());
+    expect(archive.user.id).toBe('owner');
+
+    const [land] = archive.lands;
+    expect(land.id).toBe('owner');
+    expect(land.trees).toHaveLength(1);
+    expect(land.trees[0].message).toBe('받은 나무');
+    expect(land.trees[0].images).toHaveLength(1);
+    expect(land.trees[0].images[0]).toMatch(/^data:image\/png;base64,/);
+    expect(land.trees[0].audio).toMatch(/^data:audio\/webm;base64,/);
+    expect(land.trees[0]).not.toHaveProperty('imageKeys');
+
+    expect(archive.plantedTrees.map(tree => tree.message).sort()).toEqual(['보낸 나무 0', '보낸 나무 1', '보낸 나무 2']);
+    expect(archive.plantedTrees.every(tree => tree.images.length === 1)).toBe(true);
+  });
+
+  it('로그인하지 않으면 내려받을 수 없음', async () => {
+    const response = await api('/me/export');
+    expect(response.status).toBe(401);
+  });
+
+  it('토지가 없는 사용자가 내보내거나 탈퇴해도 토지를 만들지 않음', async () => {
+    await env.USERS.put('user:nolands', JSON.stringify({ id: 'nolands', name: 'nolands', nickname: 'nolands', settings: {}, identities: [] }));
+    const session = await createSession('nolands');
+    const landStub = env.LAND_OBJECT.get(env.LAND_OBJECT.idFromName('nolands'));
+
+    const archive = JSON.parse(await (await api('/me/export', { session })).text());
+    expect(archive.lands).toEqual([]);
+    expect(await landStub.getMeta('nolands')).toBeNull();
+
+    expect((await api('/me', { method: 'DELETE', session })).status).toBe(200);
+    expect(await landStub.getMeta('nolands')).toBeNull();
+    expect((await env.LANDS.list({ prefix: 'owned:nolands:' })).keys).toEqual([]);
+  });
+
+  it('알림이 1000개가 넘어도 모두 내보냄', async () => {
+    await createUser('owner');
+    const session = await createSession('owner');
+    await createNotifications('owner', 1005);
+
+    const archive = JSON.parse(await (await api('/me/export', { session })).text());
+    expect(archive.notifications).toHaveLength(1005);
+  });
+});
@@ -0,0 +1,75 @@
+import { describe, it, expect, beforeEach } from 'vitest';
+import { env } from 'cloudflare:test';
+import { api, createUser, createSession } from './helpers.js';
+
+const PNG = 'data:image/png;base64,iVBORw0KGgoAAAANSUhEUgAAAAEAAAABCAYAAAAfFcSJAAAADUlEQVR42mNkYPhfDwAChwGA60e6kgAAAABJRU5ErkJggg==';
+
+// 손님 심기 (IP는 CF-Connecting-IP로 정함)
+function plantAsGuest(guestCode, ip = '203.0.113.7') {
+  return api('/land/owner/plant', {
+    method: 'POST',
+    headers: { 'CF-Connecting-IP': ip },
+    body: { message: '손님이에요', guestCode, guestName: '이모' }
+  });
+}
+
+describe('손님 초대 코드', () => {
+  let code;
+  beforeEach(async () => {
+    await createUser('owner');
+    const owner = await createSession('owner');
+    const created = await (await api('/land/owner/guest-codes', { method: 'POST', session: owner, body: { maxUses: 10 } })).json();
+    code = created.guestCode.code;
+  });
+
+  it('틀린 코드는 횟수 제한에 세지 않음', async () => {
+    for (let i = 0; i < 5; i++) {
+      expect((await plantAsGuest('WRONG234')).status).toBe(403);
+    }
+    expect((await plantAsGuest(code)).status).toBe(200);
+  });
+
+  it('같은 IP에서는 동시에 보내도 제한을 넘지 못함', async () => {
+    const responses = await Promise.all(Array.from({ length: 6 }, () => plantAsGuest(code)));
+    const statuses = responses.map(response => response.status).sort();
+    expect(statuses).toEqual([200, 200, 200, 429, 429, 429]);
+
+    // 다른 IP는 따로 셈
+    expect((await plantAsGuest(code, '198.51.100.1')).status).toBe(200);
+  });
+
+  it('제한에 걸린 요청은 코드를 쓰지 않음', async () => {
+    const owner = await createSession('owner');
+    const single = await (await api('/land/owner/guest-codes', { method: 'POST', session: owner, body: { maxUses: 4 } })).json();
+
+    for (let i = 0; i < 3; i++) {
+      expect((await plantAsGuest(single.guestCode.code)).status).toBe(200);
+    }
+    expect((await plantAsGuest(single.guestCode.code)).status).toBe(429);
+
+    const { guestCodes } = await (await api('/land/owner/guest-codes', { session: owner })).json();
+    expect(guestCodes.find(c => c.code === single.guestCode.code).uses).toBe(3);
+  });
+
+  it('틀린 코드로는 파일을 올리지 못하고, 코드를 다 쓰면 올린 파일을 지움', async () => {
+    const plantWithImage = (guestCode, ip) => api('/land/owner/plant', {
+      method: 'POST',
+      headers: { 'CF-Connecting-IP': ip },
+      body: { message: '사진이에요', images: [PNG], guestCode, guestName: '이모' }
+    });
+
+    expect((await plantWithImage('WRONG234', '203.0.113.7')).status).toBe(403);
+    expect((await env.IMAGES.list({ prefix: 'trees/owner/' })).objects).toEqual([]);
+
+    // 한 번만 쓸 수 있는 코드로 동시에 심으면 한 그루만 심고 나머지 파일은 남기지 않음
+    const owner = await createSession('owner');
+    const single = await (await api('/land/owner/guest-codes', { method: 'POST', session: owner, body: { maxUses: 1 } })).json();
+    const responses = await Promise.all(['198.51.100.1', '198.51.100.2', '198.51.100.3']
+      .map(ip => plantWithImage(single.guestCode.code, ip)));
+    expect(responses.map(response => response.status).sort()).toEqual([200, 403, 403]);
+
+    const planted = await Promise.all(responses.filter(response => response.ok).map(response => response.json()));
+    const { objects } = await env.IMAGES.list({ prefix: 'trees/owner/' });
+    expect(objects.map(object => object.key.split('/')[2])).toEqual([planted[0].tree.id]);
+  });
+});
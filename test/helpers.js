@@ -0,0 +1,82 @@
+import { env, SELF } from 'cloudflare:test';
+
+// 테스트 요청은 모두 이 주소로 보냄 (같은 사이트 Origin)
+export const ORIGIN = 'https://giftree.test';
+
+// 사용자 만들기 (기본 토지도 함께)
+export async function createUser(id, fields = {}) {
+  const user = {
+    id,
+    email: `${id}@example.com`,
+    name: id,
+    nickname: id,
+    profileImage: null,
+    settings: { skyColor: '#87CEEB', landColor: '#8B4513' },
+    identities: [],
+    createdAt: new Date().toISOString(),
+    ...fields
+  };
+  await env.USERS.put('user:' + id, JSON.stringify(user));
+  await env.LAND_OBJECT.get(env.LAND_OBJECT.idFromName(id)).createLand(id);
+  return user;
+}
+
+// 로그인 세션 만들기 ({ sessionId, csrfToken })
+export async function createSession(userId) {
+  const sessionId = crypto.randomUUID().replace(/-/g, '');
+  const csrfToken = crypto.randomUUID().replace(/-/g, '');
+  const now = new Date().toISOString();
+  await env.SESSIONS.put(sessionId, JSON.stringify({
+    id: sessionId.slice(0, 16),
+    userId,
+    createdAt: now,
+    lastSeenAt: now,
+    rotatedAt: now,
+    userAgent: 'vitest',
+    csrfToken
+  }));
+  await env.SESSIONS.put(`user_session:${userId}:${sessionId}`, '');
+  return { sessionId, csrfToken };
+}
+
+// API 요청 (session이 있으면 쿠키와 CSRF 토큰을 붙임)
+export function api(path, { method = 'GET', body, session, headers = {} } = {}) {
+  return SELF.fetch(ORIGIN + '/api' + path, {
+    method,
+    redirect: 'manual',
+    headers: {
+      ...(body !== undefined ? { 'Content-Type': 'application/json' } : {}),
+      ...(session ? { Cookie: 'session=' + session.sessionId, 'X-CSRF-Token': session.csrfToken } : {}),
+      ...headers
+    },
+    body: body !== undefined ? JSON.stringify(body) : undefined
+  });
+}
+
+// 가짜 서버가 받은 요청 (match에 맞는 요청이 올 때까지 잠깐 기다림, waitUntil로 보내는 요청용)
+export async function getMockRequests(match = () => true, { wait = true } = {}) {
+  for (let attempt = 0; attempt < 50; attempt++) {
+    const requests = (await (await fetch(env.MOCK_ORIGIN + '/__requests')).json()).filter(match);
+    if (requests.length > 0 || !wait) return requests;
+    await new Promise(resolve => setTimeout(resolve, 50));
+  }
+  return [];
+}
+
+// 가짜 서버가 받은 요청 비우기
+export async function clearMockRequests() {
+  await fetch(env.MOCK_ORIGIN + '/__requests', { method: 'DELETE' });
+}
+
+// 알림 여러 개 만들기 (KV 목록은 한 번에 1000개까지라 그보다 많을 때 확인용)
+export async function createNotifications(userId, count, { readAt = null } = {}) {
+  const createdAt = new Date().toISOString();
+  for (let start = 0; start < count; start += 100) {
+    await Promise.all(Array.from({ length: Math.min(100, count - start) }, (_, i) => {
+      const id = String(start + i).padStart(13, '0') + '_test';
+      return env.USERS.put(`notification:${userId}:${id}`, '', {
+        metadata: { id, type: 'planted', landId: userId, treeId: 'tree_' + id, actorName: 'friend', createdAt, readAt }
+      });
+    }));
+  }
+}
@@ -0,0 +1,65 @@
+import { describe, it, expect, beforeEach } from 'vitest';
+import { env } from 'cloudflare:test';
+import { api, createUser, createSession } from './helpers.js';
+
+const PNG = 'data:image/png;base64,iVBORw0KGgoAAAANSUhEUgAAAAEAAAABCAYAAAAfFcSJAAAADUlEQVR42mNkYPhfDwAChwGA60e6kgAAAABJRU5ErkJggg==';
+
+// 인라인 이미지가 있던 때의 나무
+function legacyTree(id, imageUrl) {
+  return { id, type: 'oak', message: id, planterId: 'friend', planterName: 'friend', plantedAt: '2024-01-01T00:00:00.000Z', imageUrl };
+}
+
+describe('예전 인라인 이미지 옮기기', () => {
+  let owner;
+  beforeEach(async () => {
+    // Durable Object로 옮기기 전의 KV 토지 기록
+    await env.LANDS.put('land:owner', JSON.stringify({
+      ownerId: 'owner',
+      createdAt: '2024-01-01T00:00:00.000Z',
+      trees: [
+        legacyTree('tree_1_png', PNG),
+        legacyTree('tree_2_unknown', 'data:image/svg+xml;base64,' + btoa('<svg xmlns="http://www.w3.org/2000/svg"/>')),
+        legacyTree('tree_3_broken', 'data:image/png;base64,@@@')
+      ]
+    }));
+    await createUser('owner');
+    owner = await createSession('owner');
+  });
+
+  async function getTree(treeId) {
+    const { trees } = await (await api('/land/owner', { session: owner })).json();
+    return trees.find(tree => tree.id === treeId);
+  }
+
+  it('검사를 통과한 이미지는 R2로 옮기고 예전 /image 주소로도 받음', async () => {
+    const tree = await getTree('tree_1_png');
+    expect(tree.imageUrl).toBeUndefined();
+    expect(tree.imageUrls).toEqual(['/api/land/owner/trees/tree_1_png/images/0']);
+
+    for (const path of ['/land/owner/trees/tree_1_png/images/0', '/land/owner/trees/tree_1_png/image']) {
+      const response = await api(path, { session: owner });
+      expect(response.status).toBe(200);
+      expect(response.headers.get('Content-Type')).toBe('image/png');
+      expect(new Uint8Array(await response.arrayBuffer()).slice(1, 4)).toEqual(new Uint8Array([0x50, 0x4e, 0x47]));
+    }
+  });
+
+  it('형식을 알 수 없는 이미지는 그대로 옮기되 문서로 열리지 않게 저장', async () => {
+    const tree = await getTree('tree_2_unknown');
+    expect(tree.imageUrls).toHaveLength(1);
+
+    const response = await api('/land/owner/trees/tree_2_unknown/image', { session: owner });
+    expect(response.status).toBe(200);
+    expect(response.headers.get('Content-Type')).toBe('application/octet-stream');
+    expect(await response.text()).toContain('<svg');
+  });
+
+  it('읽을 수 없는 이미지는 지우지 않고 그대로 두되 토지 응답에는 싣지 않음', async () => {
+    const tree = await getTree('tree_3_broken');
+    expect(tree.imageUrl).toBeUndefined();
+    expect(tree.imageUrls).toEqual([]);
+
+    const stored = await env.LAND_OBJECT.get(env.LAND_OBJECT.idFromName('owner')).getTree('owner', 'tree_3_broken');
+    expect(stored.imageUrl).toBe('data:image/png;base64,@@@');
+  });
+});
@@ -0,0 +1,94 @@
+import { createServer } from 'node:http';
+
+// 워커가 바깥으로 보내는 요청을 받는 로컬 가짜 서버 (vitest globalSetup에서 Node로 실행)
+// 받은 요청은 GET /__requests로 볼 수 있고 DELETE /__requests로 비움
+export const MOCK_PORT = 8799;
+export const MOCK_ORIGIN = `http://127.0.0.1:${MOCK_PORT}`;
+
+// 인가 코드를 그대로 담은 액세스 토큰을 줌 (코드가 bad면 거절)
+function tokenResponse(request) {
+  const code = new URLSearchParams(request.body).get('code');
+  if (code === 'bad') return { status: 400, json: { error: 'invalid_grant' } };
+  return { json: { access_token: 'token-' + code, token_type: 'bearer' } };
+}
+
+// 액세스 토큰에 담긴 인가 코드 (테스트에서는 코드가 곧 제공자의 사용자 ID)
+function getCode(request) {
+  return (request.headers.authorization || '').replace(/^Bearer token-/, '');
+}
+
+// 제공자별 응답 ('/<제공자>/<원래 경로>')
+const providers = {
+  google: {
+    '/token': tokenResponse,
+    '/oauth2/v2/userinfo': request => ({
+      json: { id: getCode(request), email: getCode(request) + '@gmail.example', name: 'Google ' + getCode(request), picture: 'https://example.com/g.png' }
+    })
+  },
+  kakao: {
+    '/oauth/token': tokenResponse,
+    '/v2/user/me': request => ({
+      json: {
+        id: Number(getCode(request).replace(/\D/g, '')) || 1,
+        kakao_account: {
+          // 코드에 unverified가 있으면 인증되지 않은 이메일
+          email: getCode(request) + '@kakao.example',
+          is_email_verified: !getCode(request).includes('unverified'),
+          profile: { nickname: '카카오 ' + getCode(request), profile_image_url: 'https://example.com/k.png' }
+        }
+      }
+    })
+  },
+  github: {
+    '/login/oauth/access_token': tokenResponse,
+    // 공개 이메일은 없어서 /user/emails를 따로 불러야 함
+    '/user': request => request.headers['user-agent']
+      ? { json: { id: getCode(request), login: getCode(request), name: null, email: null, avatar_url: 'https://example.com/gh.png' } }
+      : { status: 403, json: { message: 'User-Agent required' } },
+    '/user/emails': request => ({
+      json: [
+        { email: 'old-' + getCode(request) + '@github.example', primary: false, verified: true },
+        { email: getCode(request) + '@github.example', primary: true, verified: true }
+      ]
+    })
+  }
+};
+
+// 경로 앞부분별 응답 (처리할 수 없으면 404)
+const handlers = {
+  google: request => providers.google[request.path.slice('/google'.length)]?.(request),
+  kakao: request => providers.kakao[request.path.slice('/kakao'.length)]?.(request),
+  github: request => providers.github[request.path.slice('/github'.length)]?.(request),
+  // 메일 API (Resend 호환, 받은 메일은 /__requests로 확인)
+  email: () => ({ json: { id: 'email-1' } }),
+  // 웹 푸시 서비스 ('/push/<호스트>/<경로>', 경로에 gone이 있으면 만료된 구독)
+  push: request => request.path.includes('/gone') ? { status: 410 } : { status: 201 }
+};
+
+export default async function setup() {
+  const requests = [];
+
+  const server = createServer(async (req, res) => {
+    let body = '';
+    for await (const chunk of req) body += chunk;
+    const url = new URL(req.url, MOCK_ORIGIN);
+
+    if (url.pathname === '/__requests') {
+      if (req.method === 'DELETE') requests.length = 0;
+      res.writeHead(200, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify(requests));
+      return;
+    }
+
+    const request = { method: req.method, path: url.pathname, query: Object.fromEntries(url.searchParams), headers: req.headers, body };
+    requests.push(request);
+
+    const handler = handlers[url.pathname.split('/')[1]];
+    const { status = 200, json } = (handler && handler(request)) || { status: 404 };
+    res.writeHead(status, { 'Content-Type': 'application/json' });
+    res.end(json === undefined ? '' : JSON.stringify(json));
+  });
+
+  await new Promise(resolve => server.listen(MOCK_PORT, '127.0.0.1', resolve));
+  return () => new Promise(resolve => server.close(resolve));
+}
@@ -0,0 +1,28 @@
+import { describe, it, expect, beforeEach } from 'vitest';
+import { api, createUser, createSession, createNotifications } from './helpers.js';
+
+describe('알림', () => {
+  let session;
+  beforeEach(async () => {
+    await createUser('u1');
+    session = await createSession('u1');
+  });
+
+  it('알림이 1000개가 넘어도 읽지 않은 개수를 모두 셈', async () => {
+    await createNotifications('u1', 1005);
+
+    const data = await (await api('/notifications', { session })).json();
+    expect(data.notifications).toHaveLength(20);
+    expect(data.unreadCount).toBe(1005);
+  });
+
+  it('모두 읽음은 1000개가 넘는 알림도 모두 읽음으로 바꿈', async () => {
+    await createNotifications('u1', 1005);
+
+    const response = await api('/notifications/read', { method: 'POST', session, body: {} });
+    expect(response.status).toBe(200);
+
+    const data = await (await api('/notifications', { session })).json();
+    expect(data.unreadCount).toBe(0);
+  });
+});
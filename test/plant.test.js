@@ -0,0 +1,27 @@
+import { describe, it, expect } from 'vitest';
+import { api, createUser, createSession } from './helpers.js';
+
+describe('나무 심기', () => {
+  it('여러 사람이 동시에 심어도 나무가 사라지지 않음', async () => {
+    await createUser('owner');
+    const planters = [];
+    for (let i = 0; i < 20; i++) {
+      await createUser('planter' + i);
+      planters.push(await createSession('planter' + i));
+    }
+
+    const responses = await Promise.all(planters.map((session, i) => api('/land/owner/plant', {
+      method: 'POST',
+      session,
+      body: { message: '안녕 ' + i }
+    })));
+    for (const response of responses) {
+      expect(response.status).toBe(200);
+    }
+
+    const owner = await createSession('owner');
+    const land = await (await api('/land/owner', { session: owner })).json();
+    const messages = land.trees.map(tree => tree.message).sort();
+    expect(messages).toEqual(planters.map((_, i) => '안녕 ' + i).sort());
+  });
+});
@@ -0,0 +1,89 @@
+import { describe, it, expect, beforeEach } from 'vitest';
+import { env } from 'cloudflare:test';
+import { api, createUser, createSession, getMockRequests, clearMockRequests } from './helpers.js';
+
+const FCM_ENDPOINT = 'https://fcm.googleapis.com/fcm/send/abc123';
+
+function base64UrlDecode(text) {
+  return Uint8Array.from(atob(text.replace(/-/g, '+').replace(/_/g, '/')), char => char.charCodeAt(0));
+}
+
+// 토지 주인이 푸시를 구독하고 방문자가 나무를 심음
+async function plantOnOwnerLand() {
+  await createUser('visitor');
+  const visitor = await createSession('visitor');
+  const response = await api('/land/owner/plant', { method: 'POST', session: visitor, body: { message: '안녕' } });
+  expect(response.status).toBe(200);
+}
+
+describe('웹 푸시 구독', () => {
+  let owner;
+  beforeEach(async () => {
+    await clearMockRequests();
+    await createUser('owner');
+    owner = await createSession('owner');
+  });
+
+  it.each([
+    'https://evil.example/push',
+    'https://127.0.0.1/push',
+    'https://169.254.169.254/latest/meta-data',
+    'https://fcm.googleapis.com.evil.example/push',
+    'https://fcm.googleapis.com:8443/push',
+    'http://fcm.googleapis.com/push'
+  ])('푸시 서비스가 아닌 주소는 받지 않음: %s', async (endpoint) => {
+    const response = await api('/notifications/push', { method: 'POST', session: owner, body: { endpoint } });
+    expect(response.status).toBe(400);
+    expect(await env.USERS.get('push:owner')).toBeNull();
+  });
+
+  it('나무가 심어지면 구독한 푸시 서비스에 VAPID로 서명한 푸시를 보냄', async () => {
+    const response = await api('/notifications/push', { method: 'POST', session: owner, body: { endpoint: FCM_ENDPOINT } });
+    expect(response.status).toBe(200);
+
+    await plantOnOwnerLand();
+
+    const [push] = await getMockRequests(request => request.path === '/push/fcm.googleapis.com/fcm/send/abc123');
+    expect(push).toBeDefined();
+    expect(push.method).toBe('POST');
+    expect(push.headers.ttl).toBe('86400');
+
+    const [, jwt, publicKey] = /^vapid t=([^,]+), k=(.+)$/.exec(push.headers.authorization);
+    expect(publicKey).toBe(env.VAPID_PUBLIC_KEY);
+    const [header, claims, signature] = jwt.split('.');
+    expect(JSON.parse(new TextDecoder().decode(base64UrlDecode(claims))).aud).toBe('https://fcm.googleapis.com');
+
+    const key = await crypto.subtle.importKey('raw', base64UrlDecode(publicKey), { name: 'ECDSA', namedCurve: 'P-256' }, false, ['verify']);
+    const valid = await crypto.subtle.verify(
+      { name: 'ECDSA', hash: 'SHA-256' },
+      key,
+      base64UrlDecode(signature),
+      new TextEncoder().encode(header + '.' + claims)
+    );
+    expect(valid).toBe(true);
+  });
+
+  it('만료된 구독과 예전에 저장된 다른 주소는 지우고 요청을 보내지 않음', async () => {
+    await env.USERS.put('push:owner', JSON.stringify([
+      { endpoint: 'https://internal.example/admin', createdAt: new Date().toISOString() },
+      { endpoint: 'https://updates.push.services.mozilla.com/wpush/v2/gone', createdAt: new Date().toISOString() },
+      { endpoint: FCM_ENDPOINT, createdAt: new Date().toISOString() }
+    ]));
+
+    await plantOnOwnerLand();
+    await getMockRequests(request => request.path.startsWith('/push/fcm.googleapis.com/'));
+
+    const paths = (await getMockRequests()).map(request => request.path);
+    expect(paths).not.toContain('/push/internal.example/admin');
+    expect(paths).toContain('/push/updates.push.services.mozilla.com/wpush/v2/gone');
+
+    // 푸시는 응답 뒤에 보내므로 목록이 정리될 때까지 잠깐 기다림
+    let subscriptions;
+    for (let attempt = 0; attempt < 50; attempt++) {
+      subscriptions = JSON.parse(await env.USERS.get('push:owner'));
+      if (subscriptions.length === 1) break;
+      await new Promise(resolve => setTimeout(resolve, 50));
+    }
+    expect(subscriptions.map(s => s.endpoint)).toEqual([FCM_ENDPOINT]);
+  });
+});
@@ -0,0 +1,70 @@
+import { describe, it, expect } from 'vitest';
+import { env } from 'cloudflare:test';
+import { api, createUser, createSession } from './helpers.js';
+
+const HOUR = 60 * 60 * 1000;
+
+// 세션 기록을 바꿔 둠 (오래된 세션, 예전 세션 흉내)
+async function updateSession(sessionId, changes) {
+  const session = await env.SESSIONS.get(sessionId, { type: 'json' });
+  const updated = { ...session, ...changes };
+  for (const [key, value] of Object.entries(changes)) {
+    if (value === undefined) delete updated[key];
+  }
+  await env.SESSIONS.put(sessionId, JSON.stringify(updated));
+}
+
+// 응답에서 새로 받은 세션 ID (없으면 null)
+function getSessionId(response) {
+  const match = (response.headers.get('Set-Cookie') || '').match(/session=([^;]+)/);
+  return match ? match[1] : null;
+}
+
+describe('세션', () => {
+  it('로그인한 요청마다 사용 기록을 남김', async () => {
+    await createUser('u1');
+    const session = await createSession('u1');
+    const lastSeenAt = new Date(Date.now() - HOUR).toISOString();
+    await updateSession(session.sessionId, { lastSeenAt });
+
+    const response = await api('/me/identities', { session });
+    expect(response.status).toBe(200);
+    expect(getSessionId(response)).toBeNull();
+    const stored = await env.SESSIONS.get(session.sessionId, { type: 'json' });
+    expect(Date.parse(stored.lastSeenAt)).toBeGreaterThan(Date.parse(lastSeenAt));
+  });
+
+  it('하루가 지난 세션은 아무 API에서나 새 ID로 바꾸고 예전 ID는 잠깐 남김', async () => {
+    await createUser('u1');
+    await createUser('owner');
+    const session = await createSession('u1');
+    const old = new Date(Date.now() - 2 * 24 * HOUR).toISOString();
+    await updateSession(session.sessionId, { rotatedAt: old, lastSeenAt: old });
+
+    const response = await api('/land/owner/plant', { method: 'POST', session, body: { message: '안녕' } });
+    expect(response.status).toBe(200);
+    const newSessionId = getSessionId(response);
+    expect(newSessionId).toBeTruthy();
+    expect(newSessionId).not.toBe(session.sessionId);
+    expect((await env.SESSIONS.get(session.sessionId, { type: 'json' })).rotatedTo).toBe(newSessionId);
+
+    // 새 세션으로도 같은 CSRF 토큰을 씀
+    const next = await api('/me/identities', { session: { ...session, sessionId: newSessionId } });
+    expect(next.status).toBe(200);
+    expect(getSessionId(next)).toBeNull();
+  });
+
+  it('ID가 없는 예전 세션은 처음 쓸 때 ID를 받아 기기 목록에 나옴', async () => {
+    await createUser('u1');
+    const session = await createSession('u1');
+    await updateSession(session.sessionId, { id: undefined });
+    await env.SESSIONS.delete('user_session:u1:' + session.sessionId);
+
+    expect((await api('/me/identities', { session })).status).toBe(200);
+    const stored = await env.SESSIONS.get(session.sessionId, { type: 'json' });
+    expect(stored.id).toMatch(/^[a-f0-9]{16}$/);
+
+    const { sessions } = await (await api('/me/sessions', { session })).json();
+    expect(sessions).toEqual([expect.objectContaining({ id: stored.id, current: true })]);
+  });
+});
@@ -0,0 +1,49 @@
+import { describe, it, expect } from 'vitest';
+import { env, SELF } from 'cloudflare:test';
+import { api, createUser, createSession, ORIGIN } from './helpers.js';
+
+describe('토지 주소', () => {
+  it('같은 주소를 동시에 정하면 한 사람만 가져감', async () => {
+    const sessions = [];
+    for (let i = 0; i < 5; i++) {
+      await createUser('user' + i);
+      sessions.push(await createSession('user' + i));
+    }
+
+    const responses = await Promise.all(sessions.map(session => api('/me/slug', { method: 'PUT', session, body: { slug: 'minji' } })));
+    const statuses = responses.map(response => response.status).sort();
+    expect(statuses).toEqual([200, 409, 409, 409, 409]);
+
+    const winner = sessions[responses.findIndex(response => response.status === 200)];
+    const entry = await env.LANDS.get('slug:minji', { type: 'json' });
+    expect(entry.landId).toBe((await (await api('/auth/me', { session: winner })).json()).user.id);
+  });
+
+  it('예약 기록이 생기기 전에 KV에만 있던 주소도 다른 사람이 가져갈 수 없음', async () => {
+    await createUser('legacy', { slug: 'oldname' });
+    await env.LANDS.put('slug:oldname', JSON.stringify({ landId: 'legacy' }));
+    await createUser('newcomer');
+    const newcomer = await createSession('newcomer');
+
+    const response = await api('/me/slug', { method: 'PUT', session: newcomer, body: { slug: 'oldname' } });
+    expect(response.status).toBe(409);
+  });
+
+  it('주소를 바꾸면 예전 주소와 토지 ID 페이지는 새 주소로 이동', async () => {
+    await createUser('mover');
+    const mover = await createSession('mover');
+    expect((await api('/me/slug', { method: 'PUT', session: mover, body: { slug: 'first' } })).status).toBe(200);
+    expect((await api('/me/slug', { method: 'PUT', session: mover, body: { slug: 'second' } })).status).toBe(200);
+
+    for (const path of ['/land/first', '/land/mover']) {
+      const response = await SELF.fetch(ORIGIN + path, { redirect: 'manual' });
+      expect(response.status).toBe(302);
+      expect(response.headers.get('Location')).toBe(ORIGIN + '/land/second');
+    }
+
+    // 예전 주소는 계속 내 것
+    await createUser('other');
+    const other = await createSession('other');
+    expect((await api('/me/slug', { method: 'PUT', session: other, body: { slug: 'first' } })).status).toBe(409);
+  });
+});
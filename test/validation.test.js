@@ -0,0 +1,33 @@
+import { describe, it, expect, beforeEach } from 'vitest';
+import { api, createUser, createSession } from './helpers.js';
+
+describe('오류 응답', () => {
+  let session;
+  beforeEach(async () => {
+    await createUser('u1');
+    session = await createSession('u1');
+  });
+
+  it('모든 오류는 { error: { code, message } } 모양', async () => {
+    const notFound = await api('/land/u1/trees/tree_0_missing/water', { method: 'POST', session });
+    expect(notFound.status).toBe(404);
+    expect(await notFound.json()).toEqual({ error: { code: 'not_found', message: 'Tree not found' } });
+
+    const loginRequired = await api('/user/settings', { method: 'POST', body: { settings: {} } });
+    expect(loginRequired.status).toBe(401);
+    expect(await loginRequired.json()).toEqual({ error: { code: 'unauthorized', message: 'Login required' } });
+  });
+
+  it('하늘색, 땅색은 빈 값을 받지 않음', async () => {
+    const settings = await api('/user/settings', { method: 'POST', session, body: { settings: { skyColor: '' } } });
+    expect(settings.status).toBe(400);
+    expect((await settings.json()).error).toMatchObject({ code: 'too_short', field: 'settings.skyColor' });
+
+    const theme = await api('/land/u1', { method: 'PUT', session, body: { theme: { skyColor: '#000000', landColor: '' } } });
+    expect(theme.status).toBe(400);
+    expect((await theme.json()).error).toMatchObject({ code: 'required', field: 'theme.landColor' });
+
+    const { user } = await (await api('/auth/me', { session })).json();
+    expect(user.settings).toEqual({ skyColor: '#87CEEB', landColor: '#8B4513' });
+  });
+});
@@ -0,0 +1,36 @@
+import { describe, it, expect } from 'vitest';
+import { api, createUser, createSession } from './helpers.js';
+
+// 토지 주인과 방문자, 방문자가 심은 나무 하나
+async function setup() {
+  await createUser('owner');
+  await createUser('visitor');
+  const owner = await createSession('owner');
+  const visitor = await createSession('visitor');
+  const planted = await (await api('/land/owner/plant', { method: 'POST', session: visitor, body: { message: '안녕' } })).json();
+  return { owner, visitor, treeId: planted.tree.id };
+}
+
+describe('물 주기', () => {
+  it('보이는 나무에는 물을 줄 수 있음', async () => {
+    const { visitor, treeId } = await setup();
+    const response = await api(`/land/owner/trees/${treeId}/water`, { method: 'POST', session: visitor });
+    expect(response.status).toBe(200);
+  });
+
+  it('숨긴 나무에는 방문자가 물을 줄 수 없음', async () => {
+    const { owner, visitor, treeId } = await setup();
+    await api(`/land/owner/trees/${treeId}/hide`, { method: 'POST', session: owner });
+
+    const response = await api(`/land/owner/trees/${treeId}/water`, { method: 'POST', session: visitor });
+    expect(response.status).toBe(404);
+  });
+
+  it('휴지통에 있는 나무에는 물을 줄 수 없음', async () => {
+    const { owner, visitor, treeId } = await setup();
+    await api(`/land/owner/trees/${treeId}`, { method: 'DELETE', session: owner });
+
+    const response = await api(`/land/owner/trees/${treeId}/water`, { method: 'POST', session: visitor });
+    expect(response.status).toBe(404);
+  });
+});
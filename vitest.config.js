@@ -0,0 +1,42 @@
+import { generateKeyPairSync } from 'node:crypto';
+import { defineWorkersConfig } from '@cloudflare/vitest-pool-workers/config';
+import { MOCK_ORIGIN } from './test/mock-server.js';
+
+// 테스트용 VAPID 키 (실행할 때마다 새로 만듦, 공개 키는 0x04 + x + y)
+const vapidKeys = generateKeyPairSync('ec', { namedCurve: 'prime256v1' });
+const vapidJwk = vapidKeys.privateKey.export({ format: 'jwk' });
+const vapidPublicKey = Buffer.concat([
+  Buffer.from([4]),
+  Buffer.from(vapidJwk.x, 'base64url'),
+  Buffer.from(vapidJwk.y, 'base64url')
+]).toString('base64url');
+const vapidPrivateKey = vapidJwk.d;
+
+// 워커를 로컬 workerd에서 돌리는 테스트 (KV, R2, Durable Object는 테스트마다 새로 시작)
+// 바깥으로 보내는 요청은 test/mock-server.js의 가짜 서버가 받음
+export default defineWorkersConfig({
+  test: {
+    include: ['test/**/*.test.js'],
+    globalSetup: ['test/mock-server.js'],
+    poolOptions: {
+      workers: {
+        singleWorker: true,
+        wrangler: { configPath: './wrangler.toml' },
+        miniflare: {
+          bindings: {
+            MOCK_ORIGIN,
+            AUTH_MOCK_ORIGIN: MOCK_ORIGIN,
+            PUSH_MOCK_ORIGIN: MOCK_ORIGIN,
+            KAKAO_CLIENT_ID: 'kakao-test',
+            GITHUB_CLIENT_ID: 'github-test',
+            EMAIL_FROM: 'Giftree <login@giftree.test>',
+            EMAIL_API_KEY: 'email-test',
+            EMAIL_API_URL: MOCK_ORIGIN + '/email/emails',
+            VAPID_PUBLIC_KEY: vapidPublicKey,
+            VAPID_PRIVATE_KEY: vapidPrivateKey
+          }
+        }
+      }
+    }
+  }
+});